@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.join(__dirname, 'config.json');
+
+// Used for any setting missing from config.json
+const DEFAULTS = {
+  server: {
+    port: 3001,
+    // Run as a background service: no browser window is opened and the
+    // server keeps running with no page open (also `node server.js --headless`)
+    headless: false,
+    // Otherwise it stops this many seconds after the last open page was closed
+    shutdownGraceSeconds: 60
+  },
+  storage: {
+    engine: 'excel',
+    excelFile: 'app_data.xlsx',
+    sqliteFile: 'app_data.db',
+    // How often the database file is checked for edits made outside the app
+    watchIntervalSeconds: 2
+  },
+  uploads: {
+    dir: 'data/uploads',
+    maxSizeMb: 10
+  },
+  auth: {
+    // A login ends after this many hours without using the app
+    sessionHours: 12
+  },
+  lan: {
+    // Let other computers on the shop network use the app. Each one pairs
+    // once with a code made by an owner; off, only this computer can connect.
+    enabled: false,
+    // How long a pairing code can be used
+    pairingCodeMinutes: 10
+  },
+  trash: {
+    // Deleted records are purged this many days after deletion (0 keeps them)
+    retentionDays: 30
+  },
+  backups: {
+    // When to back up, as a cron expression (minute hour day month weekday)
+    schedule: '0 2 * * *',
+    // Backups kept when pruning: the newest keepLast, plus the newest of each
+    // of the last keepDaily days and keepMonthly months (all 0 keeps every backup)
+    retention: {
+      keepLast: 10,
+      keepDaily: 14,
+      keepMonthly: 12
+    },
+    // Back up before deleting or purging a record and before a restore
+    beforeDestructive: true,
+    // Back up when the server shuts down cleanly
+    onShutdown: true,
+    // Check that each backup opens and has every sheet
+    verify: true
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, overrides) {
+  const result = { ...base };
+  Object.keys(overrides || {}).forEach(key => {
+    result[key] = isPlainObject(base[key]) && isPlainObject(overrides[key])
+      ? merge(base[key], overrides[key])
+      : overrides[key];
+  });
+  return result;
+}
+
+/**
+ * Load config.json merged over the defaults. File paths are resolved
+ * relative to the app folder.
+ */
+function loadConfig() {
+  let fileConfig = {};
+  if (fs.existsSync(CONFIG_FILE)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid config.json: ${error.message}`);
+    }
+  }
+
+  const config = merge(DEFAULTS, fileConfig);
+  config.storage.excelFile = path.resolve(__dirname, config.storage.excelFile);
+  config.storage.sqliteFile = path.resolve(__dirname, config.storage.sqliteFile);
+  config.uploads.dir = path.resolve(__dirname, config.uploads.dir);
+  if (process.argv.includes('--headless')) config.server.headless = true;
+  return config;
+}
+
+module.exports = loadConfig();
@@ -0,0 +1,94 @@
+/**
+ * Who saved what, on the records themselves (the ChangeLog records the user
+ * of every change too): the staff member who last saved a bill
+ * (`saved_by` on a service or laptop bill and on each vendor bill) and
+ * who last changed a vendor phone's status (`status_by`). New devices are
+ * received by the logged-in staff member unless the form names someone else.
+ */
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// The item without the stamp, so re-saving a stamp is not a change
+function withoutField(item, field) {
+  const { [field]: omitted, ...rest } = item || {};
+  return rest;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function withReceivedBy(item, name) {
+  return isBlank(item.received_by) ? { ...item, received_by: name } : item;
+}
+
+/**
+ * A new record body of `type` (or a vendor phone, type 'vendor_phone') with
+ * `received_by` set to `name` where it is missing
+ */
+function defaultReceivedBy(type, body, name) {
+  if (type === 'service' || type === 'laptop' || type === 'vendor_phone') {
+    return withReceivedBy(body, name);
+  }
+  if (type === 'vendor' && Array.isArray(body.phones)) {
+    return { ...body, phones: body.phones.map(phone => withReceivedBy(phone, name)) };
+  }
+  return body;
+}
+
+/**
+ * Bills `record` (a new version of `oldRecord`, or a new record when
+ * `oldRecord` is null) adds, changes and removes, as { added, changed,
+ * removed }: the bill of a service or laptop, each bill of a vendor
+ */
+function billChanges(type, oldRecord, record) {
+  const changes = { added: [], changed: [], removed: [] };
+  const old = oldRecord || {};
+  const compare = (oldBill, bill) => {
+    if (!oldBill && !bill) return;
+    if (!oldBill) {
+      changes.added.push(bill);
+    } else if (!bill) {
+      changes.removed.push(oldBill);
+    } else if (!same(withoutField(oldBill, 'saved_by'), withoutField(bill, 'saved_by'))) {
+      changes.changed.push(bill);
+    }
+  };
+
+  if (type === 'service' || type === 'laptop') {
+    compare(old.bill || null, record.bill || null);
+  } else if (type === 'vendor') {
+    const bills = new Map((record.bills || []).map(bill => [bill.bill_id, bill]));
+    const oldBills = new Map((old.bills || []).map(bill => [bill.bill_id, bill]));
+    oldBills.forEach((oldBill, billId) => compare(oldBill, bills.get(billId) || null));
+    bills.forEach((bill, billId) => {
+      if (!oldBills.has(billId)) compare(null, bill);
+    });
+  }
+  return changes;
+}
+
+/**
+ * Stamp `name` on the parts of `record` (a new version of `oldRecord`, or a
+ * new record when `oldRecord` is null) that it changed. Changes `record` in
+ * place.
+ */
+function stampUser(type, oldRecord, record, name) {
+  const { added, changed } = billChanges(type, oldRecord, record);
+  [...added, ...changed].forEach(bill => {
+    bill.saved_by = name;
+  });
+
+  if (type === 'vendor') {
+    const oldPhones = new Map(((oldRecord || {}).phones || []).map(phone => [phone.phone_id, phone]));
+    (record.phones || []).forEach(phone => {
+      const oldPhone = oldPhones.get(phone.phone_id);
+      if (!oldPhone || oldPhone.status !== phone.status) phone.status_by = name;
+    });
+  }
+  return record;
+}
+
+module.exports = { defaultReceivedBy, billChanges, stampUser };
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./errors');
+const { diffRecords } = require('./diff');
+const { createExcelEngine, readSqliteFile } = require('../storage');
+const { assembleVendors, assembleTrash } = require('../storage/vendors');
+const { migrationStatus, migrateData } = require('../migrations');
+const { supersedeVersions } = require('./versions');
+const { isDataUrl } = require('./images');
+
+const BACKUPS_DIR = path.join(__dirname, '..', 'backups');
+
+const BACKUP_FILE_PATTERN = /^app_data_backup_[\w-]+\.(xlsx|db)$/;
+
+// app_data_backup_2026-01-31T02-00-00-000[_label] -> the UTC time it was
+// taken (backups from before milliseconds were kept have none)
+const BACKUP_TIME_PATTERN = /^app_data_backup_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(?:-(\d{3}))?/;
+
+// A backup is read in the format of the engine that wrote it, whatever
+// engine is configured now, without changing the file
+const READERS_BY_EXTENSION = {
+  '.xlsx': file => createExcelEngine(file).read(),
+  '.db': readSqliteFile
+};
+
+// Business ID of the record collections compared by diffBackup()
+const RECORD_KEYS = {
+  services: 'service_id',
+  vendors: 'vendor_id',
+  laptops: 'laptop_id'
+};
+
+/**
+ * Copy the database into the backups folder as
+ * app_data_backup_<timestamp>[_<label>].xlsx (.db with SQLite). Returns the
+ * backup path, or nothing when there is no database file yet.
+ */
+function createBackup(storage, label) {
+  try {
+    if (!storage.exists()) {
+      console.log('No database file to backup');
+      return;
+    }
+
+    // Ensure backups directory exists
+    if (!fs.existsSync(BACKUPS_DIR)) {
+      fs.mkdirSync(BACKUPS_DIR, { recursive: true });
+    }
+
+    // Milliseconds included: two backups taken in the same second (a manual
+    // one and the one before a restore) must not overwrite each other
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -1);
+    const suffix = label ? `_${label}` : '';
+    const backupFile = path.join(BACKUPS_DIR, `app_data_backup_${timestamp}${suffix}${storage.extension}`);
+
+    storage.backup(backupFile);
+    console.log('✓ Backup created:', backupFile);
+    return backupFile;
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    throw error;
+  }
+}
+
+/**
+ * When a backup was taken: the time in its name, else the file's mtime
+ */
+function backupTime(name, stats) {
+  const match = name.match(BACKUP_TIME_PATTERN);
+  return match ? new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5] || '000'}Z`) : stats.mtime;
+}
+
+/**
+ * Backup files, newest first: [{ name, size, created_at }]
+ */
+function listBackups() {
+  if (!fs.existsSync(BACKUPS_DIR)) return [];
+
+  return fs.readdirSync(BACKUPS_DIR)
+    .filter(name => BACKUP_FILE_PATTERN.test(name))
+    .map(name => {
+      const stats = fs.statSync(path.join(BACKUPS_DIR, name));
+      return { name, size: stats.size, created_at: backupTime(name, stats).toISOString() };
+    })
+    .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.name.localeCompare(a.name));
+}
+
+/**
+ * Check that a backup made by `storage` opens and holds the collections of
+ * the database it was made from. Throws an Error naming the problems.
+ */
+function verifyBackup(storage, file) {
+  const problems = storage.verifyBackup(file);
+  if (problems.length > 0) {
+    throw new Error(`Backup ${path.basename(file)} failed verification: it ${problems.join(', ')}`);
+  }
+}
+
+// YYYY-MM-DD in server time
+function localDay(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Delete the backups no retention rule keeps. A backup is kept if it is one
+ * of the newest `keepLast`, the newest of one of the last `keepDaily` days
+ * that have backups, or the newest of one of the last `keepMonthly` such
+ * months. With every rule at 0 nothing is deleted. Returns the deleted names.
+ */
+function pruneBackups({ keepLast = 0, keepDaily = 0, keepMonthly = 0 }) {
+  if (!keepLast && !keepDaily && !keepMonthly) return [];
+
+  const backups = listBackups();
+  const keep = new Set(backups.slice(0, keepLast).map(backup => backup.name));
+  [[keepDaily, localDay], [keepMonthly, date => localDay(date).slice(0, 7)]].forEach(([count, periodOf]) => {
+    const periods = new Set();
+    backups.forEach(backup => {
+      const period = periodOf(new Date(backup.created_at));
+      if (!periods.has(period) && periods.size < count) {
+        periods.add(period);
+        keep.add(backup.name);
+      }
+    });
+  });
+
+  const pruned = backups.filter(backup => !keep.has(backup.name)).map(backup => backup.name);
+  pruned.forEach(name => {
+    fs.unlinkSync(path.join(BACKUPS_DIR, name));
+    [...countsCache.keys()].filter(key => key.startsWith(`${name}@`)).forEach(key => countsCache.delete(key));
+  });
+  return pruned;
+}
+
+/**
+ * Path of backup `name`, or a 404 HttpError. Only names listed by
+ * listBackups() are accepted, so a name cannot point outside the folder.
+ */
+function backupPath(name) {
+  const file = path.join(BACKUPS_DIR, name);
+  if (!BACKUP_FILE_PATTERN.test(name) || !fs.existsSync(file)) {
+    throw new HttpError(404, `Backup ${name} not found`);
+  }
+  return file;
+}
+
+// Migration context for reading a backup: nothing is written, so base64
+// photos of an old backup stay in its records until restoreData() saves them
+const READ_ONLY_CONTEXT = {
+  images: { saveDataUrl: dataUrl => dataUrl }
+};
+
+const IMAGE_FIELDS = ['front_image', 'back_image'];
+
+/**
+ * Contents of a backup brought up to the current schema in memory (the
+ * file is not changed, and neither is the uploads folder), with vendors
+ * assembled as storage.read() returns them
+ */
+function readBackup(name) {
+  const file = backupPath(name);
+  const stored = READERS_BY_EXTENSION[path.extname(file)](file);
+
+  const { version } = migrationStatus(stored);
+  const { data } = migrateData(stored, READ_ONLY_CONTEXT);
+  return { schemaVersion: version, data: assembleTrash(assembleVendors(data)) };
+}
+
+/**
+ * Record counts of a database as storage.read() returns it
+ */
+function countRecords(db) {
+  return {
+    services: db.services.length,
+    vendors: db.vendors.length,
+    vendor_phones: db.vendors.reduce((sum, vendor) => sum + (vendor.phones || []).length, 0),
+    vendor_bills: db.vendors.reduce((sum, vendor) => sum + (vendor.bills || []).length, 0),
+    laptops: db.laptops.length,
+    trash: (db.trash || []).length
+  };
+}
+
+// Record counts by backup name and size; opening every workbook each time
+// the list is shown would be slow
+const countsCache = new Map();
+
+/**
+ * listBackups() entries with their schema version and record counts
+ */
+function describeBackups() {
+  return listBackups().map(backup => {
+    const cacheKey = `${backup.name}@${backup.size}`;
+    if (!countsCache.has(cacheKey)) {
+      try {
+        const { schemaVersion, data } = readBackup(backup.name);
+        countsCache.set(cacheKey, { schema_version: schemaVersion, counts: countRecords(data) });
+      } catch (error) {
+        return { ...backup, error: `Could not open backup: ${error.message}` };
+      }
+    }
+    return { ...backup, ...countsCache.get(cacheKey) };
+  });
+}
+
+/**
+ * What restoring `backup` would change in `live`, per record collection:
+ * { only_in_backup: [ids], only_in_live: [ids], changed: [{ id, fields: [{ field, live, backup }] }] }
+ */
+function diffBackup(backup, live) {
+  const result = {};
+  Object.entries(RECORD_KEYS).forEach(([collection, key]) => {
+    const liveById = new Map(live[collection].map(record => [record[key], record]));
+    const backupById = new Map(backup[collection].map(record => [record[key], record]));
+
+    result[collection] = {
+      only_in_backup: [...backupById.keys()].filter(id => !liveById.has(id)),
+      only_in_live: [...liveById.keys()].filter(id => !backupById.has(id)),
+      changed: [...backupById.keys()]
+        .filter(id => liveById.has(id))
+        .map(id => ({
+          id,
+          fields: diffRecords(liveById.get(id), backupById.get(id))
+            .map(change => ({ field: change.field, live: change.oldValue, backup: change.newValue }))
+        }))
+        .filter(entry => entry.fields.length > 0)
+    };
+  });
+  return result;
+}
+
+// Collections a restore leaves as they are (sequences are merged below)
+const KEPT_ON_RESTORE = ['changelog', 'users', 'devices', 'sequences', 'meta'];
+
+/**
+ * Replace the data in `db` with a backup's. The ChangeLog is kept (it is
+ * the audit trail of what happened since), so are staff accounts and
+ * paired devices (an old backup must not bring back old PINs or revoked
+ * devices, or lock out new staff and devices), and each ID
+ * sequence keeps the higher of its two counters, so IDs issued after the
+ * backup are never handed out again. Restored records get versions above the live ones.
+ * Base64 photos left in an old backup's services are saved to `images`
+ * (lib/images.js) here, so only a restore writes upload files.
+ */
+function restoreData(db, backup, images) {
+  supersedeVersions(backup, db);
+  backup.services.forEach(service => {
+    IMAGE_FIELDS.forEach(field => {
+      if (isDataUrl(service[field])) service[field] = images.saveDataUrl(service[field]);
+    });
+  });
+  Object.keys(backup).forEach(collection => {
+    if (KEPT_ON_RESTORE.includes(collection)) return;
+    db[collection] = backup[collection];
+  });
+
+  (backup.sequences || []).forEach(row => {
+    const live = db.sequences.find(r => r.name === row.name);
+    if (!live) {
+      db.sequences.push({ ...row });
+    } else if (Number(row.last) > Number(live.last)) {
+      live.last = row.last;
+    }
+  });
+  return db;
+}
+
+module.exports = {
+  BACKUPS_DIR,
+  createBackup,
+  verifyBackup,
+  pruneBackups,
+  listBackups,
+  describeBackups,
+  readBackup,
+  countRecords,
+  diffBackup,
+  restoreData
+};
@@ -0,0 +1,46 @@
+const { HttpError } = require('./errors');
+const { parseDate } = require('./query');
+
+/**
+ * ChangeLog queries. Every entry has a numeric change_id (allocated from
+ * the 'changelog' sequence) so a single change can be looked up and
+ * reverted.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query parameters matched exactly against an entry field
+const EXACT_FILTERS = ['record_type', 'action', 'user'];
+
+/**
+ * Entries matching ?record_type=&record_id=&action=&user=&from=&to=,
+ * newest first. record_id also matches the phones and bills of a vendor
+ * (VND001 matches VND001-P002); from/to are inclusive YYYY-MM-DD dates.
+ */
+function queryChangelog(changelog, query) {
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  const recordId = query.record_id;
+
+  return changelog
+    .filter(entry => EXACT_FILTERS.every(field => !query[field] || entry[field] === query[field]))
+    .filter(entry => !recordId || entry.record_id === recordId || String(entry.record_id).startsWith(`${recordId}-`))
+    .filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      return (!from || time >= from.getTime()) && (!to || time < to.getTime() + DAY_MS);
+    })
+    .reverse();
+}
+
+/**
+ * The entry with `changeId`, or a 404 HttpError
+ */
+function findChange(changelog, changeId) {
+  const entry = changelog.find(e => String(e.change_id) === String(changeId));
+  if (!entry) {
+    throw new HttpError(404, `Change ${changeId} not found`);
+  }
+  return entry;
+}
+
+module.exports = { queryChangelog, findChange };
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+/**
+ * Open pages of the app. Each page registers when it loads, sends a
+ * heartbeat every HEARTBEAT_MS and says goodbye when it is closed; a page
+ * that misses heartbeats for CLIENT_TIMEOUT_MS (crashed, or the computer
+ * slept) counts as closed too. Once the last page has been gone for
+ * `graceMs`, `onIdle` is called, so refreshing a page or closing one of two
+ * tabs does not stop the server. Nothing happens before the first page
+ * registers.
+ */
+
+const HEARTBEAT_MS = 10 * 1000;
+
+const CLIENT_TIMEOUT_MS = 3 * HEARTBEAT_MS;
+
+// How often pages that stopped sending heartbeats are looked for
+const CHECK_MS = 5 * 1000;
+
+function createClientTracker({ graceMs, onIdle }) {
+  // client_id -> last heartbeat (ms)
+  const clients = new Map();
+  let seenAny = false;
+  let idleSince = null;
+  let stopped = false;
+
+  function check() {
+    const now = Date.now();
+    clients.forEach((lastSeen, clientId) => {
+      if (now - lastSeen > CLIENT_TIMEOUT_MS) clients.delete(clientId);
+    });
+    if (stopped || !seenAny || clients.size > 0) {
+      idleSince = null;
+      return;
+    }
+    if (idleSince === null) idleSince = now;
+    if (now - idleSince >= graceMs) {
+      stopped = true;
+      onIdle();
+    }
+  }
+
+  const timer = setInterval(check, CHECK_MS);
+  timer.unref();
+
+  return {
+    /**
+     * Register a newly opened page; returns its client ID
+     */
+    register() {
+      const clientId = crypto.randomBytes(16).toString('hex');
+      clients.set(clientId, Date.now());
+      seenAny = true;
+      idleSince = null;
+      return clientId;
+    },
+
+    /**
+     * Note a heartbeat; false if the client is not (or no longer) registered
+     */
+    heartbeat(clientId) {
+      if (!clients.has(clientId)) return false;
+      clients.set(clientId, Date.now());
+      return true;
+    },
+
+    /**
+     * A page was closed or reloaded
+     */
+    leave(clientId) {
+      clients.delete(clientId);
+    },
+
+    get size() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = { HEARTBEAT_MS, createClientTracker };
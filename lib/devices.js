@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const os = require('os');
+const { HttpError } = require('./errors');
+const { parseCookies } = require('./sessions');
+
+/**
+ * Devices paired with the server in LAN mode (config.lan), kept in the
+ * Devices collection as { device_id, name, token_hash, paired_at,
+ * paired_by }. An owner makes a one-time pairing code; the new device sends
+ * it with its name and gets a random access token, stored only as a SHA-256
+ * hash. Browsers keep the token in an HttpOnly cookie; other programs send
+ * it as `Authorization: Bearer <token>`. The server's own computer needs no
+ * token.
+ */
+
+const COOKIE_NAME = 'mylavan_device';
+
+// Browsers keep a cookie at most about this long; pages renew it when loaded
+const COOKIE_MAX_AGE_SECONDS = 400 * 24 * 60 * 60;
+
+const CODE_DIGITS = 6;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * A new access token and the hash to store
+ */
+function newAccessToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, token_hash: hashToken(token) };
+}
+
+/**
+ * Access token of a request: its Authorization header, else its cookie
+ */
+function accessToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : parseCookies(req.get('Cookie'))[COOKIE_NAME] || null;
+}
+
+/**
+ * Set-Cookie value holding an access token
+ */
+function deviceCookie(token) {
+  return `${COOKIE_NAME}=${token}; Path=/; Max-Age=${COOKIE_MAX_AGE_SECONDS}; HttpOnly; SameSite=Strict`;
+}
+
+/**
+ * The paired device holding `token`, or undefined
+ */
+function findDeviceByToken(db, token) {
+  if (!token) return undefined;
+  const hash = hashToken(token);
+  return (db.devices || []).find(device => device.token_hash === hash);
+}
+
+/**
+ * The device with `deviceId`, or a 404 HttpError
+ */
+function findDevice(db, deviceId) {
+  const device = (db.devices || []).find(d => d.device_id === deviceId);
+  if (!device) {
+    throw new HttpError(404, `Device ${deviceId} not found`);
+  }
+  return device;
+}
+
+/**
+ * A device as the API returns it: no token hash
+ */
+function publicDevice(device) {
+  const { token_hash, ...rest } = device;
+  return rest;
+}
+
+/**
+ * Whether a request comes from the server's own computer
+ */
+function isLoopback(req) {
+  const address = String(req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+  return address === '::1' || address.startsWith('127.');
+}
+
+/**
+ * Addresses other computers on the network can open the app at
+ */
+function lanAddresses(port) {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(entry => entry && entry.family === 'IPv4' && !entry.internal)
+    .map(entry => `http://${entry.address}:${port}`);
+}
+
+/**
+ * One-time pairing codes, kept in memory for `ttlMs`
+ */
+function createPairingCodes({ ttlMs }) {
+  // code -> { expires_at (ms), created_by }
+  const codes = new Map();
+
+  function dropExpired() {
+    const now = Date.now();
+    codes.forEach((entry, code) => {
+      if (entry.expires_at <= now) codes.delete(code);
+    });
+  }
+
+  return {
+    /**
+     * A new code: { code, expires_at }
+     */
+    create(createdBy) {
+      dropExpired();
+      let code;
+      do {
+        code = String(crypto.randomInt(10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+      } while (codes.has(code));
+      const entry = { expires_at: Date.now() + ttlMs, created_by: createdBy };
+      codes.set(code, entry);
+      return { code, expires_at: new Date(entry.expires_at).toISOString() };
+    },
+
+    /**
+     * Use up `code`: who made it, or null if it is unknown or expired
+     */
+    take(code) {
+      dropExpired();
+      const entry = codes.get(String(code || '').trim());
+      if (!entry) return null;
+      codes.delete(String(code).trim());
+      return entry;
+    }
+  };
+}
+
+module.exports = {
+  newAccessToken,
+  accessToken,
+  deviceCookie,
+  findDeviceByToken,
+  findDevice,
+  publicDevice,
+  isLoopback,
+  lanAddresses,
+  createPairingCodes
+};
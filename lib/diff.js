@@ -0,0 +1,151 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Field-level differences between two versions of a record, for the
+ * ChangeLog. Nested objects are compared field by field (`bill.grand_total`).
+ * Lists of objects are matched by their ID field where they have one
+ * (`phones[VND001-P002].status`) and by position otherwise
+ * (`bill.items[1].price`). Any other value is compared as a whole.
+ */
+
+// ID fields that identify an entry of a nested list
+const ITEM_KEYS = ['phone_id', 'bill_id'];
+
+// Top-level bookkeeping fields that are not changes of their own (the
+// record version of lib/versions.js)
+const IGNORED_FIELDS = ['version'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function isObjectList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+}
+
+/**
+ * ChangeLog text for a value: objects and lists as JSON, nothing as ''
+ */
+function formatValue(value) {
+  if (isEmpty(value)) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function listEntries(list) {
+  const entries = new Map();
+  (list || []).forEach((item, index) => {
+    const key = ITEM_KEYS.find(field => item[field] !== undefined);
+    entries.set(key ? item[key] : String(index), item);
+  });
+  return entries;
+}
+
+function diffValues(path, oldValue, newValue, changes) {
+  const oldObject = isPlainObject(oldValue);
+  const newObject = isPlainObject(newValue);
+  if ((oldObject || isEmpty(oldValue)) && (newObject || isEmpty(newValue)) && (oldObject || newObject)) {
+    diffObjects(path, oldValue || {}, newValue || {}, changes);
+    return;
+  }
+
+  const oldList = isObjectList(oldValue);
+  const newList = isObjectList(newValue);
+  if ((oldList || isEmpty(oldValue) || Array.isArray(oldValue)) &&
+      (newList || isEmpty(newValue) || Array.isArray(newValue)) && (oldList || newList)) {
+    const oldEntries = listEntries(oldValue);
+    const newEntries = listEntries(newValue);
+    new Set([...oldEntries.keys(), ...newEntries.keys()]).forEach(key => {
+      diffValues(`${path}[${key}]`, oldEntries.get(key), newEntries.get(key), changes);
+    });
+    return;
+  }
+
+  const oldText = formatValue(oldValue);
+  const newText = formatValue(newValue);
+  if (oldText !== newText) {
+    changes.push({ field: path, oldValue: oldText, newValue: newText });
+  }
+}
+
+function diffObjects(prefix, oldRecord, newRecord, changes) {
+  new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)]).forEach(field => {
+    if (!prefix && IGNORED_FIELDS.includes(field)) return;
+    const path = prefix ? `${prefix}.${field}` : field;
+    diffValues(path, oldRecord[field], newRecord[field], changes);
+  });
+}
+
+/**
+ * Changed fields between two versions of a record:
+ * [{ field, oldValue, newValue }], values formatted as ChangeLog text
+ */
+function diffRecords(oldRecord, newRecord) {
+  const changes = [];
+  diffObjects('', oldRecord || {}, newRecord || {}, changes);
+  return changes;
+}
+
+// `bill.items[0].price` -> [{ field: 'bill' }, { field: 'items' }, { item: '0' }, { field: 'price' }]
+function parsePath(path) {
+  return [...path.matchAll(/\[([^\]]+)\]|([^.[\]]+)/g)]
+    .map(match => (match[1] !== undefined ? { item: match[1] } : { field: match[2] }));
+}
+
+function findListItem(list, key) {
+  const byId = list.find(item => isPlainObject(item) && ITEM_KEYS.some(field => item[field] === key));
+  return byId || (/^\d+$/.test(key) ? list[Number(key)] : undefined);
+}
+
+/**
+ * Turn ChangeLog text back into a value, using the type of the value it
+ * replaces (numbers, booleans, lists and objects were written as text)
+ */
+function parseValue(text, current) {
+  if (text === '') return typeof current === 'string' ? '' : undefined;
+  if (typeof current === 'number' && !isNaN(Number(text))) return Number(text);
+  if (typeof current === 'boolean') return text === 'true';
+  if ((current !== null && typeof current === 'object') || /^[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Set the field at ChangeLog `path` of `record` back to `text` (an old_value).
+ * Changes `record` in place; 409 if the path no longer leads anywhere.
+ */
+function revertField(record, path, text) {
+  const segments = parsePath(path);
+  let parent = record;
+  segments.slice(0, -1).forEach(segment => {
+    const child = segment.item !== undefined
+      ? (Array.isArray(parent) ? findListItem(parent, segment.item) : undefined)
+      : parent[segment.field];
+    if (child === null || typeof child !== 'object') {
+      throw new HttpError(409, `Cannot revert ${path}: it no longer exists on the record`);
+    }
+    parent = child;
+  });
+
+  const last = segments[segments.length - 1];
+  if (last.item !== undefined) {
+    throw new HttpError(409, `Cannot revert ${path}: whole list entries cannot be reverted`);
+  }
+  const value = parseValue(text, parent[last.field]);
+  if (value === undefined) {
+    delete parent[last.field];
+  } else {
+    parent[last.field] = value;
+  }
+  return record;
+}
+
+module.exports = { diffRecords, revertField };
@@ -0,0 +1,14 @@
+/**
+ * Error that maps directly onto an HTTP response. `details` is merged into
+ * the JSON body next to `error`.
+ */
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError };
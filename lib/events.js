@@ -0,0 +1,84 @@
+/**
+ * Server-Sent Events to every open page (GET /api/events). Each event has an
+ * ID made of the server's start time and a counter; the last BUFFER_SIZE
+ * events are kept, so a page that reconnects with Last-Event-ID gets what it
+ * missed, or a `resync` event when that is no longer possible (too much
+ * missed, or the server restarted) and it should reload everything.
+ */
+
+const BUFFER_SIZE = 200;
+
+// Comment line sent to keep idle connections open through proxies
+const HEARTBEAT_MS = 25000;
+
+// How long the browser waits before reconnecting
+const RETRY_MS = 3000;
+
+function createEventStream() {
+  const started = Date.now().toString(36);
+  const clients = new Set();
+  const buffer = [];
+  let counter = 0;
+
+  function send(res, event) {
+    res.write(`id: ${started}-${event.number}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  // Events after Last-Event-ID, or null if they are not all in the buffer
+  function missedSince(lastEventId) {
+    const [run, number] = String(lastEventId).split('-');
+    const since = Number(number);
+    if (run !== started || !Number.isInteger(since) || since > counter) return null;
+    if (since < counter && (buffer.length === 0 || buffer[0].number > since + 1)) return null;
+    return buffer.filter(event => event.number > since);
+  }
+
+  const heartbeat = setInterval(() => {
+    clients.forEach(res => res.write(': ping\n\n'));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return {
+    /**
+     * Keep `res` open as an event stream until the page goes away
+     */
+    subscribe(req, res) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      const lastEventId = req.get('Last-Event-ID');
+      if (lastEventId) {
+        const missed = missedSince(lastEventId);
+        if (missed) {
+          missed.forEach(event => send(res, event));
+        } else {
+          send(res, { number: counter, type: 'resync', data: {} });
+        }
+      }
+
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+    },
+
+    /**
+     * Send an event to every open page
+     */
+    publish(type, data) {
+      const event = { number: ++counter, type, data };
+      buffer.push(event);
+      if (buffer.length > BUFFER_SIZE) buffer.shift();
+      clients.forEach(res => send(res, event));
+    },
+
+    get size() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = { createEventStream };
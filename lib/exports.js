@@ -0,0 +1,356 @@
+const XLSX = require('xlsx');
+const { HttpError } = require('./errors');
+
+/**
+ * Exports of the records matching the All Records filters, flattened into
+ * rows a spreadsheet can read: a service or laptop gives one row per bill
+ * item (one row if it has no bill), a vendor one row per phone and one per
+ * item of its bills. Bill totals are filled in on the first row of each
+ * bill only, so a column of them adds up. Photos are left out.
+ */
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const ALL_TYPES = ['service', 'laptop', 'vendor'];
+
+// Columns of every export, in order; `types` are the record types that
+// fill the column (the Excel sheet of a type only has those), `kind` how an
+// Excel cell is written and `width` its column width in characters
+const EXPORT_COLUMNS = [
+  { key: 'record_type', heading: 'Type', types: ALL_TYPES, width: 8 },
+  { key: 'record_id', heading: 'Record ID', types: ALL_TYPES, width: 10 },
+  { key: 'date', heading: 'Date', types: ALL_TYPES, kind: 'date', width: 11 },
+  { key: 'name', heading: 'Customer / Vendor', types: ['service', 'vendor'], width: 22 },
+  { key: 'mobile_number', heading: 'Mobile Number', types: ALL_TYPES, width: 13 },
+  { key: 'address', heading: 'Address', types: ['service'], width: 24 },
+  { key: 'phone_id', heading: 'Phone ID', types: ['vendor'], width: 13 },
+  { key: 'date_received', heading: 'Phone Received', types: ['vendor'], kind: 'date', width: 11 },
+  { key: 'brand', heading: 'Brand', types: ALL_TYPES, width: 12 },
+  { key: 'model', heading: 'Model', types: ALL_TYPES, width: 16 },
+  { key: 'imei1', heading: 'IMEI 1', types: ['service'], width: 17 },
+  { key: 'imei2', heading: 'IMEI 2', types: ['service'], width: 17 },
+  { key: 'issue', heading: 'Issue', types: ALL_TYPES, width: 28 },
+  { key: 'service_type', heading: 'Service Type', types: ['service'], width: 18 },
+  { key: 'condition', heading: 'Condition', types: ['service', 'laptop'], width: 10 },
+  { key: 'accessories', heading: 'Accessories', types: ['service', 'laptop'], width: 18 },
+  { key: 'received_by', heading: 'Received By', types: ALL_TYPES, width: 14 },
+  { key: 'estimated_delivery', heading: 'Estimated Delivery', types: ['service'], kind: 'date', width: 11 },
+  { key: 'status', heading: 'Phone Status', types: ['vendor'], width: 11 },
+  { key: 'billed', heading: 'Billed', types: ALL_TYPES, width: 7 },
+  { key: 'bill_number', heading: 'Bill Number', types: ['vendor'], width: 13 },
+  { key: 'bill_date', heading: 'Bill Date', types: ALL_TYPES, kind: 'date', width: 11 },
+  { key: 'warranty', heading: 'Warranty', types: ['service', 'laptop'], width: 10 },
+  { key: 'warranty_to', heading: 'Warranty Until', types: ['service', 'laptop'], kind: 'date', width: 11 },
+  { key: 'item', heading: 'Item', types: ALL_TYPES, width: 22 },
+  { key: 'breakout', heading: 'Breakout', types: ALL_TYPES, width: 12 },
+  { key: 'price', heading: 'Price', types: ALL_TYPES, kind: 'amount', width: 10 },
+  { key: 'quantity', heading: 'Qty', types: ALL_TYPES, kind: 'number', width: 5 },
+  { key: 'item_total', heading: 'Item Total', types: ALL_TYPES, kind: 'amount', width: 10 },
+  { key: 'subtotal', heading: 'Subtotal', types: ALL_TYPES, kind: 'amount', width: 10 },
+  { key: 'tax', heading: 'Tax', types: ALL_TYPES, kind: 'amount', width: 9 },
+  { key: 'discount', heading: 'Discount', types: ALL_TYPES, kind: 'amount', width: 9 },
+  { key: 'grand_total', heading: 'Grand Total', types: ALL_TYPES, kind: 'amount', width: 11 }
+];
+
+// Excel sheet of each record type
+const EXPORT_SHEETS = [
+  { type: 'service', sheet: 'Services' },
+  { type: 'laptop', sheet: 'Laptops' },
+  { type: 'vendor', sheet: 'Vendors' }
+];
+
+const AMOUNT_FORMAT = '#,##0.00';
+const DATE_FORMAT = 'dd-mm-yyyy';
+
+function listText(value) {
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+function yesNo(flag) {
+  return flag ? 'Yes' : 'No';
+}
+
+/**
+ * Rows of a bill: one per item, with the totals on the first. A bill
+ * without items still gives one row.
+ */
+function billRows(bill, fields) {
+  const items = Array.isArray(bill.items) && bill.items.length > 0 ? bill.items : [{}];
+  return items.map((item, i) => ({
+    ...fields,
+    item: item.item,
+    breakout: item.breakout,
+    price: item.price,
+    quantity: item.quantity,
+    item_total: item.total !== undefined ? item.total : (item.price * item.quantity || undefined),
+    ...(i === 0 ? {
+      subtotal: bill.subtotal,
+      tax: bill.tax,
+      discount: bill.discount,
+      grand_total: bill.grand_total
+    } : {})
+  }));
+}
+
+function serviceRows(record) {
+  const fields = {
+    record_type: 'service',
+    record_id: record.service_id,
+    date: record.date,
+    name: record.customer_name,
+    mobile_number: record.mobile_number,
+    address: record.address,
+    brand: record.mobile_brand,
+    model: record.model,
+    imei1: record.imei1,
+    imei2: record.imei2,
+    issue: record.issue,
+    service_type: listText(record.service_type),
+    condition: record.mobile_condition,
+    accessories: listText(record.accessories),
+    received_by: record.received_by,
+    estimated_delivery: record.estimated_delivery,
+    billed: yesNo(record.bill)
+  };
+  return customerBillRows(record.bill, fields);
+}
+
+function laptopRows(record) {
+  const fields = {
+    record_type: 'laptop',
+    record_id: record.laptop_id,
+    date: record.date,
+    mobile_number: record.contact_number,
+    brand: record.laptop_brand,
+    model: record.model,
+    issue: record.issue,
+    condition: record.condition,
+    accessories: listText(record.accessories),
+    received_by: record.received_by,
+    billed: yesNo(record.bill)
+  };
+  return customerBillRows(record.bill, fields);
+}
+
+function customerBillRows(bill, fields) {
+  if (!bill) return [fields];
+  return billRows(bill, {
+    ...fields,
+    bill_date: bill.from_date,
+    warranty: bill.warranty,
+    warranty_to: bill.to_date
+  });
+}
+
+function vendorRows(record) {
+  const vendor = {
+    record_type: 'vendor',
+    record_id: record.vendor_id,
+    date: record.created_date,
+    name: record.vendor_name,
+    mobile_number: record.mobile_number
+  };
+  const bills = record.bills || [];
+  const billNumber = billId => {
+    const bill = bills.find(b => b.bill_id === billId);
+    return bill ? bill.bill_number || bill.bill_id : billId;
+  };
+
+  const rows = [
+    ...(record.phones || []).map(phone => ({
+      ...vendor,
+      phone_id: phone.phone_id,
+      date_received: phone.date_received,
+      brand: phone.brand,
+      model: phone.model,
+      issue: phone.issue,
+      received_by: phone.received_by,
+      status: phone.status,
+      billed: yesNo(phone.billed),
+      bill_number: phone.bill_id ? billNumber(phone.bill_id) : undefined
+    })),
+    ...bills.flatMap(bill => billRows(bill, {
+      ...vendor,
+      billed: 'Yes',
+      bill_number: bill.bill_number || bill.bill_id,
+      bill_date: bill.date
+    }))
+  ];
+  return rows.length > 0 ? rows : [{ ...vendor, billed: 'No' }];
+}
+
+const ROWS_OF_TYPE = {
+  service: serviceRows,
+  laptop: laptopRows,
+  vendor: vendorRows
+};
+
+/**
+ * Export rows of records carrying their record_type, in the same order
+ */
+function exportRows(records) {
+  return records.flatMap(record => ROWS_OF_TYPE[record.record_type](record));
+}
+
+/**
+ * 400 unless `format` is one of EXPORT_FORMATS
+ */
+function parseFormat(format) {
+  const value = format === undefined || format === '' ? 'csv' : String(format).toLowerCase();
+  if (!EXPORT_FORMATS.includes(value)) {
+    throw new HttpError(400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// A CSV field, quoted when needed. Text starting like a formula is
+// prefixed with ' so spreadsheet programs do not run it.
+function csvField(value) {
+  if (isBlank(value)) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of the rows, with a byte order mark so Excel reads it as UTF-8
+ */
+function toCsv(rows) {
+  const lines = [
+    EXPORT_COLUMNS.map(column => csvField(column.heading)).join(','),
+    ...rows.map(row => EXPORT_COLUMNS.map(column => csvField(row[column.key])).join(','))
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * JSON of the rows: { exported_at, filters, records, rows }, every row with
+ * every column (null when blank)
+ */
+function toJson(rows, { filters, records }) {
+  return JSON.stringify({
+    exported_at: new Date().toISOString(),
+    filters,
+    records,
+    rows: rows.map(row => {
+      const entry = {};
+      EXPORT_COLUMNS.forEach(column => {
+        entry[column.key] = isBlank(row[column.key]) ? null : row[column.key];
+      });
+      return entry;
+    })
+  }, null, 2);
+}
+
+// An Excel cell: dates as dates, amounts and quantities as numbers
+function sheetCell(value, kind) {
+  if (kind === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return { t: 'd', v: new Date(Date.UTC(year, month - 1, day)), z: DATE_FORMAT };
+  }
+  if ((kind === 'amount' || kind === 'number') && value !== '' && !isNaN(Number(value))) {
+    return { t: 'n', v: Number(value), ...(kind === 'amount' ? { z: AMOUNT_FORMAT } : {}) };
+  }
+  return { t: 's', v: String(value) };
+}
+
+function buildSheet(columns, rows) {
+  const table = [
+    columns.map(column => column.heading),
+    ...rows.map(row => columns.map(column => (isBlank(row[column.key]) ? null : row[column.key])))
+  ];
+  const sheet = XLSX.utils.aoa_to_sheet(table);
+  rows.forEach((row, r) => {
+    columns.forEach((column, c) => {
+      const value = row[column.key];
+      if (isBlank(value)) return;
+      sheet[XLSX.utils.encode_cell({ r: r + 1, c })] = sheetCell(value, column.kind);
+    });
+  });
+  sheet['!cols'] = columns.map(column => ({ wch: column.width }));
+  sheet['!autofilter'] = { ref: sheet['!ref'] };
+  return sheet;
+}
+
+/**
+ * Excel workbook of the rows: a sheet per record type with its columns,
+ * and a Summary sheet of the filters and totals
+ */
+function toXlsx(rows, { filters, records }) {
+  const workbook = XLSX.utils.book_new();
+  const summary = [
+    ['Exported', new Date().toLocaleString()],
+    ...Object.entries(filters).map(([name, value]) => [`Filter: ${name}`, value]),
+    [],
+    ['Sheet', 'Records', 'Rows', 'Grand Total']
+  ];
+
+  EXPORT_SHEETS.forEach(({ type, sheet }) => {
+    const typeRows = rows.filter(row => row.record_type === type);
+    if (typeRows.length === 0 && rows.length > 0) return;
+    const columns = EXPORT_COLUMNS.filter(column => column.key !== 'record_type' && column.types.includes(type));
+    XLSX.utils.book_append_sheet(workbook, buildSheet(columns, typeRows), sheet);
+    const total = typeRows.reduce((sum, row) => sum + (Number(row.grand_total) || 0), 0);
+    summary.push([sheet, records[type] || 0, typeRows.length, total]);
+  });
+
+  const summarySheet = XLSX.utils.aoa_to_sheet(summary);
+  Object.keys(summarySheet)
+    .filter(address => !address.startsWith('!') && XLSX.utils.decode_cell(address).c === 3 && typeof summarySheet[address].v === 'number')
+    .forEach(address => {
+      summarySheet[address].z = AMOUNT_FORMAT;
+    });
+  summarySheet['!cols'] = [{ wch: 18 }, { wch: 22 }, { wch: 8 }, { wch: 12 }];
+  XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+  workbook.SheetNames.unshift(workbook.SheetNames.pop());
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', cellDates: true });
+}
+
+/**
+ * The export file of `records` in `format`: { body, contentType }.
+ * `filters` are the query filters used, written into JSON and Excel files.
+ */
+function buildExport(records, format, filters) {
+  const rows = exportRows(records);
+  const counts = {};
+  records.forEach(record => {
+    counts[record.record_type] = (counts[record.record_type] || 0) + 1;
+  });
+
+  let body;
+  if (format === 'csv') body = toCsv(rows);
+  else if (format === 'json') body = toJson(rows, { filters, records: counts });
+  else body = toXlsx(rows, { filters, records: counts });
+  return { body, contentType: CONTENT_TYPES[format] };
+}
+
+/**
+ * Download file name: records_<from>_to_<to>.<format>, or
+ * records_<today>.<format> without a date range
+ */
+function exportFileName(format, { from, to } = {}) {
+  const today = new Date();
+  const pad = number => String(number).padStart(2, '0');
+  const range = from || to
+    ? `${from || 'start'}_to_${to || 'today'}`
+    : `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+  return `records_${range}.${format}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseFormat,
+  buildExport,
+  exportFileName
+};
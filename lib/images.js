@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Upload content types accepted, with the file extension they are saved as
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+const IMAGE_ID_PATTERN = /^[0-9a-f-]{36}\.(jpg|png|webp|gif)$/;
+const DATA_URL_PATTERN = /^data:(image\/[a-z+]+);base64,(.*)$/s;
+const THUMBNAIL_WIDTH = 320;
+
+// sharp is optional; without it thumbnails fall back to the original
+let sharp;
+try {
+  sharp = require('sharp');
+} catch (err) {
+  sharp = null;
+}
+
+function isDataUrl(value) {
+  return typeof value === 'string' && DATA_URL_PATTERN.test(value);
+}
+
+/**
+ * Device photo store. Originals are saved as <uuid>.<ext> under `dir`,
+ * thumbnails are generated on first request into `dir/thumbs`. Records hold
+ * only the image ID (the file name).
+ */
+function createImageStore(dir) {
+  const thumbsDir = path.join(dir, 'thumbs');
+
+  function isImageId(id) {
+    return typeof id === 'string' && IMAGE_ID_PATTERN.test(id);
+  }
+
+  function filePath(id) {
+    if (!isImageId(id)) return null;
+    const file = path.join(dir, id);
+    return fs.existsSync(file) ? file : null;
+  }
+
+  /**
+   * Save image bytes, returning the new image ID, or null when the content
+   * type is not a supported image
+   */
+  function save(buffer, contentType) {
+    const extension = EXTENSIONS[String(contentType).split(';')[0].trim().toLowerCase()];
+    if (!extension) return null;
+
+    fs.mkdirSync(dir, { recursive: true });
+    const id = `${crypto.randomUUID()}.${extension}`;
+    fs.writeFileSync(path.join(dir, id), buffer);
+    return id;
+  }
+
+  function saveDataUrl(dataUrl) {
+    const match = DATA_URL_PATTERN.exec(dataUrl);
+    if (!match) return null;
+    return save(Buffer.from(match[2], 'base64'), match[1]);
+  }
+
+  /**
+   * Path of the thumbnail for an image, created on first use. Returns the
+   * original when sharp is unavailable or cannot read the file.
+   */
+  async function thumbnailPath(id) {
+    const original = filePath(id);
+    if (!original || !sharp) return original;
+
+    const thumbnail = path.join(thumbsDir, `${id}.jpg`);
+    if (fs.existsSync(thumbnail)) return thumbnail;
+
+    try {
+      fs.mkdirSync(thumbsDir, { recursive: true });
+      await sharp(original).rotate().resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true }).jpeg({ quality: 80 }).toFile(thumbnail);
+      return thumbnail;
+    } catch (error) {
+      console.error('Error creating thumbnail:', error.message);
+      return original;
+    }
+  }
+
+  function remove(id) {
+    if (!isImageId(id)) return;
+    [path.join(dir, id), path.join(thumbsDir, `${id}.jpg`)].forEach(file => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+  }
+
+  return { dir, isImageId, filePath, save, saveDataUrl, thumbnailPath, remove };
+}
+
+module.exports = { createImageStore, isDataUrl, IMAGE_ID_PATTERN };
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const { HttpError } = require('./errors');
+const { SCHEMAS } = require('./schemas');
+const { validate } = require('./validation');
+const { defaultReceivedBy } = require('./attribution');
+
+/**
+ * Bulk import of services, laptops and vendors from other spreadsheets.
+ * A CSV or Excel file is read once and kept in memory; each column is then
+ * mapped to a field of the chosen record type (with a default for blank
+ * cells), and every row is turned into a record, validated against its
+ * schema and checked for duplicates. planImport() reports which rows would
+ * be created, which duplicate a record (or an earlier row) and which are
+ * invalid; the server saves the creates when the import is committed.
+ */
+
+// Collections that can be imported: their record type and business ID,
+// the fields a column can be imported into, and the fields that make a row
+// a duplicate of a record with the same values
+const IMPORT_TYPES = {
+  services: {
+    type: 'service',
+    key: 'service_id',
+    fields: ['date', 'customer_name', 'mobile_number', 'address', 'mobile_brand', 'model', 'imei1', 'imei2', 'issue', 'service_type', 'mobile_condition', 'accessories', 'received_by', 'estimated_delivery'],
+    duplicateKeys: ['date', 'imei1']
+  },
+  laptops: {
+    type: 'laptop',
+    key: 'laptop_id',
+    fields: ['date', 'contact_number', 'laptop_brand', 'model', 'condition', 'accessories', 'issue', 'received_by'],
+    duplicateKeys: ['date', 'contact_number', 'model']
+  },
+  vendors: {
+    type: 'vendor',
+    key: 'vendor_id',
+    fields: ['vendor_name', 'mobile_number', 'created_date'],
+    duplicateKeys: ['vendor_name']
+  }
+};
+
+// Other column headings suggested for a field (compared without case,
+// spaces or punctuation)
+const COLUMN_SYNONYMS = {
+  date: ['jobdate', 'receiveddate', 'datereceived', 'indate'],
+  customer_name: ['customer', 'name', 'customername'],
+  mobile_number: ['mobile', 'phone', 'mobileno', 'phoneno', 'contact', 'contactno'],
+  contact_number: ['mobile', 'phone', 'mobileno', 'phoneno', 'contact', 'contactno'],
+  mobile_brand: ['brand', 'make'],
+  laptop_brand: ['brand', 'make'],
+  imei1: ['imei', 'imeino'],
+  issue: ['problem', 'complaint', 'fault'],
+  service_type: ['service', 'servicetype', 'work'],
+  mobile_condition: ['condition'],
+  received_by: ['staff', 'receivedby'],
+  estimated_delivery: ['delivery', 'deliverydate', 'duedate'],
+  vendor_name: ['vendor', 'name', 'dealer', 'shop'],
+  created_date: ['date', 'since']
+};
+
+// Cells holding a list, split at commas and semicolons
+const LIST_FIELDS = ['service_type', 'accessories'];
+
+const DATE_FIELDS = ['date', 'estimated_delivery', 'created_date'];
+
+// Cells holding a number (spaces, dashes and a leading +91 are dropped)
+const DIGIT_FIELDS = ['mobile_number', 'contact_number', 'imei1', 'imei2'];
+
+// An upload is forgotten this long after it was made
+const UPLOAD_TTL_MS = 60 * 60 * 1000;
+
+function headingKey(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+function dateText(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Excel's cell value as the text the app stores
+function cellText(value) {
+  if (value instanceof Date) return dateText(value);
+  return String(value === undefined || value === null ? '' : value).trim();
+}
+
+/**
+ * A date cell as YYYY-MM-DD. Slashed and dashed dates are read day first
+ * (27/12/2025); anything else is left as it is for validation to report.
+ */
+function normalizeDate(text) {
+  const match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text);
+  if (!match) return text;
+  const [, day, month, year] = match;
+  return `${year.length === 2 ? `20${year}` : year}-${pad(month)}-${pad(day)}`;
+}
+
+function normalizeDigits(text) {
+  const digits = text.replace(/[\s-]/g, '').replace(/^\+91(?=\d{10}$)/, '');
+  return /^91\d{10}$/.test(digits) ? digits.slice(2) : digits;
+}
+
+/**
+ * Rows of the first sheet of a CSV or Excel file: { columns, rows }, each
+ * row an object of column heading -> text. Text files are read as they
+ * are, so dates and numbers are not reinterpreted.
+ */
+function readSpreadsheet(buffer) {
+  const zipOrOle = buffer[0] === 0x50 || buffer[0] === 0xd0;
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, raw: !zipOrOle });
+  } catch (error) {
+    throw new HttpError(422, `Could not read the file: ${error.message}`);
+  }
+
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const table = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: false }) : [];
+  if (table.length < 2) {
+    throw new HttpError(422, 'The file needs a row of column headings and at least one row of data');
+  }
+
+  const columns = table[0].map((heading, i) => cellText(heading).replace(/^\uFEFF/, '') || `Column ${i + 1}`);
+  const rows = table.slice(1).map(cells => {
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column] = cellText(cells[i]);
+    });
+    return row;
+  });
+  return { columns, rows };
+}
+
+/**
+ * Column suggested for each field of `collection`: { field: column }
+ */
+function suggestMapping(collection, columns) {
+  const mapping = {};
+  const taken = new Set();
+  IMPORT_TYPES[collection].fields.forEach(field => {
+    const keys = [headingKey(field), ...(COLUMN_SYNONYMS[field] || [])];
+    const column = columns.find(c => !taken.has(c) && keys.includes(headingKey(c)));
+    if (column) {
+      mapping[field] = column;
+      taken.add(column);
+    }
+  });
+  return mapping;
+}
+
+/**
+ * 422 unless `collection` can be imported and `mapping` ({ field: column })
+ * and `defaults` ({ field: text }) only name its fields and the file's
+ * columns
+ */
+function assertImportOptions(collection, { mapping, defaults }, columns) {
+  if (!Object.prototype.hasOwnProperty.call(IMPORT_TYPES, collection)) {
+    throw new HttpError(422, 'Validation failed', { fields: { type: 'Must be one of: services, laptops, vendors' } });
+  }
+  const importable = IMPORT_TYPES[collection].fields;
+  const fields = {};
+  Object.entries(mapping || {}).forEach(([field, column]) => {
+    if (!importable.includes(field)) fields[`mapping.${field}`] = 'Not a field that can be imported';
+    else if (column && !columns.includes(column)) fields[`mapping.${field}`] = `No column named ${column}`;
+  });
+  Object.keys(defaults || {}).forEach(field => {
+    if (!importable.includes(field)) fields[`defaults.${field}`] = 'Not a field that can be imported';
+  });
+  if (!Object.values(mapping || {}).some(Boolean)) fields.mapping = 'Map at least one column';
+  if (Object.keys(fields).length > 0) {
+    throw new HttpError(422, 'Validation failed', { fields });
+  }
+}
+
+/**
+ * The record body a row becomes
+ */
+function rowToRecord(collection, row, { mapping = {}, defaults = {} }, userName) {
+  const record = {};
+  IMPORT_TYPES[collection].fields.forEach(field => {
+    let text = mapping[field] ? row[mapping[field]] : '';
+    if (!text) text = cellText(defaults[field]);
+    if (!text) return;
+
+    if (DATE_FIELDS.includes(field)) text = normalizeDate(text);
+    if (DIGIT_FIELDS.includes(field)) text = normalizeDigits(text);
+    record[field] = LIST_FIELDS.includes(field)
+      ? text.split(/[,;]/).map(item => item.trim()).filter(Boolean)
+      : text;
+  });
+  return defaultReceivedBy(IMPORT_TYPES[collection].type, record, userName);
+}
+
+function duplicateKey(collection, record) {
+  const values = IMPORT_TYPES[collection].duplicateKeys.map(field => String(record[field] || '').toLowerCase());
+  return values.every(Boolean) ? JSON.stringify(values) : null;
+}
+
+/**
+ * What importing `rows` into `collection` would do, against the records in
+ * `db`. Rows are numbered as in the spreadsheet (the headings are row 1):
+ *
+ *   creates     [{ row, record }]                 valid new records
+ *   duplicates  [{ row, record, duplicate_of }]   same as a saved record
+ *                                                 (its ID) or an earlier row
+ *   errors      [{ row, record, fields }]         invalid, with the messages
+ */
+function planImport(db, collection, rows, options, userName) {
+  const { key } = IMPORT_TYPES[collection];
+  const existing = new Map();
+  db[collection].forEach(record => {
+    const dupKey = duplicateKey(collection, record);
+    if (dupKey) existing.set(dupKey, record[key]);
+  });
+
+  const plan = { creates: [], duplicates: [], errors: [] };
+  rows.forEach((row, i) => {
+    const rowNumber = i + 2;
+    const record = rowToRecord(collection, row, options, userName);
+    const fields = validate(SCHEMAS[collection], record);
+    if (Object.keys(fields).length > 0) {
+      plan.errors.push({ row: rowNumber, record, fields });
+      return;
+    }
+
+    const dupKey = duplicateKey(collection, record);
+    if (dupKey && existing.has(dupKey)) {
+      plan.duplicates.push({ row: rowNumber, record, duplicate_of: existing.get(dupKey) });
+      return;
+    }
+    if (dupKey) existing.set(dupKey, `row ${rowNumber}`);
+    plan.creates.push({ row: rowNumber, record });
+  });
+  return plan;
+}
+
+/**
+ * Uploaded files waiting to be imported, kept in memory
+ */
+function createUploadStore() {
+  // import_id -> { file_name, columns, rows, uploaded_by, expires_at }
+  const uploads = new Map();
+
+  function dropExpired() {
+    const now = Date.now();
+    uploads.forEach((upload, id) => {
+      if (upload.expires_at <= now) uploads.delete(id);
+    });
+  }
+
+  return {
+    add(upload) {
+      dropExpired();
+      const id = crypto.randomBytes(8).toString('hex');
+      uploads.set(id, { ...upload, expires_at: Date.now() + UPLOAD_TTL_MS });
+      return id;
+    },
+
+    /**
+     * The upload with `id`, or a 404 HttpError
+     */
+    get(id) {
+      dropExpired();
+      const upload = uploads.get(id);
+      if (!upload) {
+        throw new HttpError(404, 'Upload not found or expired; upload the file again');
+      }
+      return upload;
+    },
+
+    remove(id) {
+      uploads.delete(id);
+    }
+  };
+}
+
+module.exports = {
+  IMPORT_TYPES,
+  readSpreadsheet,
+  suggestMapping,
+  assertImportOptions,
+  planImport,
+  createUploadStore
+};
@@ -0,0 +1,81 @@
+const { COLLECTIONS } = require('../storage/collections');
+const { migrationStatus } = require('../migrations');
+const { SCHEMAS } = require('./schemas');
+const { validate } = require('./validation');
+const { readSettings } = require('./settings');
+
+/**
+ * Checks on stored collections loaded from a file someone else changed
+ * (app_data.xlsx edited in Excel). `errors` are problems the app cannot
+ * work with: a different schema version, rows without an ID or two rows
+ * with the same one. `warnings` are rows that would fail validation or
+ * point at a vendor that is missing (or not in the trash); the data still
+ * loads with them.
+ */
+
+// Warnings listed before the rest are only counted
+const MAX_WARNINGS = 20;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * { errors: [message], warnings: [message] } for stored collections
+ */
+function checkDatabase(data) {
+  const errors = [];
+  const warnings = [];
+
+  const { version, latest } = migrationStatus(data);
+  if (version !== latest) {
+    errors.push(`Meta sheet has schema version ${version}, this app needs ${latest}`);
+  }
+
+  COLLECTIONS.forEach(({ name, sheet, key }) => {
+    const seen = new Set();
+    (data[name] || []).forEach((row, index) => {
+      const id = row[key];
+      if (isBlank(id)) {
+        errors.push(`${sheet} row ${index + 2} has no ${key}`);
+      } else if (seen.has(String(id))) {
+        errors.push(`${sheet} has more than one row with ${key} ${id}`);
+      }
+      seen.add(String(id));
+
+      const schema = name !== 'settings' && SCHEMAS[name];
+      if (!schema) return;
+      Object.entries(validate(schema, row)).forEach(([field, message]) => {
+        warnings.push(`${sheet} ${id}: ${field} - ${message}`);
+      });
+    });
+  });
+
+  Object.entries(validate(SCHEMAS.settings, readSettings(data))).forEach(([field, message]) => {
+    warnings.push(`Settings: ${field} - ${message}`);
+  });
+
+  const vendorIds = new Set((data.vendors || []).map(vendor => String(vendor.vendor_id)));
+  [['vendor_phones', 'VendorPhones', 'phone_id'], ['vendor_bills', 'VendorBills', 'bill_id']].forEach(([name, sheet, key]) => {
+    (data[name] || [])
+      .filter(row => !vendorIds.has(String(row.vendor_id)))
+      .forEach(row => warnings.push(`${sheet} ${row[key]}: vendor ${row.vendor_id} does not exist`));
+  });
+
+  const trashedVendorIds = new Set((data.trash || [])
+    .filter(entry => entry.collection === 'vendors')
+    .map(entry => String(entry.record_id)));
+  [['trash_vendor_phones', 'TrashVendorPhones', 'phone_id'], ['trash_vendor_bills', 'TrashVendorBills', 'bill_id']].forEach(([name, sheet, key]) => {
+    (data[name] || [])
+      .filter(row => !trashedVendorIds.has(String(row.record_id)))
+      .forEach(row => warnings.push(`${sheet} ${row[key]}: vendor ${row.record_id} is not in the trash`));
+  });
+
+  if (warnings.length > MAX_WARNINGS) {
+    const more = warnings.length - MAX_WARNINGS;
+    warnings.splice(MAX_WARNINGS, more, `...and ${more} more`);
+  }
+  return { errors, warnings };
+}
+
+module.exports = { checkDatabase };
@@ -0,0 +1,77 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Roles of staff accounts and what each may do. Anything not listed here
+ * (taking in devices, updating records and phone statuses, the trash and
+ * settings) is open to every logged-in user.
+ */
+
+const ROLES = ['owner', 'counter', 'technician'];
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  counter: 'Counter Staff',
+  technician: 'Technician'
+};
+
+// Permission -> roles that have it
+const PERMISSIONS = {
+  // Save a new bill (service, laptop or vendor)
+  save_bills: ['owner', 'counter'],
+  // Change or remove a bill once it is saved
+  edit_saved_bills: ['owner'],
+  // Save a bill with a discount
+  give_discounts: ['owner'],
+  // Delete services, vendors and laptops, and purge them from the trash
+  delete_records: ['owner'],
+  // Make, look at and restore backups
+  manage_backups: ['owner'],
+  // Add staff accounts and change their name, role, PIN or active state
+  manage_staff: ['owner'],
+  // Import services, laptops and vendors from CSV and Excel files
+  import_records: ['owner'],
+  // Make pairing codes for LAN devices and revoke paired devices
+  manage_devices: ['owner'],
+  // Stop the server (POST /api/shutdown)
+  stop_server: ['owner']
+};
+
+/**
+ * Whether a user ({ role }) has `permission`
+ */
+function can(user, permission) {
+  return Boolean(user) && PERMISSIONS[permission].includes(user.role);
+}
+
+/**
+ * Every permission of a role, for the UI to hide what it cannot do
+ */
+function permissionsOf(role) {
+  return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+}
+
+/**
+ * 403 unless `user` has `permission`
+ */
+function assertPermission(user, permission) {
+  if (!can(user, permission)) {
+    const roles = PERMISSIONS[permission].map(role => ROLE_LABELS[role]).join(' or ');
+    throw new HttpError(403, `Only ${roles} accounts can do this`, { permission });
+  }
+}
+
+function hasDiscount(bill) {
+  return Number(bill.discount) > 0;
+}
+
+/**
+ * Check the bills a change adds, changes and removes (see billChanges() in
+ * lib/attribution.js) against the permissions of `user`
+ */
+function assertBillChanges(user, { added, changed, removed }) {
+  if (added.length > 0) assertPermission(user, 'save_bills');
+  if (changed.length > 0 || removed.length > 0) assertPermission(user, 'edit_saved_bills');
+  if ([...added, ...changed].some(hasDiscount)) assertPermission(user, 'give_discounts');
+}
+
+module.exports = { ROLES, ROLE_LABELS, can, permissionsOf, assertPermission, assertBillChanges };
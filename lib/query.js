@@ -0,0 +1,47 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Query-string helpers shared by the list endpoints
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+function positiveInteger(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new HttpError(400, `${name} must be a whole number of 1 or more`);
+  }
+  return number;
+}
+
+/**
+ * Start of the day of a YYYY-MM-DD query value (server time), or null
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : null;
+  if (!date || isNaN(date)) {
+    throw new HttpError(400, `${name} must be a date (YYYY-MM-DD)`);
+  }
+  return date;
+}
+
+/**
+ * One page of `items` for ?page=&limit= (limit capped at MAX_PAGE_SIZE):
+ * { items, total, page, limit, pages }
+ */
+function paginate(items, query) {
+  const page = positiveInteger(query.page, 'page', 1);
+  const limit = Math.min(positiveInteger(query.limit, 'limit', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    total: items.length,
+    page,
+    limit,
+    pages: Math.max(1, Math.ceil(items.length / limit))
+  };
+}
+
+module.exports = { parseDate, paginate };
@@ -0,0 +1,142 @@
+const { HttpError } = require('./errors');
+const { parseDate } = require('./query');
+
+/**
+ * Record list queries for /api/records and /api/<collection>. Every record
+ * carries its record_type ('service', 'vendor', 'laptop'); a vendor is
+ * matched by its phones for the brand, received_by and status filters.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+// How each filter reads a record of each type
+const RECORD_FIELDS = {
+  service: {
+    date: r => r.date,
+    brands: r => [r.mobile_brand],
+    staff: r => [r.received_by],
+    statuses: () => [],
+    billed: r => Boolean(r.bill),
+    search: r => [r.service_id, r.customer_name, r.mobile_number]
+  },
+  laptop: {
+    date: r => r.date,
+    brands: r => [r.laptop_brand],
+    staff: r => [r.received_by],
+    statuses: () => [],
+    billed: r => Boolean(r.bill),
+    search: r => [r.laptop_id, r.contact_number, r.laptop_brand, r.model]
+  },
+  vendor: {
+    date: r => r.created_date,
+    brands: r => (r.phones || []).map(phone => phone.brand),
+    staff: r => (r.phones || []).map(phone => phone.received_by),
+    statuses: r => (r.phones || []).map(phone => phone.status),
+    // Billed once it has a bill and no phone is waiting for one
+    billed: r => (r.bills || []).length > 0 && (r.phones || []).every(phone => phone.billed),
+    search: r => [r.vendor_id, r.vendor_name, r.mobile_number]
+  }
+};
+
+function lower(value) {
+  return String(value === undefined || value === null ? '' : value).toLowerCase();
+}
+
+function parseFlag(value, name) {
+  if (value === undefined || value === '') return null;
+  if (value !== 'true' && value !== 'false') {
+    throw new HttpError(400, `${name} must be true or false`);
+  }
+  return value === 'true';
+}
+
+function parseOption(value, name, options) {
+  if (value === undefined || value === '') return null;
+  if (!options.includes(value)) {
+    throw new HttpError(400, `${name} must be one of: ${options.join(', ')}`);
+  }
+  return value;
+}
+
+// Value a record is sorted on; `date` is the created_date of a vendor
+function sortValue(record, field) {
+  return field === 'date' ? RECORD_FIELDS[record.record_type].date(record) : record[field];
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Records matching the query, sorted:
+ *   type         service, laptop or vendor
+ *   q            text in the ID, name or mobile number
+ *   from / to    record date (YYYY-MM-DD, inclusive; a vendor's created_date)
+ *   brand        brand, any case (a vendor's phones)
+ *   received_by  staff name, any case (a vendor's phones)
+ *   status       phone status, any case (vendors only)
+ *   billed       true / false
+ *   sort, order  field to sort on and asc / desc (default: stored order;
+ *                empty values sort last either way)
+ */
+function queryRecords(records, query) {
+  const type = parseOption(query.type, 'type', Object.keys(RECORD_FIELDS));
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  const billed = parseFlag(query.billed, 'billed');
+  const order = parseOption(query.order, 'order', SORT_ORDERS) || 'asc';
+  const search = lower(query.q).trim();
+
+  const matches = (values, wanted) => !wanted || values.some(value => lower(value) === lower(wanted));
+
+  const filtered = records.filter(record => {
+    const fields = RECORD_FIELDS[record.record_type];
+    const time = new Date(`${fields.date(record)}T00:00:00`).getTime();
+    return (!type || record.record_type === type) &&
+      (!search || fields.search(record).some(value => lower(value).includes(search))) &&
+      (!from || time >= from.getTime()) &&
+      (!to || time < to.getTime() + DAY_MS) &&
+      matches(fields.brands(record), query.brand) &&
+      matches(fields.staff(record), query.received_by) &&
+      matches(fields.statuses(record), query.status) &&
+      (billed === null || fields.billed(record) === billed);
+  });
+
+  if (!query.sort) {
+    return order === 'desc' ? filtered.reverse() : filtered;
+  }
+
+  // Ties keep the stored order, newest first when descending
+  const sorted = order === 'desc' ? filtered.reverse() : filtered;
+  return sorted.sort((a, b) => {
+    const valueA = sortValue(a, query.sort);
+    const valueB = sortValue(b, query.sort);
+    if (isEmpty(valueA) || isEmpty(valueB)) return isEmpty(valueA) - isEmpty(valueB);
+    const result = compareValues(valueA, valueB);
+    return order === 'desc' ? -result : result;
+  });
+}
+
+/**
+ * Counts and bill totals of a list of records, for the All Records summary
+ */
+function summarizeRecords(records) {
+  const count = type => records.filter(r => r.record_type === type).length;
+  const bills = records.filter(r => r.bill);
+  return {
+    services: count('service'),
+    laptops: count('laptop'),
+    vendors: count('vendor'),
+    billed: bills.length,
+    revenue: bills.reduce((sum, r) => sum + (Number(r.bill.grand_total) || 0), 0)
+  };
+}
+
+module.exports = { queryRecords, summarizeRecords };
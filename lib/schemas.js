@@ -0,0 +1,171 @@
+const { IMAGE_ID_PATTERN } = require('./images');
+const { ROLES } = require('./permissions');
+
+/**
+ * Validation schemas for each record type accepted by the API (rules are
+ * described in lib/validation.js). Fields not listed are stored as sent.
+ */
+
+const TEXT = { type: 'string' };
+const REQUIRED_TEXT = { type: 'string', required: true };
+const TEXT_LIST = { type: 'array', items: TEXT };
+const DATE = { type: 'string', date: true };
+const REQUIRED_DATE = { ...DATE, required: true };
+const FLAG = { type: 'boolean' };
+const AMOUNT = { type: 'number', min: 0 };
+const MOBILE_NUMBER = { type: 'string', required: true, pattern: /^\d{10}$/, message: 'Must be a 10-digit mobile number' };
+const IMEI = { type: 'string', pattern: /^\d{15}$/, message: 'Must be a 15-digit IMEI number' };
+const IMAGE = { type: 'string', pattern: IMAGE_ID_PATTERN, message: 'Must be an uploaded image' };
+const RECORD_NUMBER = { type: 'number', integer: true, readOnly: true };
+
+function businessId(prefix) {
+  return { type: 'string', pattern: new RegExp(`^${prefix}\\d{3,}$`), message: `Must look like ${prefix}001`, readOnly: true };
+}
+
+const BILL_ITEM = {
+  type: 'object',
+  fields: {
+    item: TEXT,
+    breakout: TEXT,
+    price: { ...AMOUNT, required: true },
+    quantity: { type: 'number', integer: true, min: 1, required: true },
+    total: AMOUNT
+  }
+};
+
+const BILL_FIELDS = {
+  items: { type: 'array', required: true, items: BILL_ITEM },
+  subtotal: AMOUNT,
+  tax: AMOUNT,
+  // Only owners can give discounts (lib/permissions.js)
+  discount: AMOUNT,
+  grand_total: AMOUNT
+};
+
+// Bill saved on a service or laptop record
+const CUSTOMER_BILL = {
+  type: 'object',
+  fields: {
+    ...BILL_FIELDS,
+    warranty: TEXT,
+    from_date: DATE,
+    to_date: DATE
+  }
+};
+
+const SERVICE = {
+  service_id: businessId('SRV'),
+  id: RECORD_NUMBER,
+  date: REQUIRED_DATE,
+  customer_name: REQUIRED_TEXT,
+  mobile_number: MOBILE_NUMBER,
+  address: TEXT,
+  mobile_brand: REQUIRED_TEXT,
+  model: REQUIRED_TEXT,
+  imei1: { ...IMEI, required: true },
+  imei2: { ...IMEI, differentFrom: 'imei1', message: 'Must be different from IMEI 1' },
+  issue: REQUIRED_TEXT,
+  service_type: { ...TEXT_LIST, required: true },
+  mobile_condition: { type: 'string', required: true, oneOf: ['ON', 'Good', 'Water Lock', 'Damaged'] },
+  accessories: TEXT_LIST,
+  front_image: IMAGE,
+  back_image: IMAGE,
+  received_by: REQUIRED_TEXT,
+  estimated_delivery: REQUIRED_DATE,
+  bill: CUSTOMER_BILL
+};
+
+const LAPTOP = {
+  laptop_id: businessId('LAP'),
+  id: RECORD_NUMBER,
+  date: REQUIRED_DATE,
+  contact_number: MOBILE_NUMBER,
+  laptop_brand: REQUIRED_TEXT,
+  model: REQUIRED_TEXT,
+  condition: { type: 'string', required: true, oneOf: ['ON', 'OFF'] },
+  accessories: TEXT_LIST,
+  issue: REQUIRED_TEXT,
+  received_by: REQUIRED_TEXT,
+  bill: CUSTOMER_BILL
+};
+
+const VENDOR_PHONE = {
+  phone_id: TEXT,
+  date_received: REQUIRED_DATE,
+  brand: REQUIRED_TEXT,
+  model: REQUIRED_TEXT,
+  issue: REQUIRED_TEXT,
+  received_by: REQUIRED_TEXT,
+  status: TEXT,
+  completed: FLAG,
+  billed: FLAG,
+  bill_id: TEXT
+};
+
+const VENDOR_BILL = {
+  bill_id: TEXT,
+  date: DATE,
+  phone_ids: { type: 'array', required: true, items: REQUIRED_TEXT },
+  ...BILL_FIELDS
+};
+
+const VENDOR = {
+  vendor_id: businessId('VND'),
+  id: RECORD_NUMBER,
+  vendor_name: REQUIRED_TEXT,
+  mobile_number: MOBILE_NUMBER,
+  created_date: DATE,
+  phones: { type: 'array', items: { type: 'object', fields: VENDOR_PHONE } },
+  bills: { type: 'array', items: { type: 'object', fields: VENDOR_BILL } }
+};
+
+const WARRANTY_MONTHS = { type: 'number', integer: true, min: 1 };
+
+// Shop settings (lib/settings.js)
+const SETTINGS = {
+  shop: {
+    type: 'object',
+    fields: {
+      name: REQUIRED_TEXT,
+      address: TEXT,
+      phone: TEXT,
+      logo: IMAGE
+    }
+  },
+  mobile_brands: TEXT_LIST,
+  laptop_brands: TEXT_LIST,
+  models: {
+    type: 'array',
+    items: { type: 'object', fields: { brand: REQUIRED_TEXT, models: TEXT_LIST } }
+  },
+  tax_percent: { ...AMOUNT, required: true },
+  warranty_months: { type: 'array', required: true, items: { ...WARRANTY_MONTHS, required: true } },
+  default_warranty_months: { ...WARRANTY_MONTHS, required: true },
+  bill_terms: TEXT_LIST,
+  vendor_bill_terms: TEXT_LIST
+};
+
+// Staff accounts (lib/users.js); PINs are checked by assertPin()
+const USER = {
+  name: REQUIRED_TEXT,
+  role: { type: 'string', required: true, oneOf: ROLES },
+  active: FLAG
+};
+
+// Devices paired in LAN mode (lib/devices.js)
+const DEVICE = {
+  name: REQUIRED_TEXT
+};
+
+const SCHEMAS = {
+  services: SERVICE,
+  vendors: VENDOR,
+  laptops: LAPTOP,
+  vendor_phones: VENDOR_PHONE,
+  vendor_bills: VENDOR_BILL,
+  settings: SETTINGS,
+  users: USER,
+  devices: DEVICE
+};
+
+module.exports = { SCHEMAS };
@@ -0,0 +1,217 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Search across services, laptops, vendors and vendor phones and bills.
+ * Each query word is matched against the indexed fields of a record:
+ * exactly, as a prefix, inside the value, as the last digits of a number
+ * (the last 4 of a mobile number) or, for names and models, within one or
+ * two typos. A record matches when every word does; it scores the average
+ * of its words' best matches, weighted by the field that matched.
+ */
+
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Score of each kind of match, before the field weight
+const MATCH_SCORES = {
+  exact: 100,
+  prefix: 80,
+  suffix: 70,
+  contains: 60,
+  fuzzy: 45
+};
+
+// Lowest number of digits matched as the end of a number
+const MIN_SUFFIX_DIGITS = 4;
+
+// Field kinds: ids and numbers are never fuzzy-matched
+const FIELD_KINDS = {
+  id: { weight: 1, fuzzy: false },
+  number: { weight: 1, fuzzy: false, digits: true },
+  name: { weight: 0.9, fuzzy: true },
+  model: { weight: 0.7, fuzzy: true }
+};
+
+const RESULT_TYPES = ['service', 'laptop', 'vendor', 'vendor_phone', 'vendor_bill'];
+
+function normalize(value) {
+  return String(value === undefined || value === null ? '' : value).toLowerCase().trim();
+}
+
+/**
+ * Searchable entries of a database as storage.read() returns it:
+ * [{ record_type, record_id, vendor_id, title, subtitle, fields: [{ field, kind, value }] }]
+ */
+function buildIndex(db) {
+  const entry = (recordType, recordId, title, subtitle, fields, vendorId) => ({
+    record_type: recordType,
+    record_id: recordId,
+    vendor_id: vendorId,
+    title,
+    subtitle,
+    fields: fields.filter(f => normalize(f.value) !== '')
+  });
+
+  const services = db.services.map(s => entry('service', s.service_id, s.customer_name,
+    `${s.mobile_brand || ''} ${s.model || ''} | ${s.mobile_number || ''}`.trim(), [
+      { field: 'service_id', kind: 'id', value: s.service_id },
+      { field: 'customer_name', kind: 'name', value: s.customer_name },
+      { field: 'mobile_number', kind: 'number', value: s.mobile_number },
+      { field: 'imei1', kind: 'number', value: s.imei1 },
+      { field: 'imei2', kind: 'number', value: s.imei2 },
+      { field: 'model', kind: 'model', value: s.model },
+      { field: 'mobile_brand', kind: 'model', value: s.mobile_brand }
+    ]));
+
+  const laptops = db.laptops.map(l => entry('laptop', l.laptop_id, `${l.laptop_brand || ''} ${l.model || ''}`.trim(),
+    l.contact_number, [
+      { field: 'laptop_id', kind: 'id', value: l.laptop_id },
+      { field: 'contact_number', kind: 'number', value: l.contact_number },
+      { field: 'model', kind: 'model', value: l.model },
+      { field: 'laptop_brand', kind: 'model', value: l.laptop_brand }
+    ]));
+
+  const vendors = db.vendors.flatMap(v => [
+    entry('vendor', v.vendor_id, v.vendor_name, v.mobile_number, [
+      { field: 'vendor_id', kind: 'id', value: v.vendor_id },
+      { field: 'vendor_name', kind: 'name', value: v.vendor_name },
+      { field: 'mobile_number', kind: 'number', value: v.mobile_number }
+    ], v.vendor_id),
+    ...(v.phones || []).map(p => entry('vendor_phone', p.phone_id, `${p.brand || ''} ${p.model || ''}`.trim(),
+      `${v.vendor_name} | ${p.status || ''}`, [
+        { field: 'phone_id', kind: 'id', value: p.phone_id },
+        { field: 'model', kind: 'model', value: p.model },
+        { field: 'brand', kind: 'model', value: p.brand }
+      ], v.vendor_id)),
+    ...(v.bills || []).map(b => entry('vendor_bill', b.bill_id, `Bill ${b.bill_id}`,
+      `${v.vendor_name} | Rs. ${b.grand_total || 0}`, [
+        { field: 'bill_id', kind: 'id', value: b.bill_id },
+        { field: 'bill_number', kind: 'id', value: b.bill_number }
+      ], v.vendor_id))
+  ]);
+
+  return [...services, ...laptops, ...vendors];
+}
+
+/**
+ * Edit distance between two strings, or Infinity once it passes `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > max) return Infinity;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed in a word of this length
+function allowedTypos(length) {
+  if (length >= 8) return 2;
+  return length >= 4 ? 1 : 0;
+}
+
+/**
+ * Best score of one query word against one field value (0: no match)
+ */
+function scoreWord(word, { kind, value }) {
+  const { fuzzy, digits } = FIELD_KINDS[kind];
+  // Numbers are compared digits only (+91 98450-12345), and only to numbers
+  if (digits && !/^[\d+\-()]+$/.test(word)) return 0;
+  const text = digits ? normalize(value).replace(/\D/g, '') : normalize(value);
+  const query = digits ? word.replace(/\D/g, '') : word;
+  if (!query) return 0;
+
+  if (text === query) return MATCH_SCORES.exact;
+  if (text.startsWith(query)) return MATCH_SCORES.prefix;
+  if (digits && query.length >= MIN_SUFFIX_DIGITS && text.endsWith(query)) return MATCH_SCORES.suffix;
+
+  const words = text.split(/\s+/);
+  if (words.some(w => w.startsWith(query))) return MATCH_SCORES.prefix - 5;
+  if (text.includes(query)) return MATCH_SCORES.contains;
+
+  if (fuzzy) {
+    const typos = allowedTypos(query.length);
+    const distance = Math.min(...words.map(w => editDistance(query, w, typos)));
+    if (distance <= typos) return MATCH_SCORES.fuzzy - 10 * (distance - 1);
+  }
+  return 0;
+}
+
+/**
+ * Score an index entry against the query words: { score, matches } or null
+ */
+function scoreEntry(entry, words) {
+  const matches = new Map();
+  let total = 0;
+  for (const word of words) {
+    let best = 0;
+    let bestField = null;
+    entry.fields.forEach(field => {
+      const score = scoreWord(word, field) * FIELD_KINDS[field.kind].weight;
+      if (score > best) {
+        best = score;
+        bestField = field;
+      }
+    });
+    if (!bestField) return null;
+    total += best;
+    matches.set(bestField.field, String(bestField.value));
+  }
+  return {
+    score: Math.round(total / words.length),
+    matches: [...matches].map(([field, value]) => ({ field, value }))
+  };
+}
+
+/**
+ * Search a database for ?q= (at least 2 characters), optionally only
+ * ?type= results, best first, at most ?limit= (default 20, max 100):
+ * { query, total, results: [{ record_type, record_id, vendor_id, title,
+ * subtitle, score, matches: [{ field, value }] }] }
+ */
+function search(db, query) {
+  const q = normalize(query.q);
+  if (q.length < MIN_QUERY_LENGTH) {
+    throw new HttpError(400, `q must be at least ${MIN_QUERY_LENGTH} characters`);
+  }
+  if (query.type && !RESULT_TYPES.includes(query.type)) {
+    throw new HttpError(400, `type must be one of: ${RESULT_TYPES.join(', ')}`);
+  }
+  const limit = query.limit === undefined || query.limit === '' ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new HttpError(400, 'limit must be a whole number of 1 or more');
+  }
+
+  const words = q.split(/\s+/);
+  const results = buildIndex(db)
+    .filter(entry => !query.type || entry.record_type === query.type)
+    .map(entry => {
+      const scored = scoreEntry(entry, words);
+      if (!scored) return null;
+      const { fields, ...result } = entry;
+      return { ...result, ...scored };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score ||
+      RESULT_TYPES.indexOf(a.record_type) - RESULT_TYPES.indexOf(b.record_type) ||
+      String(a.record_id).localeCompare(String(b.record_id), undefined, { numeric: true }));
+
+  return {
+    query: query.q,
+    total: results.length,
+    results: results.slice(0, Math.min(limit, MAX_LIMIT))
+  };
+}
+
+module.exports = { buildIndex, search };
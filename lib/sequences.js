@@ -0,0 +1,169 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Server-side ID allocation. Every sequence keeps the last number it handed
+ * out in the Sequences collection ({ name, last }), so the ID of a deleted
+ * record is never reused. Allocation also looks past the IDs already stored,
+ * which lets databases from before the counters existed carry on where they
+ * left off. Callers run inside mutateDatabase, so allocation is atomic.
+ *
+ * Sequence names: 'SRV', 'VND', 'LAP' for business IDs, 'services',
+ * 'vendors', 'laptops' for the numeric `id`, '<vendor_id>-P' /
+ * '<vendor_id>-B' for each vendor's phones and bills, 'USR' for staff
+ * accounts and 'changelog' for the change_id of ChangeLog entries.
+ */
+
+const ID_DIGITS = 3;
+
+// Business ID of each top-level collection
+const RECORD_IDS = {
+  services: { prefix: 'SRV', field: 'service_id', label: 'Service' },
+  vendors: { prefix: 'VND', field: 'vendor_id', label: 'Vendor' },
+  laptops: { prefix: 'LAP', field: 'laptop_id', label: 'Laptop' }
+};
+
+function numberAfterPrefix(id, prefix) {
+  if (typeof id !== 'string' || !id.startsWith(prefix)) return 0;
+  const digits = id.slice(prefix.length);
+  return /^\d+$/.test(digits) ? parseInt(digits, 10) : 0;
+}
+
+function formatId(prefix, number) {
+  return prefix + String(number).padStart(ID_DIGITS, '0');
+}
+
+function sequenceRow(db, name) {
+  db.sequences = db.sequences || [];
+  let row = db.sequences.find(r => r.name === name);
+  if (!row) {
+    row = { name, last: 0 };
+    db.sequences.push(row);
+  }
+  return row;
+}
+
+/**
+ * Next number of a sequence, past its stored counter and every number in `used`
+ */
+function peekNumber(db, name, used) {
+  const row = (db.sequences || []).find(r => r.name === name);
+  const last = used.reduce((max, n) => Math.max(max, Number(n) || 0), row ? Number(row.last) || 0 : 0);
+  return last + 1;
+}
+
+/**
+ * Allocate the next number of a sequence and record it as issued
+ */
+function allocateNumber(db, name, used) {
+  const next = peekNumber(db, name, used);
+  sequenceRow(db, name).last = next;
+  return next;
+}
+
+/**
+ * Allocate the next `<prefix>NNN` ID, given the IDs already in use
+ */
+function allocateId(db, prefix, usedIds) {
+  const used = usedIds.map(id => numberAfterPrefix(id, prefix));
+  return formatId(prefix, allocateNumber(db, prefix, used));
+}
+
+/**
+ * Records of a collection, including those in the trash: they can be
+ * restored, so their IDs stay taken
+ */
+function recordsHoldingIds(db, collection) {
+  const trashed = (db.trash || [])
+    .filter(entry => entry.collection === collection)
+    .map(entry => entry.record);
+  return db[collection].concat(trashed);
+}
+
+/**
+ * Reject a client-supplied ID that is already taken
+ */
+function assertUnused(usedIds, id, label) {
+  if (usedIds.includes(id)) {
+    throw new HttpError(409, `${label} ID ${id} already exists`, { id });
+  }
+}
+
+/**
+ * Give a new record of `collection` its numeric `id` and business ID.
+ * A client-supplied business ID is kept if unused (409 if taken).
+ */
+function assignRecordIds(db, collection, record) {
+  const { prefix, field, label } = RECORD_IDS[collection];
+  const records = recordsHoldingIds(db, collection);
+  const usedIds = records.map(r => r[field]);
+
+  if (record[field]) {
+    assertUnused(usedIds, record[field], label);
+  } else {
+    record[field] = allocateId(db, prefix, usedIds);
+  }
+  record.id = allocateNumber(db, collection, records.map(r => r.id));
+  return record;
+}
+
+function assignVendorItemId(db, vendor, item, { list, field, suffix, label }) {
+  const usedIds = db.vendors.flatMap(v => (v[list] || []).map(entry => entry[field]));
+  if (item[field]) {
+    assertUnused(usedIds, item[field], label);
+  } else {
+    const prefix = `${vendor.vendor_id}-${suffix}`;
+    item[field] = allocateId(db, prefix, (vendor[list] || []).map(entry => entry[field]));
+  }
+  return item;
+}
+
+/**
+ * Give a phone received from `vendor` its phone_id (e.g. VND001-P004)
+ */
+function assignPhoneId(db, vendor, phone) {
+  return assignVendorItemId(db, vendor, phone, { list: 'phones', field: 'phone_id', suffix: 'P', label: 'Phone' });
+}
+
+/**
+ * Give a bill for `vendor` its bill_id (e.g. VND001-B002)
+ */
+function assignBillId(db, vendor, bill) {
+  return assignVendorItemId(db, vendor, bill, { list: 'bills', field: 'bill_id', suffix: 'B', label: 'Bill' });
+}
+
+/**
+ * Give a new staff account its USR001-style user_id
+ */
+function assignUserId(db, user) {
+  return { user_id: allocateId(db, 'USR', (db.users || []).map(u => u.user_id)), ...user };
+}
+
+/**
+ * Give a newly paired device its DEV001-style device_id
+ */
+function assignDeviceId(db, device) {
+  return { device_id: allocateId(db, 'DEV', (db.devices || []).map(d => d.device_id)), ...device };
+}
+
+/**
+ * Allocate the change_id of the next ChangeLog entry
+ */
+function nextChangeId(db) {
+  const last = (db.changelog || [])[(db.changelog || []).length - 1];
+  return allocateNumber(db, 'changelog', last ? [last.change_id] : []);
+}
+
+/**
+ * Business IDs the next service, vendor and laptop will get. For display
+ * only: nothing is reserved.
+ */
+function previewRecordIds(db) {
+  const preview = {};
+  Object.entries(RECORD_IDS).forEach(([collection, { prefix, field }]) => {
+    const used = recordsHoldingIds(db, collection).map(r => numberAfterPrefix(r[field], prefix));
+    preview[field] = formatId(prefix, peekNumber(db, prefix, used));
+  });
+  return preview;
+}
+
+module.exports = { assignRecordIds, assignPhoneId, assignBillId, assignUserId, assignDeviceId, nextChangeId, previewRecordIds };
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+/**
+ * Login sessions, kept in memory: a server restart logs everyone out. The
+ * browser only holds a random token in an HttpOnly cookie; the session
+ * remembers who logged in (and their role) and ends at logout or after
+ * `idleMs` without a request.
+ */
+
+const COOKIE_NAME = 'mylavan_session';
+
+/**
+ * Cookies of a Cookie header as { name: value }
+ */
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (error) {
+      // Not ours
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Set-Cookie value holding a session token, or clearing it
+ */
+function sessionCookie(token) {
+  const value = token ? `${COOKIE_NAME}=${token}` : `${COOKIE_NAME}=; Max-Age=0`;
+  return `${value}; Path=/; HttpOnly; SameSite=Strict`;
+}
+
+// The part of a user a session keeps
+function sessionUser(user) {
+  return { user_id: user.user_id, name: user.name, role: user.role };
+}
+
+function createSessionStore({ idleMs }) {
+  // token -> { user: { user_id, name, role }, created_at, last_seen }
+  const sessions = new Map();
+
+  return {
+    /**
+     * Start a session for `user`; returns its token
+     */
+    create(user) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const now = Date.now();
+      sessions.set(token, { user: sessionUser(user), created_at: now, last_seen: now });
+      return token;
+    },
+
+    /**
+     * The session of the token in a Cookie header, or null if there is
+     * none or it has expired
+     */
+    fromCookie(header) {
+      const token = parseCookies(header)[COOKIE_NAME];
+      const session = token && sessions.get(token);
+      if (!session) return null;
+      if (Date.now() - session.last_seen > idleMs) {
+        sessions.delete(token);
+        return null;
+      }
+      session.last_seen = Date.now();
+      return { token, ...session };
+    },
+
+    destroy(token) {
+      sessions.delete(token);
+    },
+
+    /**
+     * End every session of a user (deactivated, or PIN reset)
+     */
+    destroyUser(userId) {
+      sessions.forEach((session, token) => {
+        if (session.user.user_id === userId) sessions.delete(token);
+      });
+    },
+
+    /**
+     * Give the open sessions of a renamed user, or one with a new role,
+     * the new name and role
+     */
+    updateUser(user) {
+      sessions.forEach(session => {
+        if (session.user.user_id === user.user_id) session.user = sessionUser(user);
+      });
+    }
+  };
+}
+
+/**
+ * Wrong-PIN lockout: after `maxAttempts` wrong PINs in a row an account
+ * cannot log in for `lockoutMs`. Also used for pairing codes (keyed by
+ * address); `what` names the secret in the 429 message.
+ */
+function createLoginGuard({ maxAttempts, lockoutMs, what = 'PINs' }) {
+  // user_id (or address) -> { count, locked_until }
+  const failures = new Map();
+
+  return {
+    /**
+     * 429 with Retry-After seconds while the account is locked
+     */
+    assertAllowed(userId) {
+      const entry = failures.get(userId);
+      if (!entry || !entry.locked_until) return;
+      const wait = Math.ceil((entry.locked_until - Date.now()) / 1000);
+      if (wait <= 0) {
+        failures.delete(userId);
+        return;
+      }
+      throw new HttpError(429, `Too many wrong ${what}. Try again in ${wait} seconds.`, { retry_after: wait });
+    },
+
+    failed(userId) {
+      const entry = failures.get(userId) || { count: 0, locked_until: null };
+      entry.count++;
+      if (entry.count >= maxAttempts) entry.locked_until = Date.now() + lockoutMs;
+      failures.set(userId, entry);
+    },
+
+    succeeded(userId) {
+      failures.delete(userId);
+    }
+  };
+}
+
+module.exports = { parseCookies, sessionCookie, createSessionStore, createLoginGuard };
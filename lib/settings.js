@@ -0,0 +1,77 @@
+/**
+ * Shop settings: the shop profile printed on bills, brand and model
+ * suggestions, default tax and warranty options (staff are accounts in the
+ * Users collection, see users.js). Stored in the
+ * Settings collection as one { key, value } row per setting; a setting
+ * without a row has its default.
+ */
+
+const DEFAULT_SETTINGS = {
+  shop: {
+    name: 'MYLAVAN MOBILE SERVICE',
+    address: 'Shop no. 23, New municipality complex\nold bus stand, Vellore 632004',
+    phone: '+91-7339559582',
+    // Uploaded image ID; the bundled logo.png when empty
+    logo: ''
+  },
+  mobile_brands: [
+    'Samsung', 'Apple', 'Vivo', 'Oppo', 'Realme', 'Redmi', 'OnePlus', 'Motorola', 'Nokia', 'Poco',
+    'Lava', 'Infinix', 'Xiaomi', 'Google Pixel', 'Nothing', 'Tecno', 'Itel', 'Honor', 'iQOO', 'Asus'
+  ],
+  laptop_brands: ['HP', 'Dell', 'Lenovo', 'Asus', 'Acer', 'Apple', 'MSI', 'Samsung', 'Microsoft', 'LG', 'Huawei'],
+  // Model suggestions per brand: [{ brand, models: [...] }]
+  models: [],
+  tax_percent: 0,
+  warranty_months: [3, 6],
+  default_warranty_months: 3,
+  bill_terms: [
+    'Warranty void if the device is tampered.',
+    'No warranty on water damage.',
+    'Goods once sold will not be taken back.'
+  ],
+  vendor_bill_terms: [
+    'NO WARRANTY (B2B Service)',
+    'Goods once sold will not be taken back.',
+    'Payment due upon delivery.'
+  ]
+};
+
+const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS);
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Every setting of a database, defaults filled in
+ */
+function readSettings(db) {
+  const settings = copy(DEFAULT_SETTINGS);
+  (db.settings || []).forEach(row => {
+    if (SETTING_KEYS.includes(row.key)) settings[row.key] = row.value;
+  });
+  return settings;
+}
+
+/**
+ * `settings` with the known settings of `update` applied. The shop profile
+ * is merged field by field; any other setting is replaced as a whole.
+ */
+function mergeSettings(settings, update) {
+  const merged = copy(settings);
+  SETTING_KEYS.filter(key => update[key] !== undefined).forEach(key => {
+    merged[key] = key === 'shop' && update.shop !== null && typeof update.shop === 'object'
+      ? { ...merged.shop, ...update.shop }
+      : update[key];
+  });
+  return merged;
+}
+
+/**
+ * Store every setting in the Settings collection of a database being mutated
+ */
+function writeSettings(db, settings) {
+  db.settings = SETTING_KEYS.map(key => ({ key, value: settings[key] }));
+}
+
+module.exports = { DEFAULT_SETTINGS, readSettings, mergeSettings, writeSettings };
@@ -0,0 +1,75 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Recycle bin. Deleting a service, vendor or laptop moves it into the Trash
+ * collection as { record_id, record_type, collection, deleted_at,
+ * deleted_by, record }, from where it can be restored or purged for good.
+ * A vendor goes to the trash together with its phones and bills.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function findTrashIndex(db, recordId) {
+  const index = (db.trash || []).findIndex(entry => entry.record_id === recordId);
+  if (index === -1) {
+    throw new HttpError(404, `${recordId} is not in the trash`);
+  }
+  return index;
+}
+
+/**
+ * Move db[collection][index] to the trash. Returns the trash entry.
+ */
+function trashRecord(db, collection, index, { type, key, user }) {
+  const [record] = db[collection].splice(index, 1);
+  const entry = {
+    record_id: record[key],
+    record_type: type,
+    collection,
+    deleted_at: new Date().toISOString(),
+    deleted_by: user,
+    record
+  };
+
+  db.trash = db.trash || [];
+  db.trash.push(entry);
+  return entry;
+}
+
+/**
+ * Put a trashed record back in its collection, in `id` order. keyOf(collection)
+ * names the business ID field; 409 if a record with the same ID exists again.
+ */
+function restoreRecord(db, recordId, keyOf) {
+  const index = findTrashIndex(db, recordId);
+  const entry = db.trash[index];
+  const records = db[entry.collection];
+  const key = keyOf(entry.collection);
+
+  if (records.some(r => r[key] === recordId)) {
+    throw new HttpError(409, `A record with ID ${recordId} already exists`);
+  }
+
+  db.trash.splice(index, 1);
+  const position = records.findIndex(r => Number(r.id) > Number(entry.record.id));
+  records.splice(position === -1 ? records.length : position, 0, entry.record);
+  return entry;
+}
+
+/**
+ * Remove a record from the trash for good. Returns the trash entry.
+ */
+function purgeRecord(db, recordId) {
+  const [entry] = db.trash.splice(findTrashIndex(db, recordId), 1);
+  return entry;
+}
+
+/**
+ * Trash entries deleted more than `retentionDays` ago
+ */
+function expiredEntries(db, retentionDays, now = Date.now()) {
+  const cutoff = now - retentionDays * DAY_MS;
+  return (db.trash || []).filter(entry => new Date(entry.deleted_at).getTime() < cutoff);
+}
+
+module.exports = { trashRecord, restoreRecord, purgeRecord, expiredEntries };
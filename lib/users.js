@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+/**
+ * Staff accounts, kept in the Users collection as { user_id, name, role,
+ * pin_hash, active, created_at }; the role decides what they may do (see
+ * lib/permissions.js). Staff log in by picking their name and
+ * entering a PIN of 4 to 8 digits, stored only as a salted scrypt hash. An
+ * account without a PIN (new, or reset) cannot log in until an owner sets
+ * one; while no owner has a PIN (a new or migrated database), an owner
+ * account sets its own with a one-time setup code shown only on the
+ * server's computer. Deactivated accounts keep their name in old records
+ * but cannot log in.
+ */
+
+const PIN_PATTERN = /^\d{4,8}$/;
+const HASH_BYTES = 32;
+const SETUP_CODE_DIGITS = 6;
+
+function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(pin, salt, HASH_BYTES).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+/**
+ * Whether `pin` is the PIN of `user`
+ */
+function verifyPin(user, pin) {
+  const [scheme, salt, hash] = String(user.pin_hash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof pin !== 'string') return false;
+  const expected = Buffer.from(hash, 'hex');
+  return crypto.timingSafeEqual(expected, crypto.scryptSync(pin, salt, expected.length));
+}
+
+/**
+ * 422 unless `pin` is 4 to 8 digits; `field` names it in the error
+ */
+function assertPin(pin, field = 'pin') {
+  if (typeof pin !== 'string' || !PIN_PATTERN.test(pin)) {
+    throw new HttpError(422, 'Validation failed', { fields: { [field]: 'Must be 4 to 8 digits' } });
+  }
+}
+
+function isActive(user) {
+  return user.active !== false;
+}
+
+/**
+ * A user as the API returns it: no PIN hash, but whether a PIN is set
+ */
+function publicUser(user) {
+  const { pin_hash, ...rest } = user;
+  return { ...rest, active: isActive(user), has_pin: Boolean(pin_hash) };
+}
+
+/**
+ * The user with `userId`, or a 404 HttpError
+ */
+function findUser(db, userId) {
+  const user = (db.users || []).find(u => u.user_id === userId);
+  if (!user) {
+    throw new HttpError(404, `User ${userId} not found`);
+  }
+  return user;
+}
+
+/**
+ * 409 if another account already has `name` (any case)
+ */
+function assertNameFree(db, name, userId) {
+  const taken = (db.users || []).some(u => u.user_id !== userId && u.name.toLowerCase() === name.toLowerCase());
+  if (taken) {
+    throw new HttpError(409, `There is already a staff account named ${name}`);
+  }
+}
+
+/**
+ * 409 unless `users` keep an active owner, so what only owners can do
+ * (managing staff included) is never out of reach
+ */
+function assertOwnerLeft(users) {
+  if (!users.some(user => user.role === 'owner' && isActive(user))) {
+    throw new HttpError(409, 'There must be at least one active owner account');
+  }
+}
+
+/**
+ * Whether no active owner has a PIN, so nobody could set one for the others
+ */
+function needsOwnerSetup(users) {
+  return !users.some(user => user.role === 'owner' && isActive(user) && user.pin_hash);
+}
+
+/**
+ * A new one-time setup code
+ */
+function newSetupCode() {
+  return String(crypto.randomInt(10 ** SETUP_CODE_DIGITS)).padStart(SETUP_CODE_DIGITS, '0');
+}
+
+module.exports = {
+  hashPin,
+  verifyPin,
+  assertPin,
+  isActive,
+  publicUser,
+  findUser,
+  assertNameFree,
+  assertOwnerLeft,
+  needsOwnerSetup,
+  newSetupCode
+};
@@ -0,0 +1,143 @@
+const { HttpError } = require('./errors');
+
+/**
+ * Declarative request validation. A schema maps field names to rules:
+ *
+ *   required       value must be present (not missing, null, '' or [])
+ *   type           'string', 'number', 'boolean', 'array' or 'object'
+ *   pattern        RegExp a string must match, explained by `message`
+ *   date           string must be a YYYY-MM-DD calendar date
+ *   oneOf          list of allowed values
+ *   integer / min  whole number / lowest allowed number
+ *   differentFrom  sibling field the value must not equal (`message`)
+ *   readOnly       value cannot be changed by an update
+ *   items          rule for every element of an array
+ *   fields         schema for a nested object
+ *
+ * Errors come back as { field: message }, nested fields as dotted paths
+ * such as `bill.items.0.price`, and are sent as a 422 response.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NOT_AN_OBJECT = 'Request body must be a JSON object';
+
+const TYPE_NAMES = {
+  string: 'text',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object'
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function isCalendarDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+function checkValue(rule, value, path, parent, errors) {
+  if (isEmpty(value)) {
+    if (rule.required) errors[path] = 'This field is required';
+    return;
+  }
+  if (rule.type && typeOf(value) !== rule.type) {
+    errors[path] = `Must be ${TYPE_NAMES[rule.type]}`;
+  } else if (rule.pattern && !rule.pattern.test(value)) {
+    errors[path] = rule.message || 'Invalid format';
+  } else if (rule.date && !isCalendarDate(value)) {
+    errors[path] = 'Must be a date (YYYY-MM-DD)';
+  } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+    errors[path] = `Must be one of: ${rule.oneOf.join(', ')}`;
+  } else if (rule.integer && !Number.isInteger(value)) {
+    errors[path] = 'Must be a whole number';
+  } else if (rule.min !== undefined && value < rule.min) {
+    errors[path] = `Must be at least ${rule.min}`;
+  } else if (rule.differentFrom && value === parent[rule.differentFrom]) {
+    errors[path] = rule.message || `Must be different from ${rule.differentFrom}`;
+  } else if (rule.items) {
+    value.forEach((item, i) => checkValue(rule.items, item, `${path}.${i}`, value, errors));
+  } else if (rule.fields) {
+    checkFields(rule.fields, value, `${path}.`, errors);
+  }
+}
+
+function checkFields(schema, record, prefix, errors) {
+  Object.entries(schema).forEach(([field, rule]) => {
+    checkValue(rule, record[field], prefix + field, record, errors);
+  });
+}
+
+/**
+ * Field errors of a record against a schema, as { path: message }
+ */
+function validate(schema, record) {
+  if (typeOf(record) !== 'object') {
+    return { body: NOT_AN_OBJECT };
+  }
+  const errors = {};
+  checkFields(schema, record, '', errors);
+  return errors;
+}
+
+function valueAt(record, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+function readOnlyErrors(schema, oldRecord, newRecord, prefix, errors) {
+  Object.entries(schema).forEach(([field, rule]) => {
+    const oldValue = oldRecord[field];
+    if (rule.readOnly && !isEmpty(oldValue) && newRecord[field] !== oldValue) {
+      errors[prefix + field] = 'Cannot be changed';
+    }
+  });
+}
+
+function throwIfInvalid(errors) {
+  if (Object.keys(errors).length > 0) {
+    throw new HttpError(422, 'Validation failed', { fields: errors });
+  }
+}
+
+/**
+ * Reject a request body that is not a JSON object
+ */
+function assertObject(body) {
+  if (typeOf(body) !== 'object') {
+    throwIfInvalid({ body: NOT_AN_OBJECT });
+  }
+}
+
+/**
+ * Check a new record; throws a 422 HttpError listing every invalid field
+ */
+function assertValid(schema, record) {
+  throwIfInvalid(validate(schema, record));
+}
+
+/**
+ * Check a record after an update was merged into it. Only fields the
+ * update changed are reported, so records saved before validation existed
+ * can still be edited.
+ */
+function assertValidUpdate(schema, oldRecord, newRecord) {
+  const errors = validate(schema, newRecord);
+  Object.keys(errors).forEach(path => {
+    if (JSON.stringify(valueAt(oldRecord, path)) === JSON.stringify(valueAt(newRecord, path))) {
+      delete errors[path];
+    }
+  });
+  readOnlyErrors(schema, oldRecord, newRecord, '', errors);
+  throwIfInvalid(errors);
+}
+
+module.exports = { validate, assertObject, assertValid, assertValidUpdate };
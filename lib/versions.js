@@ -0,0 +1,130 @@
+const { HttpError } = require('./errors');
+const { diffRecords } = require('./diff');
+const { assembleVendors } = require('../storage/vendors');
+
+/**
+ * Record versions for optimistic concurrency. Every service, vendor and
+ * laptop carries a `version` that goes up by one with each change to it
+ * (including a phone or bill added to a vendor) and is sent as its ETag.
+ * An update names the version it was made from in If-Match; if the record
+ * has moved on since, the update is refused with a 409 carrying the
+ * current copy, so a counter never silently overwrites another's change.
+ */
+
+// Collections whose records are versioned, and their business ID
+const VERSION_KEYS = {
+  services: 'service_id',
+  vendors: 'vendor_id',
+  laptops: 'laptop_id'
+};
+
+const VERSIONED_COLLECTIONS = Object.keys(VERSION_KEYS);
+
+/**
+ * Version of a record (1 for one saved before records had versions)
+ */
+function versionOf(record) {
+  return Number(record.version) || 1;
+}
+
+/**
+ * ETag header value of a record: its version, quoted
+ */
+function etagOf(record) {
+  return `"${versionOf(record)}"`;
+}
+
+/**
+ * Count a change to a record being mutated
+ */
+function bumpVersion(record) {
+  record.version = versionOf(record) + 1;
+  return record;
+}
+
+/**
+ * Check an If-Match header against a record. A missing header is a 428 when
+ * `required`; a header naming none of the record's version (or `*`) is a
+ * 409 with the record as `current`.
+ */
+function assertVersion(ifMatch, record, { required = false, label = 'Record' } = {}) {
+  if (!ifMatch) {
+    if (!required) return;
+    throw new HttpError(428, 'If-Match header required: send the version (ETag) of the record being changed', {
+      current: record
+    });
+  }
+
+  const versions = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, '').replace(/"/g, ''));
+  if (versions.includes('*') || versions.includes(String(versionOf(record)))) return;
+  throw new HttpError(409, `${label} was changed by someone else since it was loaded`, {
+    version: versionOf(record),
+    current: record
+  });
+}
+
+/**
+ * Highest version of each versioned record of `db` by collection and
+ * business ID, trashed records included
+ */
+function versionsById(db) {
+  const versions = {};
+  VERSIONED_COLLECTIONS.forEach(collection => {
+    versions[collection] = new Map();
+  });
+  const entries = [
+    ...VERSIONED_COLLECTIONS.flatMap(collection => (db[collection] || []).map(record => [collection, record])),
+    ...(db.trash || []).map(entry => [entry.collection, entry.record])
+  ];
+  entries.filter(([collection]) => VERSION_KEYS[collection]).forEach(([collection, record]) => {
+    const id = record[VERSION_KEYS[collection]];
+    versions[collection].set(id, Math.max(versions[collection].get(id) || 0, versionOf(record)));
+  });
+  return versions;
+}
+
+/**
+ * Give every versioned record of `restored` (in its trash too) a version
+ * above the one in `live` with the same business ID, live or trashed, and
+ * above its own, so an edit made from a copy loaded before a restore cannot
+ * match. Row numbers (`id`) are not used: data from before IDs were
+ * allocated by the server can repeat them.
+ */
+function supersedeVersions(restored, live) {
+  const liveVersions = versionsById(live);
+  const supersede = (collection, record) => {
+    const previous = liveVersions[collection].get(record[VERSION_KEYS[collection]]) || 0;
+    record.version = Math.max(versionOf(record), previous) + 1;
+  };
+  VERSIONED_COLLECTIONS.forEach(collection => {
+    (restored[collection] || []).forEach(record => supersede(collection, record));
+  });
+  (restored.trash || [])
+    .filter(entry => VERSION_KEYS[entry.collection])
+    .forEach(entry => supersede(entry.collection, entry.record));
+}
+
+/**
+ * Versions for stored collections reloaded after another program (Excel)
+ * changed the file: `next` is the new data, `previous` the copy it replaces.
+ * Every record keeps the higher of its two versions, plus one if anything in
+ * it changed (for a vendor, its phones and bills too), so an edit made from
+ * a copy loaded before the change is refused instead of overwriting it.
+ * Returns `next`.
+ */
+function carryVersions(previous, next) {
+  const before = assembleVendors(previous);
+  const after = assembleVendors(next);
+  Object.entries(VERSION_KEYS).forEach(([collection, key]) => {
+    const previousById = new Map((before[collection] || []).map(record => [record[key], record]));
+    (after[collection] || []).forEach((record, index) => {
+      const old = previousById.get(record[key]);
+      if (!old) return;
+      const changed = diffRecords(old, record).length > 0;
+      next[collection][index].version = Math.max(versionOf(old), versionOf(record)) + (changed ? 1 : 0);
+    });
+  });
+  return next;
+}
+
+module.exports = { VERSIONED_COLLECTIONS, versionOf, etagOf, bumpVersion, assertVersion, supersedeVersions, carryVersions };
@@ -0,0 +1,47 @@
+const config = require('./config');
+const { createExcelEngine, createSqliteEngine } = require('./storage');
+const { COLLECTIONS } = require('./storage/collections');
+
+// Copy app_data.xlsx into the SQLite store.
+// Usage: node migrate-storage.js [--force]
+//   --force  replace data already present in the SQLite file
+
+const force = process.argv.includes('--force');
+const source = createExcelEngine(config.storage.excelFile);
+
+if (!source.exists()) {
+  console.error('✗ Excel database not found:', source.file);
+  process.exit(1);
+}
+
+const target = createSqliteEngine(config.storage.sqliteFile);
+const existing = target.read();
+const existingCount = COLLECTIONS.reduce((sum, c) => sum + existing[c.name].length, 0);
+
+if (existingCount > 0 && !force) {
+  console.error(`✗ ${target.file} already holds ${existingCount} rows. Re-run with --force to replace them.`);
+  process.exit(1);
+}
+
+const data = source.read();
+target.write(data);
+
+// Read back and compare every collection row by row
+const copied = target.read();
+let ok = true;
+COLLECTIONS.forEach(collection => {
+  const expected = data[collection.name];
+  const actual = copied[collection.name];
+  const matches = expected.length === actual.length &&
+    expected.every((row, i) => JSON.stringify(row) === JSON.stringify(actual[i]));
+  console.log(`${matches ? '✓' : '✗'} ${collection.sheet}: ${actual.length} of ${expected.length} rows copied`);
+  if (!matches) ok = false;
+});
+
+if (!ok) {
+  console.error('✗ Migration verification failed. app_data.xlsx was not changed.');
+  process.exit(1);
+}
+
+console.log('✓ Migration complete:', target.file);
+console.log('✓ Set "engine": "sqlite" under "storage" in config.json to use it.');
@@ -0,0 +1,44 @@
+const config = require('./config');
+const { createStorage } = require('./storage');
+const { createImageStore } = require('./lib/images');
+const { createBackup } = require('./lib/backups');
+const { LATEST_VERSION, migrationStatus, runMigrations } = require('./migrations');
+
+// Report or apply schema migrations for the configured storage engine.
+// Usage: node migrate.js        show the schema version and pending migrations
+//        node migrate.js up     apply pending migrations (backs up first)
+// The server applies pending migrations on startup; stop it before running `up`.
+
+const storage = createStorage(config.storage);
+const command = process.argv[2] || 'status';
+
+if (command === 'status') {
+  const { version, pending } = migrationStatus(storage.engine.read());
+  console.log(`Database: ${storage.file} (${storage.name})`);
+  console.log(`Schema version: ${version} (latest ${LATEST_VERSION})`);
+
+  if (version > LATEST_VERSION) {
+    console.log('⚠ This database was written by a newer version of the app');
+  } else if (pending.length === 0) {
+    console.log('✓ Up to date');
+  } else {
+    console.log(`Pending migrations (${pending.length}):`);
+    pending.forEach(migration => console.log(`  ${migration.name} - ${migration.description}`));
+  }
+} else if (command === 'up') {
+  try {
+    const applied = runMigrations(storage.engine, {
+      backup: () => createBackup(storage, 'pre-migration'),
+      context: { images: createImageStore(config.uploads.dir) }
+    });
+    console.log(applied.length > 0
+      ? `✓ Applied ${applied.length} migration(s), schema version is now ${LATEST_VERSION}`
+      : '✓ Already up to date');
+  } catch (error) {
+    console.error('✗ Migration failed:', error.message);
+    process.exit(1);
+  }
+} else {
+  console.error(`✗ Unknown command "${command}". Use: node migrate.js [status|up]`);
+  process.exit(1);
+}
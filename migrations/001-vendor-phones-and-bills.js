@@ -0,0 +1,13 @@
+const { assembleVendors, splitVendors } = require('../storage/vendors');
+
+/**
+ * Vendors used to keep their phones and bills as JSON arrays inside the
+ * Vendors sheet. Move them to VendorPhones and VendorBills, one row each.
+ */
+module.exports = {
+  description: 'Move vendor phones and bills into VendorPhones and VendorBills',
+
+  up(data) {
+    return splitVendors(assembleVendors(data));
+  }
+};
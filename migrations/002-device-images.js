@@ -0,0 +1,22 @@
+const { isDataUrl } = require('../lib/images');
+
+const IMAGE_FIELDS = ['front_image', 'back_image'];
+
+/**
+ * Services used to keep device photos as base64 text in front_image /
+ * back_image. Save them to the uploads folder and keep only the image ID.
+ */
+module.exports = {
+  description: 'Move base64 device photos into the uploads folder',
+
+  up(data, { images }) {
+    data.services.forEach(service => {
+      IMAGE_FIELDS.forEach(field => {
+        if (isDataUrl(service[field])) {
+          service[field] = images.saveDataUrl(service[field]);
+        }
+      });
+    });
+    return data;
+  }
+};
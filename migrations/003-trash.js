@@ -0,0 +1,12 @@
+/**
+ * Deleted services, vendors and laptops are kept in a Trash sheet until
+ * they are restored or purged.
+ */
+module.exports = {
+  description: 'Add the Trash sheet for deleted records',
+
+  up(data) {
+    data.trash = data.trash || [];
+    return data;
+  }
+};
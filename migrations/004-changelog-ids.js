@@ -0,0 +1,24 @@
+/**
+ * ChangeLog entries are numbered (change_id) so a single change can be
+ * looked up and reverted. Number the existing entries in order and start
+ * the 'changelog' sequence after them.
+ */
+module.exports = {
+  description: 'Number ChangeLog entries with a change_id',
+
+  up(data) {
+    data.changelog = data.changelog || [];
+    data.changelog.forEach((entry, index) => {
+      entry.change_id = index + 1;
+    });
+
+    data.sequences = data.sequences || [];
+    const row = data.sequences.find(r => r.name === 'changelog');
+    if (row) {
+      row.last = Math.max(Number(row.last) || 0, data.changelog.length);
+    } else {
+      data.sequences.push({ name: 'changelog', last: data.changelog.length });
+    }
+    return data;
+  }
+};
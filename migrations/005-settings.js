@@ -0,0 +1,17 @@
+const { DEFAULT_SETTINGS, writeSettings } = require('../lib/settings');
+
+/**
+ * The shop profile, brand lists, tax and warranty options used to be
+ * written into the pages. Keep them in a Settings sheet, starting from
+ * those values. Staff became accounts in the Users sheet (migration 007).
+ */
+module.exports = {
+  description: 'Add the Settings sheet with the shop profile, brands, tax and warranty options',
+
+  up(data) {
+    if (!data.settings || data.settings.length === 0) {
+      writeSettings(data, DEFAULT_SETTINGS);
+    }
+    return data;
+  }
+};
@@ -0,0 +1,19 @@
+const { VERSIONED_COLLECTIONS } = require('../lib/versions');
+
+/**
+ * Services, vendors and laptops carry a version number that every change
+ * raises, so an update made from an outdated copy can be refused. Existing
+ * records start at version 1.
+ */
+module.exports = {
+  description: 'Add a version to every service, vendor and laptop',
+
+  up(data) {
+    VERSIONED_COLLECTIONS.forEach(collection => {
+      (data[collection] || []).forEach(record => {
+        if (record.version === undefined || record.version === '') record.version = 1;
+      });
+    });
+    return data;
+  }
+};
@@ -0,0 +1,28 @@
+const { assignUserId } = require('../lib/sequences');
+
+// Staff names of the shop before the Settings sheet listed them
+const DEFAULT_STAFF = ['Syed Sajjid', 'Abdul Riyaz', 'Avinaush'];
+
+/**
+ * Staff log in with their own account. Turn the staff names of the
+ * Settings sheet into accounts without a PIN (the owner sets theirs with
+ * the setup code, then the others', see lib/users.js) and drop the setting.
+ */
+module.exports = {
+  description: 'Add the Users sheet with a staff account per staff name',
+
+  up(data) {
+    data.users = data.users || [];
+    const row = (data.settings || []).find(r => r.key === 'staff');
+    const names = row && Array.isArray(row.value) ? row.value : DEFAULT_STAFF;
+
+    if (data.users.length === 0) {
+      const createdAt = new Date().toISOString();
+      [...new Set(names.map(name => String(name).trim()).filter(Boolean))].forEach(name => {
+        data.users.push(assignUserId(data, { name, pin_hash: '', active: true, created_at: createdAt }));
+      });
+    }
+    data.settings = (data.settings || []).filter(r => r.key !== 'staff');
+    return data;
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Staff accounts have a role (lib/permissions.js). Make the first account
+ * the owner, so someone can delete records, edit bills and change the
+ * roles of the others, who start as counter staff.
+ */
+module.exports = {
+  description: 'Give every staff account a role: the first one owner, the rest counter staff',
+
+  up(data) {
+    const users = data.users || [];
+    const hasOwner = users.some(user => user.role === 'owner' && user.active !== false);
+    const firstActive = users.find(user => user.active !== false);
+
+    users.forEach(user => {
+      if (!user.role) user.role = 'counter';
+    });
+    if (!hasOwner && firstActive) firstActive.role = 'owner';
+    return data;
+  }
+};
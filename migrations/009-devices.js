@@ -0,0 +1,12 @@
+/**
+ * In LAN mode other computers pair with the server (lib/devices.js); the
+ * Devices sheet keeps them.
+ */
+module.exports = {
+  description: 'Add the Devices sheet for computers paired in LAN mode',
+
+  up(data) {
+    data.devices = data.devices || [];
+    return data;
+  }
+};
@@ -0,0 +1,14 @@
+const { assembleTrash, splitTrash } = require('../storage/vendors');
+
+/**
+ * A trashed vendor used to keep its phones and bills inside its Trash row,
+ * one cell that a long history could push past Excel's limit. Move them to
+ * TrashVendorPhones and TrashVendorBills, one row each.
+ */
+module.exports = {
+  description: 'Move the phones and bills of trashed vendors into TrashVendorPhones and TrashVendorBills',
+
+  up(data) {
+    return splitTrash(assembleTrash(data));
+  }
+};
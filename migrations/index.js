@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Schema migrations. Every NNN-description.js file in this folder exports
+ * { description, up(data, context) }: `up` gets the stored collections
+ * (vendor phones and bills as separate rows) and returns them migrated.
+ * NNN is the schema version the migration brings the database to; the
+ * database keeps its version in the Meta collection as `schema_version`.
+ */
+
+const MIGRATION_FILE_PATTERN = /^(\d+)-.+\.js$/;
+
+function loadMigrations() {
+  return fs.readdirSync(__dirname)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(entry => entry.match)
+    .map(({ file, match }) => ({
+      version: parseInt(match[1], 10),
+      name: path.basename(file, '.js'),
+      ...require(path.join(__dirname, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+const MIGRATIONS = loadMigrations();
+const LATEST_VERSION = MIGRATIONS.length > 0 ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+
+function getSchemaVersion(data) {
+  const row = (data.meta || []).find(r => r.key === 'schema_version');
+  return row ? Number(row.value) || 0 : 0;
+}
+
+function setSchemaVersion(data, version) {
+  data.meta = data.meta || [];
+  const row = data.meta.find(r => r.key === 'schema_version');
+  if (row) {
+    row.value = version;
+  } else {
+    data.meta.push({ key: 'schema_version', value: version });
+  }
+}
+
+/**
+ * Schema version of stored collections and the migrations still to run
+ */
+function migrationStatus(data) {
+  const version = getSchemaVersion(data);
+  return {
+    version,
+    latest: LATEST_VERSION,
+    pending: MIGRATIONS.filter(migration => migration.version > version)
+  };
+}
+
+/**
+ * Apply the pending migrations to stored collections in memory. Returns
+ * { data, applied }; throws if the data is newer than this app.
+ */
+function migrateData(data, context = {}) {
+  const { version, pending } = migrationStatus(data);
+
+  if (version > LATEST_VERSION) {
+    throw new Error(`Database schema version ${version} is newer than this app supports (${LATEST_VERSION}). Update the app before opening this file.`);
+  }
+
+  pending.forEach(migration => {
+    console.log(`🔄 Migration ${migration.name}: ${migration.description}`);
+    data = migration.up(data, context) || data;
+  });
+  if (pending.length > 0) setSchemaVersion(data, LATEST_VERSION);
+  return { data, applied: pending };
+}
+
+/**
+ * Bring the database behind `engine` up to the latest schema version.
+ * Calls backup() before changing an existing file, applies the pending
+ * migrations in order and writes once at the end, so a failing migration
+ * leaves the file as it was. A missing database is created with the
+ * current schema. Returns the migrations applied.
+ */
+function runMigrations(engine, { backup, context = {} }) {
+  const stored = engine.read();
+  const { version, pending } = migrationStatus(stored);
+
+  if (version > LATEST_VERSION) {
+    throw new Error(`Database schema version ${version} is newer than this app supports (${LATEST_VERSION}). Update the app before opening this file.`);
+  }
+  if (pending.length === 0) return [];
+
+  if (engine.exists()) backup();
+  engine.write(migrateData(stored, context).data);
+  return pending;
+}
+
+module.exports = { MIGRATIONS, LATEST_VERSION, migrationStatus, migrateData, runMigrations };
@@ -4,36 +4,248 @@
 // API CLIENT - REPLACES INDEXEDDB
 // ============================================
 
-const API_BASE = 'http://localhost:3001/api';
+// Relative, so the app works from whichever address served the page
+// (localhost, or the server's address on the shop network in LAN mode)
+const API_BASE = '/api';
+
+// Sent with every request as X-Client-Id, so live updates (/api/events)
+// about this page's own changes can be told apart
+const CLIENT_ID = Math.random().toString(36).slice(2);
 let cachedRecords = [];
 let dbReady = false;
 
+// Copies of the records as loaded, by record_type:ID@version. Forms change
+// the cached records in place, so an update refused because another counter
+// saved first works out this counter's changes against these.
+const loadedRecords = new Map();
+
+// Retries for 503 responses (database file open in Excel)
+const LOCK_RETRY_ATTEMPTS = 3;
+
+/**
+ * fetch() wrapper for API calls. A 503 means the database file is locked,
+ * usually because app_data.xlsx is open in Excel: wait for Retry-After and
+ * try again, then tell the user to close the file. A 401 means the login
+ * has expired, or in LAN mode that this computer's pairing was revoked:
+ * show the login or pairing screen and send the request again after.
+ */
+async function apiFetch(path, options = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetch(`${API_BASE}${path}`, {
+      ...options,
+      headers: { ...options.headers, 'X-Client-Id': CLIENT_ID }
+    });
+    if (response.status === 401) {
+      const body = await response.clone().json().catch(() => ({}));
+      if (body.pairing_required) {
+        await showPairScreen('This computer is no longer paired with the server.');
+        continue;
+      }
+      if (!path.startsWith('/auth/')) {
+        await showLoginScreen('Your login has expired. Please log in again.');
+        continue;
+      }
+    }
+    if (response.status !== 503) return response;
+
+    if (attempt >= LOCK_RETRY_ATTEMPTS) {
+      const body = await response.clone().json().catch(() => ({}));
+      alert(`⚠ ${body.message || 'The database is busy. Please try again.'}`);
+      return response;
+    }
+
+    const retryAfter = parseInt(response.headers.get('Retry-After')) || 2;
+    console.log(`⚠ Database locked, retrying in ${retryAfter}s (${attempt}/${LOCK_RETRY_ATTEMPTS})`);
+    await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+  }
+}
+
+/**
+ * Error for a failed API response. A 422 carries the server's per-field
+ * messages in `fields` ({ mobile_number: 'Must be a 10-digit mobile number' }),
+ * a 409 for a database file edited outside the app its `problems`, a 409
+ * for a record saved meanwhile on another counter its `current` copy.
+ */
+async function apiError(response, message) {
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(body.error || message);
+  error.status = response.status;
+  error.fields = body.fields || null;
+  error.problems = body.problems || null;
+  error.current = body.current || null;
+  return error;
+}
+
+/**
+ * Alert text for a failed save: what the user's role may not do (403),
+ * the field problems from a 422 response, what is wrong with a database
+ * file edited outside the app, otherwise the generic message
+ */
+function saveErrorText(error, message) {
+  if (error.status === 403) {
+    return `⛔ ${error.message}`;
+  }
+  if (error.current) {
+    return '⚠ This record was changed on another counter, so your changes were not saved. The latest copy has been loaded; open it and make your changes again.';
+  }
+  if (error.problems) {
+    const problems = error.problems.map(problem => `• ${problem}`);
+    return `⚠ The database file was changed outside the app and cannot be loaded, so nothing was saved. Fix it first:\n\n${problems.join('\n')}`;
+  }
+  if (!error.fields) return message;
+  const lines = Object.entries(error.fields)
+    .map(([field, fieldMessage]) => `• ${field.replace(/_/g, ' ')}: ${fieldMessage}`);
+  return `❌ Please correct the following:\n\n${lines.join('\n')}`;
+}
+
+/**
+ * Hide the .error-msg spans of a form
+ */
+function clearFieldErrors(form) {
+  form.querySelectorAll('.error-msg').forEach(span => {
+    span.textContent = '';
+    span.classList.remove('show');
+  });
+}
+
+/**
+ * Show 422 field errors in a form's .error-msg spans. `fieldInputs` maps
+ * API field names to input IDs; the span is `<inputId>Error`. Errors with
+ * no span on the form are listed in an alert.
+ */
+function showFieldErrors(form, fieldInputs, fields) {
+  clearFieldErrors(form);
+  const unshown = {};
+  let firstInput = null;
+
+  Object.entries(fields).forEach(([field, message]) => {
+    const inputId = fieldInputs[field];
+    const span = inputId && document.getElementById(`${inputId}Error`);
+    if (!span) {
+      unshown[field] = message;
+      return;
+    }
+    span.textContent = message;
+    span.classList.add('show');
+    firstInput = firstInput || document.getElementById(inputId);
+  });
+
+  if (firstInput) firstInput.focus();
+  if (Object.keys(unshown).length > 0) {
+    alert(saveErrorText({ fields: unshown }, ''));
+  }
+}
+
+// API field name -> form input ID, for showing 422 field errors
+const SERVICE_FIELD_INPUTS = {
+  date: 'serviceDate',
+  customer_name: 'customerName',
+  mobile_number: 'mobileNumber',
+  mobile_brand: 'mobileBrand',
+  model: 'model',
+  imei1: 'imei1',
+  imei2: 'imei2',
+  issue: 'issue',
+  mobile_condition: 'mobileCondition',
+  received_by: 'receivedBy',
+  estimated_delivery: 'estimatedDelivery'
+};
+
+const VENDOR_FIELD_INPUTS = {
+  vendor_name: 'newVendorName',
+  mobile_number: 'newVendorMobile'
+};
+
+const PHONE_FIELD_INPUTS = {
+  date_received: 'phoneDate',
+  brand: 'phoneBrand',
+  model: 'phoneModel',
+  issue: 'phoneIssue',
+  received_by: 'phoneReceivedBy'
+};
+
+const LAPTOP_FIELD_INPUTS = {
+  date: 'laptopDate',
+  contact_number: 'laptopContact',
+  laptop_brand: 'laptopBrand',
+  model: 'laptopModel',
+  condition: 'laptopCondition',
+  issue: 'laptopIssue',
+  received_by: 'laptopReceivedBy'
+};
+
+// Collection (API route) of each record_type
+const RECORD_COLLECTIONS = {
+  service: 'services',
+  vendor: 'vendors',
+  laptop: 'laptops'
+};
+
 /**
- * Initialize - Load data from server API
+ * Initialize - Load data from server API. `collections` limits the reload
+ * to the lists that changed; the records of the others stay as loaded.
  */
-function initDB() {
+function initDB(collections = Object.values(RECORD_COLLECTIONS)) {
   return new Promise((resolve, reject) => {
-    fetch(`${API_BASE}/records`)
-      .then(response => {
-        if (!response.ok) throw new Error('Failed to load records');
-        return response.json();
-      })
-      .then(records => {
-        cachedRecords = records;
+    Promise.all(collections.map(loadCollection))
+      .then(() => {
         dbReady = true;
-        console.log('✓ Loaded', records.length, 'records from server');
+        console.log('✓ Loaded', collections.join(', '), 'from server');
         resolve(true);
       })
       .catch(error => {
         console.error('Database error:', error);
         alert('⚠ Warning: Could not connect to server. Please ensure the server is running.');
-        cachedRecords = [];
         dbReady = false;
         reject(error);
       });
   });
 }
 
+/**
+ * Replace the records of one collection in cachedRecords with the list
+ * from GET /api/<collection>
+ */
+async function loadCollection(collection) {
+  const response = await apiFetch(`/${collection}`);
+  if (!response.ok) throw new Error(`Failed to load ${collection}`);
+  const records = await response.json();
+  const type = Object.keys(RECORD_COLLECTIONS).find(key => RECORD_COLLECTIONS[key] === collection);
+  cachedRecords = [...cachedRecords.filter(r => r.record_type !== type), ...records];
+  records.forEach(rememberLoaded);
+}
+
+/**
+ * Put a record saved on the server into cachedRecords in place of its old
+ * copy (new records go last), or take a deleted one out. Returns the record.
+ */
+function cacheRecord(action, type, record) {
+  const cached = { ...record, record_type: type };
+  const key = recordKey(cached);
+  const index = cachedRecords.findIndex(r => recordKey(r) === key);
+  if (action === 'deleted') {
+    if (index !== -1) cachedRecords.splice(index, 1);
+    return record;
+  }
+
+  rememberLoaded(cached);
+  if (index === -1) {
+    cachedRecords.push(cached);
+  } else {
+    cachedRecords[index] = cached;
+  }
+  return record;
+}
+
+/**
+ * Reload one record into cachedRecords: GET /api/<collection>/:id
+ */
+async function loadRecord(type, id) {
+  const response = await apiFetch(`/${RECORD_COLLECTIONS[type]}/${id}`);
+  if (!response.ok) throw await apiError(response, `Failed to load ${id}`);
+  return cacheRecord('updated', type, await response.json());
+}
+
 /**
  * Load records (from cache)
  */
@@ -42,6 +254,113 @@ function loadRecords() {
   return [...cachedRecords];
 }
 
+/**
+ * record_type:ID of a service, vendor or laptop
+ */
+function recordKey(record) {
+  return `${record.record_type}:${record.service_id || record.vendor_id || record.laptop_id}`;
+}
+
+/**
+ * Keep a copy of a record as loaded, for putRecord()
+ */
+function rememberLoaded(record) {
+  loadedRecords.set(`${recordKey(record)}@${record.version}`, JSON.parse(JSON.stringify(record)));
+}
+
+// ID fields that identify an entry of a vendor's phones and bills
+const RECORD_ITEM_KEYS = ['phone_id', 'bill_id'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function itemKeyOf(item) {
+  const field = RECORD_ITEM_KEYS.find(key => isPlainObject(item) && item[key] !== undefined);
+  return field ? item[field] : undefined;
+}
+
+function isKeyedList(value) {
+  return Array.isArray(value) && value.every(item => itemKeyOf(item) !== undefined);
+}
+
+function mergeValue(base, mine, theirs, path, conflicts) {
+  if (sameValue(mine, base)) return theirs;
+  if (sameValue(theirs, base) || sameValue(theirs, mine)) return mine;
+
+  if (isPlainObject(mine) && isPlainObject(theirs)) {
+    const merged = {};
+    new Set([...Object.keys(theirs), ...Object.keys(mine)]).forEach(field => {
+      const value = mergeValue((base || {})[field], mine[field], theirs[field], path ? `${path}.${field}` : field, conflicts);
+      if (value !== undefined) merged[field] = value;
+    });
+    return merged;
+  }
+
+  if (isKeyedList(mine) && isKeyedList(theirs) && (base === undefined || isKeyedList(base))) {
+    const byKey = list => new Map((list || []).map(item => [itemKeyOf(item), item]));
+    const baseItems = byKey(base);
+    const mineItems = byKey(mine);
+    const theirItems = byKey(theirs);
+    return [...new Set([...theirItems.keys(), ...mineItems.keys()])]
+      .map(key => mergeValue(baseItems.get(key), mineItems.get(key), theirItems.get(key), `${path}[${key}]`, conflicts))
+      .filter(item => item !== undefined);
+  }
+
+  conflicts.push(path);
+  return mine;
+}
+
+/**
+ * Apply the changes this counter made to `base` (giving `mine`) to the
+ * server's newer copy `theirs`: { record, conflicts }. Fields, phones and
+ * bills only one side changed are merged; where both changed the same
+ * value, this counter's wins and its path is listed in `conflicts`.
+ */
+function reapplyChanges(base, mine, theirs) {
+  const conflicts = [];
+  const record = mergeValue(base, mine, theirs, '', conflicts);
+  record.version = theirs.version;
+  return { record, conflicts };
+}
+
+/**
+ * PUT a whole service, vendor or laptop, sending the version it was loaded
+ * at as If-Match. If another counter saved it first (409), offer to apply
+ * this counter's changes to their copy and save again; otherwise the
+ * latest copy is loaded and the 409 response returned.
+ */
+async function putRecord(collection, id, record) {
+  let body = record;
+  let base = loadedRecords.get(`${recordKey(record)}@${record.version}`);
+  for (;;) {
+    const response = await apiFetch(`/${collection}/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', 'If-Match': `"${body.version}"` },
+      body: JSON.stringify(body)
+    });
+    if (response.status !== 409) return response;
+
+    const { current } = await response.clone().json().catch(() => ({}));
+    if (!current || !base) return response;
+
+    const { record: merged, conflicts } = reapplyChanges(base, body, current);
+    const conflictText = conflicts.length > 0
+      ? `\n\nYou both changed: ${conflicts.join(', ')}. Your values will replace theirs.`
+      : '';
+    if (!confirm(`⚠ ${id} was changed on another counter while you were working on it.${conflictText}\n\nOK - load their copy and apply your changes to it again\nCancel - discard your changes`)) {
+      cacheRecord('updated', record.record_type, current);
+      return response;
+    }
+    base = current;
+    body = { ...merged, record_type: record.record_type };
+  }
+}
+
 /**
  * Save records (to server API and update cache)
  */
@@ -61,42 +380,53 @@ async function saveRecords(records) {
  */
 async function addServiceRecord(record) {
   try {
-    const response = await fetch(`${API_BASE}/services`, {
+    const response = await apiFetch('/services', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(record)
     });
     
-    if (!response.ok) throw new Error('Failed to add service');
-    const newRecord = await response.json();
-    
-    // Refresh cache
-    await initDB();
-    return newRecord;
+    if (!response.ok) throw await apiError(response, 'Failed to add service');
+    return cacheRecord('created', 'service', await response.json());
   } catch (error) {
     console.error('Error adding service:', error);
-    alert('Error saving service. Please try again.');
+    if (!error.fields) alert('Error saving service. Please try again.');
     throw error;
   }
 }
 
+/**
+ * Upload a device photo via API, returns its image ID
+ */
+async function uploadImage(file) {
+  const response = await apiFetch('/images', {
+    method: 'POST',
+    headers: { 'Content-Type': file.type },
+    body: file
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.error || 'Failed to upload image');
+  return body.image_id;
+}
+
+/**
+ * URL of an uploaded device photo (or its thumbnail)
+ */
+function imageUrl(imageId, thumbnail = false) {
+  if (!imageId) return null;
+  return `${API_BASE}/images/${encodeURIComponent(imageId)}${thumbnail ? '/thumbnail' : ''}`;
+}
+
 /**
  * Update service record via API
  */
 async function updateServiceRecord(id, updates) {
   try {
-    const response = await fetch(`${API_BASE}/services/${id}`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(updates)
-    });
-    
-    if (!response.ok) throw new Error('Failed to update service');
-    const updatedRecord = await response.json();
+    const response = await putRecord('services', id, updates);
     
-    // Refresh cache
-    await initDB();
-    return updatedRecord;
+    if (!response.ok) throw await apiError(response, 'Failed to update service');
+    return cacheRecord('updated', 'service', await response.json());
   } catch (error) {
     console.error('Error updating service:', error);
     throw error;
@@ -108,17 +438,16 @@ async function updateServiceRecord(id, updates) {
  */
 async function addVendorRecord(record) {
   try {
-    const response = await fetch(`${API_BASE}/vendors`, {
+    const response = await apiFetch('/vendors', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(record)
     });
-    if (!response.ok) throw new Error('Failed to add vendor');
-    await initDB();
-    return await response.json();
+    if (!response.ok) throw await apiError(response, 'Failed to add vendor');
+    return cacheRecord('created', 'vendor', await response.json());
   } catch (error) {
     console.error('Error adding vendor:', error);
-    alert('Error saving vendor. Please try again.');
+    if (!error.fields) alert('Error saving vendor. Please try again.');
     throw error;
   }
 }
@@ -128,17 +457,16 @@ async function addVendorRecord(record) {
  */
 async function addLaptopRecord(record) {
   try {
-    const response = await fetch(`${API_BASE}/laptops`, {
+    const response = await apiFetch('/laptops', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(record)
     });
-    if (!response.ok) throw new Error('Failed to add laptop');
-    await initDB();
-    return await response.json();
+    if (!response.ok) throw await apiError(response, 'Failed to add laptop');
+    return cacheRecord('created', 'laptop', await response.json());
   } catch (error) {
     console.error('Error adding laptop:', error);
-    alert('Error saving laptop. Please try again.');
+    if (!error.fields) alert('Error saving laptop. Please try again.');
     throw error;
   }
 }
@@ -148,85 +476,182 @@ async function addLaptopRecord(record) {
  */
 async function updateVendorRecord(id, updates) {
   try {
-    const response = await fetch(`${API_BASE}/vendors/${id}`, {
-      method: 'PUT',
+    const response = await putRecord('vendors', id, updates);
+    if (!response.ok) throw await apiError(response, 'Failed to update vendor');
+    return cacheRecord('updated', 'vendor', await response.json());
+  } catch (error) {
+    console.error('Error updating vendor:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add a phone received from a vendor via API (server allocates phone_id)
+ */
+async function addVendorPhone(vendorId, phone) {
+  try {
+    const response = await apiFetch(`/vendors/${vendorId}/phones`, {
+      method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(updates)
+      body: JSON.stringify(phone)
     });
-    if (!response.ok) throw new Error('Failed to update vendor');
-    await initDB();
-    return await response.json();
+    if (!response.ok) throw await apiError(response, 'Failed to add phone');
+    const newPhone = await response.json();
+    // The vendor's version went up with the phone
+    await loadRecord('vendor', vendorId);
+    return newPhone;
   } catch (error) {
-    console.error('Error updating vendor:', error);
+    console.error('Error adding phone:', error);
     throw error;
   }
 }
 
 /**
- * Update laptop record via API
+ * Add a vendor bill via API (server allocates bill_id and marks its phones billed)
  */
-async function updateLaptopRecord(id, updates) {
+async function addVendorBill(vendorId, bill) {
   try {
-    const response = await fetch(`${API_BASE}/laptops/${id}`, {
-      method: 'PUT',
+    const response = await apiFetch(`/vendors/${vendorId}/bills`, {
+      method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(updates)
+      body: JSON.stringify(bill)
     });
-    if (!response.ok) throw new Error('Failed to update laptop');
-    await initDB();
-    return await response.json();
+    if (!response.ok) throw await apiError(response, 'Failed to add bill');
+    const newBill = await response.json();
+    // The bill also marked its phones billed
+    await loadRecord('vendor', vendorId);
+    return newBill;
+  } catch (error) {
+    console.error('Error adding bill:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update laptop record via API
+ */
+async function updateLaptopRecord(id, updates) {
+  try {
+    const response = await putRecord('laptops', id, updates);
+    if (!response.ok) throw await apiError(response, 'Failed to update laptop');
+    return cacheRecord('updated', 'laptop', await response.json());
   } catch (error) {
     console.error('Error updating laptop:', error);
     throw error;
   }
 }
 
+/**
+ * Move a service, vendor or laptop to the trash
+ */
+async function deleteRecord(collection, id) {
+  const response = await apiFetch(`/${collection}/${id}`, { method: 'DELETE' });
+  if (!response.ok) throw await apiError(response, 'Failed to delete record');
+  const result = await response.json();
+  cacheRecord('deleted', result.trash.record_type, result.deleted);
+  return result;
+}
+
+/**
+ * Load the trash: { retention_days, entries }, most recently deleted first
+ */
+async function loadTrash() {
+  const response = await apiFetch('/trash');
+  if (!response.ok) throw await apiError(response, 'Failed to load trash');
+  return await response.json();
+}
 
-function generateServiceID(records) {
-  const base = 'SRV';
-  if (records.length === 0) return base + '001';
-  const lastID = records[records.length - 1].service_id || base + '000';
-  const num = parseInt(lastID.slice(3)) + 1;
-  return base + num.toString().padStart(3, '0');
+/**
+ * Put a deleted record back
+ */
+async function restoreTrashRecord(id) {
+  const response = await apiFetch(`/trash/${id}/restore`, { method: 'POST' });
+  if (!response.ok) throw await apiError(response, 'Failed to restore record');
+  const record = await response.json();
+  return cacheRecord('created', record.record_type, record);
 }
 
-// Generate vendor ID
-function generateVendorID(records) {
-  const base = 'VND';
-  const vendorRecords = records.filter(r => r.record_type === 'vendor');
-  if (vendorRecords.length === 0) return base + '001';
-  const lastID = vendorRecords[vendorRecords.length - 1].vendor_id || base + '000';
-  const num = parseInt(lastID.slice(3)) + 1;
-  return base + num.toString().padStart(3, '0');
+/**
+ * Delete a record from the trash for good
+ */
+async function purgeTrashRecord(id) {
+  const response = await apiFetch(`/trash/${id}`, { method: 'DELETE' });
+  if (!response.ok) throw await apiError(response, 'Failed to delete record');
+  return await response.json();
 }
 
-// Generate phone ID for vendor
-function generatePhoneID(vendorId, phoneNumber) {
-  return `${vendorId}-P${String(phoneNumber).padStart(3, '0')}`;
+/**
+ * Search every record type: { query, total, results }, best match first
+ */
+async function searchRecords(query, limit) {
+  const response = await apiFetch(`/search?${new URLSearchParams({ q: query, limit })}`);
+  if (!response.ok) throw await apiError(response, 'Search failed');
+  return await response.json();
 }
 
-// Generate bill ID for vendor
-function generateBillID(vendorId, billNumber) {
-  return `${vendorId}-B${String(billNumber).padStart(3, '0')}`;
+/**
+ * Load the shop settings
+ */
+async function loadSettings() {
+  const response = await apiFetch('/settings');
+  if (!response.ok) throw await apiError(response, 'Failed to load settings');
+  return await response.json();
 }
 
-// Generate laptop service ID
-function generateLaptopID(records) {
-  const base = 'LAP';
-  const laptopRecords = records.filter(r => r.record_type === 'laptop');
-  if (laptopRecords.length === 0) return base + '001';
-  
-  // Find highest ID number
-  let maxNum = 0;
-  laptopRecords.forEach(record => {
-    const id = record.laptop_id || '';
-    const num = parseInt(id.slice(3));
-    if (!isNaN(num) && num > maxNum) {
-      maxNum = num;
-    }
+/**
+ * Save some shop settings, returns all of them
+ */
+async function saveSettings(updates) {
+  const response = await apiFetch('/settings', {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(updates)
   });
-  
-  return base + String(maxNum + 1).padStart(3, '0');
+  if (!response.ok) throw await apiError(response, 'Failed to save settings');
+  return await response.json();
+}
+
+/**
+ * Staff accounts: every one from /users, or only those who can log in
+ * (the login screen's list, before anyone is logged in)
+ */
+async function loadStaff({ activeOnly = false } = {}) {
+  const response = await apiFetch(activeOnly ? '/auth/users' : '/users');
+  if (!response.ok) throw await apiError(response, 'Failed to load staff');
+  return await response.json();
+}
+
+/**
+ * Add a staff account ({ name, role, pin }) or change one ({ name, active, pin })
+ */
+async function saveStaffMember(userId, updates) {
+  const response = await apiFetch(userId ? `/users/${userId}` : '/users', {
+    method: userId ? 'PATCH' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(updates)
+  });
+  if (!response.ok) throw await apiError(response, 'Failed to save staff member');
+  return await response.json();
+}
+
+
+/**
+ * Show the ID the next laptop service will get. The server allocates IDs
+ * on save, so this is only a preview.
+ */
+async function refreshNextLaptopId() {
+  const laptopIdInput = document.getElementById('laptopServiceId');
+  if (!laptopIdInput) return;
+
+  try {
+    const response = await apiFetch('/sequences/next');
+    if (!response.ok) throw new Error('Failed to load next IDs');
+    const next = await response.json();
+    laptopIdInput.value = next.laptop_id;
+  } catch (error) {
+    console.error('Error loading next laptop ID:', error);
+    laptopIdInput.value = '';
+  }
 }
 
 // ============================================
@@ -238,11 +663,17 @@ const billingBtn = document.getElementById('billingBtn');
 const recordsBtn = document.getElementById('recordsBtn');
 const vendorsBtn = document.getElementById('vendorsBtn');
 const laptopServiceBtn = document.getElementById('laptopServiceBtn');
+const trashBtn = document.getElementById('trashBtn');
+const backupsBtn = document.getElementById('backupsBtn');
+const settingsBtn = document.getElementById('settingsBtn');
 const newServiceSection = document.getElementById('newServiceSection');
 const billingSection = document.getElementById('billingSection');
 const recordsSection = document.getElementById('recordsSection');
 const vendorsSection = document.getElementById('vendorsSection');
 const laptopServiceSection = document.getElementById('laptopServiceSection');
+const trashSection = document.getElementById('trashSection');
+const backupsSection = document.getElementById('backupsSection');
+const settingsSection = document.getElementById('settingsSection');
 const serviceForm = document.getElementById('serviceForm');
 const clearFormBtn = document.getElementById('clearFormBtn');
 const recentServicesList = document.getElementById('recentServices');
@@ -253,6 +684,11 @@ const recentBillsList = document.getElementById('recentBills');
 const billDisplayArea = document.getElementById('billDisplayArea');
 const allRecordsList = document.getElementById('allRecordsList');
 const allRecordsSearch = document.getElementById('allRecordsSearch');
+const trashList = document.getElementById('trashList');
+const backupsList = document.getElementById('backupsList');
+const backupDetails = document.getElementById('backupDetails');
+const globalSearchInput = document.getElementById('globalSearch');
+const globalSearchResults = document.getElementById('globalSearchResults');
 
 // ============================================
 // TAB NAVIGATION
@@ -265,6 +701,9 @@ function showSection(section) {
   recordsSection.classList.remove('active');
   vendorsSection.classList.remove('active');
   laptopServiceSection.classList.remove('active');
+  trashSection.classList.remove('active');
+  backupsSection.classList.remove('active');
+  settingsSection.classList.remove('active');
   
   // Remove active class from all buttons
   newServiceBtn.classList.remove('active');
@@ -272,6 +711,9 @@ function showSection(section) {
   recordsBtn.classList.remove('active');
   vendorsBtn.classList.remove('active');
   laptopServiceBtn.classList.remove('active');
+  trashBtn.classList.remove('active');
+  backupsBtn.classList.remove('active');
+  settingsBtn.classList.remove('active');
 
   // Show selected section
   if (section === 'newService') {
@@ -285,7 +727,8 @@ function showSection(section) {
   } else if (section === 'records') {
     recordsSection.classList.add('active');
     recordsBtn.classList.add('active');
-    renderAllRecords('');
+    renderAllRecords();
+    renderChangeHistory(1);
   } else if (section === 'vendors') {
     vendorsSection.classList.add('active');
     vendorsBtn.classList.add('active');
@@ -294,6 +737,19 @@ function showSection(section) {
     laptopServiceSection.classList.add('active');
     laptopServiceBtn.classList.add('active');
     renderRecentLaptops('');
+  } else if (section === 'trash') {
+    trashSection.classList.add('active');
+    trashBtn.classList.add('active');
+    renderTrash();
+  } else if (section === 'backups') {
+    backupsSection.classList.add('active');
+    backupsBtn.classList.add('active');
+    renderBackups();
+  } else if (section === 'settings') {
+    settingsSection.classList.add('active');
+    settingsBtn.classList.add('active');
+    renderSettings();
+    if (can('manage_devices')) renderDevices();
   }
   
   console.log(`📑 TAB SWITCHED to ${section} - Filling dates`);
@@ -325,6 +781,9 @@ billingBtn.addEventListener('click', () => showSection('billing'));
 recordsBtn.addEventListener('click', () => showSection('records'));
 vendorsBtn.addEventListener('click', () => showSection('vendors'));
 laptopServiceBtn.addEventListener('click', () => showSection('laptopService'));
+trashBtn.addEventListener('click', () => showSection('trash'));
+backupsBtn.addEventListener('click', () => showSection('backups'));
+settingsBtn.addEventListener('click', () => showSection('settings'));
 
 // ============================================
 // SERVICE FORM HANDLING
@@ -333,21 +792,27 @@ laptopServiceBtn.addEventListener('click', () => showSection('laptopService'));
 function handleImageUpload(input, previewId) {
   const file = input.files[0];
   if (file) {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      const preview = document.getElementById(previewId);
-      const img = document.createElement('img');
-      img.src = e.target.result;
-      preview.innerHTML = '';
-      preview.appendChild(img);
-      
-      // Store image data in the form for later use
-      input.dataset.imageData = e.target.result;
-    };
-    reader.readAsDataURL(file);
+    const preview = document.getElementById(previewId);
+    const img = document.createElement('img');
+    img.src = URL.createObjectURL(file);
+    preview.innerHTML = '';
+    preview.appendChild(img);
+    
+    // The file is uploaded on submit and replaces any loaded image
+    input.dataset.imageId = '';
   }
 }
 
+/**
+ * Image ID for a form image input: uploads a newly chosen file,
+ * otherwise keeps the image loaded from an earlier record
+ */
+async function resolveImageInput(input) {
+  const file = input.files[0];
+  if (file) return uploadImage(file);
+  return input.dataset.imageId || null;
+}
+
 document.getElementById('frontImage').addEventListener('change', (e) => {
   handleImageUpload(e.target, 'frontImagePreview');
 });
@@ -365,8 +830,6 @@ serviceForm.addEventListener('submit', async (e) => {
     return;
   }
 
-  const records = loadRecords();
-  const newServiceId = generateServiceID(records);
   const formData = new FormData(serviceForm);
 
   // IMEI Validation - Both IMEIs must not be the same
@@ -388,15 +851,20 @@ serviceForm.addEventListener('submit', async (e) => {
   // Gather accessories
   const accessories = formData.getAll('accessories');
 
-  // Get image data
-  const frontImageInput = document.getElementById('frontImage');
-  const backImageInput = document.getElementById('backImage');
-  const frontImageData = frontImageInput.dataset.imageData || null;
-  const backImageData = backImageInput.dataset.imageData || null;
+  // Upload images
+  let frontImageId;
+  let backImageId;
+  try {
+    frontImageId = await resolveImageInput(document.getElementById('frontImage'));
+    backImageId = await resolveImageInput(document.getElementById('backImage'));
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    alert(`❌ ${error.message}. Please try again.`);
+    return;
+  }
 
   // Create new record
   const record = {
-    service_id: newServiceId,
     date: formData.get('serviceDate'),
     customer_name: formData.get('customerName'),
     mobile_number: formData.get('mobileNumber'),
@@ -409,8 +877,8 @@ serviceForm.addEventListener('submit', async (e) => {
     service_type: serviceTypes,
     mobile_condition: formData.get('mobileCondition'),
     accessories: accessories,
-    front_image: frontImageData,
-    back_image: backImageData,
+    front_image: frontImageId,
+    back_image: backImageId,
     received_by: formData.get('receivedBy'),
     estimated_delivery: formData.get('estimatedDelivery'),
     bill: null,
@@ -421,18 +889,19 @@ serviceForm.addEventListener('submit', async (e) => {
   record.record_type = 'service';
   
   try {
-    await addServiceRecord(record);
-    console.log('✓ Service saved:', newServiceId);
+    const saved = await addServiceRecord(record);
+    console.log('✓ Service saved:', saved.service_id);
 
-    alert(`✓ Service submitted successfully!\n\nService ID: ${newServiceId}\n\nPlease note this ID for billing.`);
+    alert(`✓ Service submitted successfully!\n\nService ID: ${saved.service_id}\n\nPlease note this ID for billing.`);
     
     // Reset form
     serviceForm.reset();
+    clearFieldErrors(serviceForm);
     document.getElementById('frontImagePreview').innerHTML = '';
     document.getElementById('backImagePreview').innerHTML = '';
     // Clear image data
-    document.getElementById('frontImage').dataset.imageData = '';
-    document.getElementById('backImage').dataset.imageData = '';
+    document.getElementById('frontImage').dataset.imageId = '';
+    document.getElementById('backImage').dataset.imageId = '';
     
     // Fill dates again after reset
     setTimeout(fillAllDateFields, 50);
@@ -443,6 +912,7 @@ serviceForm.addEventListener('submit', async (e) => {
     }, 100);
   } catch (error) {
     console.error('Error saving service:', error);
+    if (error.fields) showFieldErrors(serviceForm, SERVICE_FIELD_INPUTS, error.fields);
   }
 });
 
@@ -466,13 +936,10 @@ createVendorForm.addEventListener('submit', async (e) => {
     return;
   }
   
-  const records = loadRecords();
-  const newVendorId = generateVendorID(records);
   const formData = new FormData(createVendorForm);
   
   const vendorRecord = {
     record_type: 'vendor',
-    vendor_id: newVendorId,
     vendor_name: formData.get('newVendorName').trim(),
     mobile_number: formData.get('newVendorMobile').trim(),
     created_date: new Date().toISOString().slice(0, 10),
@@ -482,14 +949,17 @@ createVendorForm.addEventListener('submit', async (e) => {
   };
   
   try {
-    await addVendorRecord(vendorRecord);
-    alert(`✓ Vendor ${newVendorId} created!\n\nVendor: ${vendorRecord.vendor_name}\nMobile: ${vendorRecord.mobile_number}\n\nNow you can add phones to this vendor.`);
+    const saved = await addVendorRecord(vendorRecord);
+    alert(`✓ Vendor ${saved.vendor_id} created!\n\nVendor: ${vendorRecord.vendor_name}\nMobile: ${vendorRecord.mobile_number}\n\nNow you can add phones to this vendor.`);
     
     createVendorForm.reset();
+    
+    clearFieldErrors(createVendorForm);
     updateVendorDropdown();
     renderRecentVendors('');
   } catch (error) {
     console.error('Error creating vendor:', error);
+    if (error.fields) showFieldErrors(createVendorForm, VENDOR_FIELD_INPUTS, error.fields);
   }
 });
 
@@ -507,19 +977,9 @@ addPhoneForm.addEventListener('submit', async (e) => {
   }
   
   const vendor = records[vendorIndex];
-  
-  // Initialize phones array if it doesn't exist
-  if (!vendor.phones) {
-    vendor.phones = [];
-  }
-  
-  const phoneNumber = vendor.phones.length + 1;
-  const phoneId = generatePhoneID(vendorId, phoneNumber);
-  
   const formData = new FormData(addPhoneForm);
   
   const phone = {
-    phone_id: phoneId,
     date_received: formData.get('phoneDate'),
     brand: formData.get('phoneBrand').trim(),
     model: formData.get('phoneModel').trim(),
@@ -531,31 +991,34 @@ addPhoneForm.addEventListener('submit', async (e) => {
     bill_id: null
   };
   
-  vendor.phones.push(phone);
-  
   try {
-    await updateVendorRecord(vendor.vendor_id, vendor);
+    const saved = await addVendorPhone(vendor.vendor_id, phone);
     
-    // Success! Cache is now refreshed by initDB()
+    // Success! The vendor is reloaded into the cache by addVendorPhone()
     console.log('✓ Phone added successfully, cache refreshed');
     
-    alert(`✓ Phone added to ${vendor.vendor_name}!\n\nPhone ID: ${phoneId}\n${phone.brand} ${phone.model}`);
+    alert(`✓ Phone added to ${vendor.vendor_name}!\n\nPhone ID: ${saved.phone_id}\n${phone.brand} ${phone.model}`);
     
     // Clear form except vendor selection
+    clearFieldErrors(addPhoneForm);
     document.getElementById('phoneBrand').value = '';
     document.getElementById('phoneModel').value = '';
     document.getElementById('phoneIssue').value = '';
-    document.getElementById('phoneReceivedBy').value = '';
+    document.getElementById('phoneReceivedBy').value = currentUser.name;
     
     // Fill dates again after clearing
     setTimeout(fillAllDateFields, 50);
     
     // Refresh displays
     renderRecentVendors('');
-    renderAllRecords('');
+    renderAllRecords();
   } catch (error) {
     console.error('Error adding phone:', error);
-    alert('Error adding phone. Please try again.');
+    if (error.fields) {
+      showFieldErrors(addPhoneForm, PHONE_FIELD_INPUTS, error.fields);
+    } else {
+      alert('Error adding phone. Please try again.');
+    }
   }
 });
 
@@ -577,11 +1040,12 @@ function updateVendorDropdown() {
 clearFormBtn.addEventListener('click', () => {
   if (confirm('Are you sure you want to clear the form?')) {
     serviceForm.reset();
+    clearFieldErrors(serviceForm);
     document.getElementById('frontImagePreview').innerHTML = '';
     document.getElementById('backImagePreview').innerHTML = '';
     // Clear image data
-    document.getElementById('frontImage').dataset.imageData = '';
-    document.getElementById('backImage').dataset.imageData = '';
+    document.getElementById('frontImage').dataset.imageId = '';
+    document.getElementById('backImage').dataset.imageId = '';
     // Fill dates again after reset
     setTimeout(fillAllDateFields, 50);
   }
@@ -589,7 +1053,7 @@ clearFormBtn.addEventListener('click', () => {
 
 function calculateWarrantyEndDate(fromDate, warranty) {
   const date = new Date(fromDate);
-  const months = warranty === '6' || warranty === '6 months' ? 6 : 3;
+  const months = parseInt(warranty, 10) || shopSettings.default_warranty_months;
   date.setMonth(date.getMonth() + months);
   return date.toISOString().slice(0, 10);
 }
@@ -699,26 +1163,28 @@ function fillServiceForm(record) {
   const frontImageInput = document.getElementById('frontImage');
   const backImageInput = document.getElementById('backImage');
   
+  frontImageInput.value = '';
   if (record.front_image) {
     const frontImg = document.createElement('img');
-    frontImg.src = record.front_image;
+    frontImg.src = imageUrl(record.front_image, true);
     frontImagePreview.innerHTML = '';
     frontImagePreview.appendChild(frontImg);
-    frontImageInput.dataset.imageData = record.front_image;
+    frontImageInput.dataset.imageId = record.front_image;
   } else {
     frontImagePreview.innerHTML = '';
-    frontImageInput.dataset.imageData = '';
+    frontImageInput.dataset.imageId = '';
   }
   
+  backImageInput.value = '';
   if (record.back_image) {
     const backImg = document.createElement('img');
-    backImg.src = record.back_image;
+    backImg.src = imageUrl(record.back_image, true);
     backImagePreview.innerHTML = '';
     backImagePreview.appendChild(backImg);
-    backImageInput.dataset.imageData = record.back_image;
+    backImageInput.dataset.imageId = record.back_image;
   } else {
     backImagePreview.innerHTML = '';
-    backImageInput.dataset.imageData = '';
+    backImageInput.dataset.imageId = '';
   }
 }
 
@@ -794,8 +1260,6 @@ laptopServiceForm.addEventListener('submit', async (e) => {
     return;
   }
   
-  const records = loadRecords();
-  const laptopId = generateLaptopID(records);
   const formData = new FormData(laptopServiceForm);
   
   // Get accessories
@@ -806,7 +1270,6 @@ laptopServiceForm.addEventListener('submit', async (e) => {
   
   const laptopData = {
     record_type: 'laptop',
-    laptop_id: laptopId,
     date: formData.get('laptopDate'),
     contact_number: formData.get('laptopContact').trim(),
     laptop_brand: formData.get('laptopBrand').trim(),
@@ -820,15 +1283,15 @@ laptopServiceForm.addEventListener('submit', async (e) => {
   };
   
   try {
-    await addLaptopRecord(laptopData);
-    alert(`✓ Laptop Service ${laptopId} created successfully!\n\nContact: ${laptopData.contact_number}\nLaptop: ${laptopData.laptop_brand} ${laptopData.model}\n\nPlease note this ID for billing.`);
+    const saved = await addLaptopRecord(laptopData);
+    alert(`✓ Laptop Service ${saved.laptop_id} created successfully!\n\nContact: ${laptopData.contact_number}\nLaptop: ${laptopData.laptop_brand} ${laptopData.model}\n\nPlease note this ID for billing.`);
     
     // Clear form
     laptopServiceForm.reset();
+    clearFieldErrors(laptopServiceForm);
     
     // Update next ID display
-    const nextId = generateLaptopID(loadRecords());
-    document.getElementById('laptopServiceId').value = nextId;
+    refreshNextLaptopId();
     
     // Fill dates again after reset
     setTimeout(fillAllDateFields, 50);
@@ -836,14 +1299,15 @@ laptopServiceForm.addEventListener('submit', async (e) => {
     renderRecentLaptops('');
   } catch (error) {
     console.error('Error creating laptop service:', error);
+    if (error.fields) showFieldErrors(laptopServiceForm, LAPTOP_FIELD_INPUTS, error.fields);
   }
 });
 
 clearLaptopFormBtn.addEventListener('click', () => {
   if (confirm('Are you sure you want to clear the form?')) {
     laptopServiceForm.reset();
-    const nextId = generateLaptopID(loadRecords());
-    document.getElementById('laptopServiceId').value = nextId;
+    clearFieldErrors(laptopServiceForm);
+    refreshNextLaptopId();
     // Fill dates again after reset
     setTimeout(fillAllDateFields, 50);
   }
@@ -900,6 +1364,7 @@ function createLaptopModal(laptopId) {
 
   const modalOverlay = document.createElement('div');
   modalOverlay.className = 'modal-overlay';
+  modalOverlay.dataset.recordKey = `laptop:${laptopId}`;
   modalOverlay.style.cssText = `
     position: fixed;
     top: 0;
@@ -998,15 +1463,19 @@ function createLaptopModal(laptopId) {
     </div>
     `}
     
+    ${recordHistoryPanel()}
+    
     <div style="text-align: center; margin-top: var(--space-24); display: flex; gap: var(--space-12); justify-content: center;">
-      ${!laptop.bill ? `<button class="btn btn--primary" onclick="createBillForLaptop('${laptop.laptop_id}')">Create Bill</button>` : ''}
+      ${!laptop.bill ? `<button class="btn btn--primary" data-requires="save_bills" onclick="createBillForLaptop('${laptop.laptop_id}')">Create Bill</button>` : ''}
       ${laptop.bill ? `<button class="btn btn--primary" onclick="viewBillForLaptop('${laptop.laptop_id}')">View Bill</button>` : ''}
       ${laptop.bill ? `<button class="btn btn--secondary" onclick="printBillForLaptop('${laptop.laptop_id}')">Print Bill</button>` : ''}
+      <button class="btn btn-danger" data-requires="delete_records" onclick="deleteRecordFromModal('laptops', '${laptop.laptop_id}')">🗑️ Delete</button>
       <button class="btn btn--secondary modal-close-btn">Close</button>
     </div>
   `;
 
   modalBox.innerHTML = modalContent;
+  renderRecordHistory(modalBox, 'laptops', laptop.laptop_id);
   modalOverlay.appendChild(modalBox);
   document.body.appendChild(modalOverlay);
 
@@ -1254,19 +1723,7 @@ searchBillInput.addEventListener('keypress', (e) => {
 function displayBillingForm(record) {
   const billHTML = `
     <div class="bill-container">
-      <div class="bill-business-header">
-        <div style="display: flex; align-items: center; gap: var(--space-12); margin-bottom: var(--space-8);">
-          <img src="logo.png" alt="MYLAVAN Logo" style="height: 50px; width: 50px; border-radius: var(--radius-8);" />
-          <div>
-            <div class="business-name">MYLAVAN MOBILE SERVICE</div>
-            <div class="business-info">
-              Shop no. 23, New municipality complex<br>
-              old bus stand, Vellore 632004<br>
-              Contact: +91-7339559582
-            </div>
-          </div>
-        </div>
-      </div>
+      ${billBusinessHeader()}
       <div class="bill-header">BILL</div>
       
       <div class="bill-info">
@@ -1299,12 +1756,7 @@ function displayBillingForm(record) {
         <div style="margin-bottom: 15px;">
           <label style="font-weight: bold; display: block; margin-bottom: 10px;">Select Warranty Period:</label>
           <div style="display: flex; gap: 20px; margin-bottom: 15px;">
-            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
-              <input type="radio" name="warrantyPeriod" value="3" checked onchange="updateWarrantyDates()"> 3 months
-            </label>
-            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
-              <input type="radio" name="warrantyPeriod" value="6" onchange="updateWarrantyDates()"> 6 months
-            </label>
+            ${warrantyRadios()}
           </div>
         </div>
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; font-size: 0.9rem;">
@@ -1351,16 +1803,17 @@ function displayBillingForm(record) {
       <div class="bill-totals">
         <div>Subtotal: <strong>Rs. <span id="subtotal">0</span></strong></div>
         <div>
-          Tax (%) <input type="number" id="taxPercent" value="0" min="0" step="0.01" style="width: 60px; padding: 5px;">
+          Tax (%) <input type="number" id="taxPercent" value="${shopSettings.tax_percent}" min="0" step="0.01" style="width: 60px; padding: 5px;">
           Tax: <strong>Rs. <span id="taxAmount">0</span></strong>
         </div>
+        ${billDiscountInput()}
         <div class="bill-grand-total">
           Grand Total: Rs. <span id="grandTotal">0</span>
         </div>
       </div>
 
       <div class="bill-actions">
-        <button class="btn btn-success" onclick="saveBill('${record.service_id}')">✓ Save Bill</button>
+        <button class="btn btn-success" data-requires="save_bills" onclick="saveBill('${record.service_id}')">✓ Save Bill</button>
         <button class="btn btn-primary" onclick="printBill()" style="display: none;" id="printBillBtn">🖨 Print Bill</button>
         <button class="btn btn-secondary" onclick="generatePDF('${record.service_id}')" style="display: none;" id="exportPdfBtn">📄 Export PDF</button>
       </div>
@@ -1390,6 +1843,8 @@ function attachItemEventListeners() {
     }
   });
   document.getElementById('taxPercent').addEventListener('input', updateBillTotals);
+  const discountInput = document.getElementById('discountAmount');
+  if (discountInput) discountInput.addEventListener('input', updateBillTotals);
   updateBillTotals();
 }
 
@@ -1413,13 +1868,46 @@ function updateBillTotals() {
 
   const taxPercent = parseFloat(document.getElementById('taxPercent').value) || 0;
   const taxAmount = (subtotal * taxPercent) / 100;
-  const grandTotal = subtotal + taxAmount;
+  const grandTotal = Math.max(subtotal + taxAmount - billDiscount(), 0);
 
   document.getElementById('subtotal').textContent = subtotal.toFixed(2);
   document.getElementById('taxAmount').textContent = taxAmount.toFixed(2);
   document.getElementById('grandTotal').textContent = grandTotal.toFixed(2);
 }
 
+/**
+ * Discount input of the billing forms, shown to those who may give
+ * discounts (owners)
+ */
+function billDiscountInput() {
+  if (!can('give_discounts')) return '';
+  return `<div>
+          Discount: Rs. <input type="number" id="discountAmount" value="0" min="0" step="0.01" style="width: 80px; padding: 5px;">
+        </div>`;
+}
+
+/**
+ * Discount entered in the billing form on screen (0 without the input)
+ */
+function billDiscount() {
+  return parseFloat(document.getElementById('discountAmount')?.value) || 0;
+}
+
+/**
+ * Put a saved bill's discount in the billing form being edited
+ */
+function setBillDiscount(discount) {
+  const input = document.getElementById('discountAmount');
+  if (input) input.value = discount || 0;
+}
+
+/**
+ * Discount line of a saved bill, when it has one
+ */
+function billDiscountLine(bill) {
+  return bill.discount > 0 ? `<div>Discount: - Rs. ${bill.discount.toFixed(2)}</div>` : '';
+}
+
 function addItemRow() {
   const row = document.createElement('tr');
   row.className = 'item-row';
@@ -1477,7 +1965,7 @@ async function saveBill(serviceId) {
   const grandTotal = parseFloat(document.getElementById('grandTotal').textContent);
   
   // Get warranty information from form
-  const warrantyPeriod = document.querySelector('input[name="warrantyPeriod"]:checked')?.value || '3';
+  const warrantyPeriod = document.querySelector('input[name="warrantyPeriod"]:checked')?.value || String(shopSettings.default_warranty_months);
   const fromDate = document.getElementById('warrantyFromDate')?.value || new Date().toISOString().slice(0, 10);
   const toDate = document.getElementById('warrantyToDate')?.value || calculateWarrantyEndDate(fromDate, warrantyPeriod);
 
@@ -1485,6 +1973,7 @@ async function saveBill(serviceId) {
     items: items,
     subtotal: subtotal,
     tax: tax,
+    discount: billDiscount(),
     grand_total: grandTotal,
     warranty: warrantyPeriod,
     from_date: fromDate,
@@ -1508,7 +1997,7 @@ async function saveBill(serviceId) {
     displayBill(records[recordIndex]);
   } catch (error) {
     console.error('Error saving bill:', error);
-    alert('Error saving bill. Please try again.');
+    alert(saveErrorText(error, 'Error saving bill. Please try again.'));
   }
 }
 
@@ -1526,19 +2015,7 @@ function displayVendorBill(vendor) {
 
   let billHTML = `
     <div class="bill-container">
-      <div class="bill-business-header">
-        <div style="display: flex; align-items: center; gap: var(--space-12); margin-bottom: var(--space-8);">
-          <img src="logo.png" alt="MYLAVAN Logo" style="height: 50px; width: 50px; border-radius: var(--radius-8);" />
-          <div>
-            <div class="business-name">MYLAVAN MOBILE SERVICE</div>
-            <div class="business-info">
-              Shop no. 23, New municipality complex<br>
-              old bus stand, Vellore 632004<br>
-              Contact: +91-7339559582
-            </div>
-          </div>
-        </div>
-      </div>
+      ${billBusinessHeader()}
       <div class="bill-header">VENDOR SERVICE BILL</div>
       
       <div class="bill-info">
@@ -1586,6 +2063,7 @@ function displayVendorBill(vendor) {
       <div class="bill-totals">
         <div>Subtotal: Rs. ${vendor.bill.subtotal.toFixed(2)}</div>
         ${vendor.bill.tax > 0 ? `<div>Tax: Rs. ${vendor.bill.tax.toFixed(2)}</div>` : ''}
+        ${billDiscountLine(vendor.bill)}
         <div class="bill-grand-total">Grand Total: Rs. ${vendor.bill.grand_total.toFixed(2)}</div>
       </div>
 
@@ -1593,9 +2071,7 @@ function displayVendorBill(vendor) {
         <div class="bill-footer-left">
           <div style="font-weight: bold; margin-bottom: var(--space-8);">Terms &amp; Conditions:</div>
           <div style="line-height: 1.8;">
-            1. Warranty void if the device is tampered.<br>
-            2. No warranty on water damage.<br>
-            3. Goods once sold will not be taken back.
+            ${billTerms(shopSettings.bill_terms)}
           </div>
         </div>
         <div class="bill-footer-right">
@@ -1608,7 +2084,7 @@ function displayVendorBill(vendor) {
 
       <div class="bill-actions">
         <button class="btn btn-primary" onclick="printBill()">🖨 Print Bill</button>
-        <button class="btn btn-secondary" onclick="editVendorBill('${vendor.vendor_id}')">✎ Edit Bill</button>
+        <button class="btn btn-secondary" data-requires="edit_saved_bills" onclick="editVendorBill('${vendor.vendor_id}')">✎ Edit Bill</button>
       </div>
     </div>
   `;
@@ -1624,19 +2100,7 @@ function displayBill(record) {
 
   let billHTML = `
     <div class="bill-container">
-      <div class="bill-business-header">
-        <div style="display: flex; align-items: center; gap: var(--space-12); margin-bottom: var(--space-8);">
-          <img src="logo.png" alt="MYLAVAN Logo" style="height: 50px; width: 50px; border-radius: var(--radius-8);" />
-          <div>
-            <div class="business-name">MYLAVAN MOBILE SERVICE</div>
-            <div class="business-info">
-              Shop no. 23, New municipality complex<br>
-              old bus stand, Vellore 632004<br>
-              Contact: +91-7339559582
-            </div>
-          </div>
-        </div>
-      </div>
+      ${billBusinessHeader()}
       <div class="bill-header">BILL</div>
       
       <div class="bill-info">
@@ -1683,13 +2147,14 @@ function displayBill(record) {
       <div class="bill-totals">
         <div>Subtotal: Rs. ${record.bill.subtotal.toFixed(2)}</div>
         ${record.bill.tax > 0 ? `<div>Tax: Rs. ${record.bill.tax.toFixed(2)}</div>` : ''}
+        ${billDiscountLine(record.bill)}
         <div class="bill-grand-total">Grand Total: Rs. ${record.bill.grand_total.toFixed(2)}</div>
       </div>
 
       <div class="bill-warranty">
         <div class="bill-section-title">WARRANTY INFORMATION</div>
         <div style="background-color: var(--color-secondary); padding: var(--space-12); border-radius: var(--radius-base); margin: var(--space-12) 0; font-size: 0.9rem; line-height: 1.8;">
-          <strong>Warranty Period:</strong> ${record.bill.warranty === '6' ? '6 months' : '3 months'}<br>
+          <strong>Warranty Period:</strong> ${warrantyLabel(record.bill.warranty)}<br>
           <strong>Valid From:</strong> ${record.bill.from_date}<br>
           <strong>Valid To:</strong> ${record.bill.to_date}
         </div>
@@ -1699,9 +2164,7 @@ function displayBill(record) {
         <div class="bill-footer-left">
           <div style="font-weight: bold; margin-bottom: var(--space-8);">Terms &amp; Conditions:</div>
           <div style="line-height: 1.8;">
-            1. Warranty void if the device is tampered.<br>
-            2. No warranty on water damage.<br>
-            3. Goods once sold will not be taken back.
+            ${billTerms(shopSettings.bill_terms)}
           </div>
         </div>
         <div class="bill-footer-right">
@@ -1714,7 +2177,7 @@ function displayBill(record) {
 
       <div class="bill-actions">
         <button class="btn btn-primary" onclick="printBill()">🖨 Print Bill</button>
-        <button class="btn btn-secondary" onclick="editBill('${record.service_id}')">✎ Edit Bill</button>
+        <button class="btn btn-secondary" data-requires="edit_saved_bills" onclick="editBill('${record.service_id}')">✎ Edit Bill</button>
       </div>
     </div>
   `;
@@ -1775,6 +2238,7 @@ function editBill(serviceId) {
           const toDateInput = document.getElementById('warrantyToDate');
           if (toDateInput) toDateInput.value = record.bill.to_date;
         }
+        setBillDiscount(record.bill.discount);
         
         // Re-attach event listeners and calculate totals
         attachItemEventListeners();
@@ -1809,6 +2273,19 @@ window.generatePDF = generatePDF;
 // Global variables for date filtering
 let currentDateFilter = null;
 
+// Page of All Records on screen, and the number of the latest request (a
+// slower earlier response must not replace a newer one)
+const ALL_RECORDS_PAGE_SIZE = 25;
+let allRecordsPage = 1;
+let allRecordsRequest = 0;
+
+// All Records type radio -> /api/records type
+const RECORD_FILTER_TYPES = {
+  individual: 'service',
+  laptop: 'laptop',
+  vendor: 'vendor'
+};
+
 function filterByDateRange() {
   const fromDate = document.getElementById('filterFromDate').value;
   const toDate = document.getElementById('filterToDate').value;
@@ -1827,9 +2304,7 @@ function filterByDateRange() {
   currentDateFilter = { fromDate, toDate };
   
   // Apply filters
-  const searchValue = allRecordsSearch.value;
-  const selectedFilter = document.querySelector('input[name="recordFilter"]:checked')?.value || 'all';
-  renderAllRecords(searchValue, selectedFilter);
+  renderAllRecords(1);
 }
 
 function resetDateFilter() {
@@ -1843,29 +2318,15 @@ function resetDateFilter() {
   console.log('✓ Date filter reset - filter fields cleared');
   
   // Reload all records
-  const searchValue = allRecordsSearch.value;
-  const selectedFilter = document.querySelector('input[name="recordFilter"]:checked')?.value || 'all';
-  renderAllRecords(searchValue, selectedFilter);
+  renderAllRecords(1);
   
   // Ensure filters stay empty
   setTimeout(ensureFilterDatesEmpty, 50);
 }
 
-function updateSummaryWithFiltered(records) {
-  const totalRecords = records.length;
-  const individualCount = records.filter(r => r.record_type === 'service' || !r.record_type).length;
-  const vendorCount = records.filter(r => r.record_type === 'vendor').length;
-  const billedCount = records.filter(r => r.bill !== null && r.bill !== undefined).length;
-  
-  let totalRevenue = 0;
-  records.forEach(record => {
-    if (record.bill) {
-      totalRevenue += record.bill.grand_total || 0;
-    }
-  });
-  
+function updateSummaryWithFiltered(total, summary) {
   // Update summary HTML
-  const summaryText = `📊 SUMMARY: Total: ${totalRecords} | Individual: ${individualCount} | Vendors: ${vendorCount} | Completed Bills: ${billedCount} | Total Revenue: Rs. ${totalRevenue.toFixed(2)}`;
+  const summaryText = `📊 SUMMARY: Total: ${total} | Individual: ${summary.services} | Vendors: ${summary.vendors} | Completed Bills: ${summary.billed} | Total Revenue: Rs. ${summary.revenue.toFixed(2)}`;
   
   const summaryElement = document.getElementById('recordsSummary');
   if (summaryElement) {
@@ -1873,72 +2334,98 @@ function updateSummaryWithFiltered(records) {
   }
 }
 
-// Make functions globally accessible
-window.filterByDateRange = filterByDateRange;
-window.resetDateFilter = resetDateFilter;
+/**
+ * /api/records query for the All Records filters and page
+ */
+function allRecordsQuery(page) {
+  const recordFilter = document.querySelector('input[name="recordFilter"]:checked')?.value || 'all';
+  const [sort, order] = document.getElementById('recordsSort').value.split(':');
+  const params = new URLSearchParams({ page, limit: ALL_RECORDS_PAGE_SIZE, sort, order });
+  const filters = {
+    type: RECORD_FILTER_TYPES[recordFilter],
+    q: allRecordsSearch.value.trim(),
+    from: currentDateFilter?.fromDate,
+    to: currentDateFilter?.toDate,
+    brand: document.getElementById('recordsBrandFilter').value.trim(),
+    received_by: document.getElementById('recordsReceivedByFilter').value.trim(),
+    billed: document.getElementById('recordsBilledFilter').value,
+    status: document.getElementById('recordsStatusFilter').value
+  };
+  Object.entries(filters).forEach(([name, value]) => {
+    if (value) params.set(name, value);
+  });
+  return params;
+}
 
-function renderAllRecords(filter = '', recordFilter = 'all') {
-  const records = loadRecords();
-  console.log('🔍 renderAllRecords called:', 'filter=', filter, 'recordFilter=', recordFilter, 'total records=', records.length);
-  
-  // Apply date filter first
-  let dateFiltered = records;
-  if (currentDateFilter) {
-    console.log('📅 Date filter active:', currentDateFilter);
-    const fromDate = new Date(currentDateFilter.fromDate);
-    const toDate = new Date(currentDateFilter.toDate);
-    
-    dateFiltered = records.filter(record => {
-      const recordDate = new Date(record.date || record.created_date);
-      return recordDate >= fromDate && recordDate <= toDate;
-    });
-    console.log('📅 After date filter:', dateFiltered.length, 'records');
-  }
-  
-  // Apply record type filter
-  let filteredByType = dateFiltered;
-  if (recordFilter === 'individual') {
-    filteredByType = dateFiltered.filter(r => r.record_type === 'service' || !r.record_type);
-  } else if (recordFilter === 'laptop') {
-    filteredByType = dateFiltered.filter(r => r.record_type === 'laptop');
-  } else if (recordFilter === 'vendor') {
-    filteredByType = dateFiltered.filter(r => r.record_type === 'vendor');
+/**
+ * Download the records matching the All Records filters (every page) as
+ * the chosen export format
+ */
+async function exportRecords() {
+  const format = document.getElementById('exportFormat').value;
+  const button = document.getElementById('exportRecordsBtn');
+  const params = allRecordsQuery(1);
+  params.delete('page');
+  params.delete('limit');
+  params.set('format', format);
+
+  button.disabled = true;
+  try {
+    const response = await apiFetch(`/export?${params}`);
+    if (!response.ok) throw await apiError(response, 'Failed to export records');
+    const fileName = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = fileName ? fileName[1] : `records.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    console.log('✓ Exported', response.headers.get('X-Total-Count'), 'records as', format);
+  } catch (error) {
+    console.error('Error exporting records:', error);
+    alert(error.message);
+  } finally {
+    button.disabled = false;
   }
-  console.log('🏷️ After type filter:', filteredByType.length, 'records');
-  
-  // Apply search filter
-  const filtered = filteredByType.filter(rec => {
-    // If no search filter, include all
-    if (!filter || filter.trim() === '') {
-      return true;
-    }
-    
-    if (rec.record_type === 'vendor') {
-      const vendorIdMatch = rec.vendor_id.toLowerCase().includes(filter.toLowerCase());
-      const nameMatch = rec.vendor_name.toLowerCase().includes(filter.toLowerCase());
-      const mobileMatch = rec.mobile_number.includes(filter);
-      return vendorIdMatch || nameMatch || mobileMatch;
-    } else if (rec.record_type === 'laptop') {
-      const laptopIdMatch = rec.laptop_id.toLowerCase().includes(filter.toLowerCase());
-      const contactMatch = rec.contact_number.includes(filter);
-      const brandMatch = rec.laptop_brand.toLowerCase().includes(filter.toLowerCase());
-      return laptopIdMatch || contactMatch || brandMatch;
-    } else {
-      const serviceIdMatch = rec.service_id.toLowerCase().includes(filter.toLowerCase());
-      const nameMatch = rec.customer_name.toLowerCase().includes(filter.toLowerCase());
-      const mobileMatch = rec.mobile_number.includes(filter);
-      return serviceIdMatch || nameMatch || mobileMatch;
+}
+
+// Make functions globally accessible
+window.filterByDateRange = filterByDateRange;
+window.resetDateFilter = resetDateFilter;
+window.exportRecords = exportRecords;
+
+/**
+ * Show one page of All Records, filtered and sorted by the server
+ */
+async function renderAllRecords(page = 1) {
+  const request = ++allRecordsRequest;
+  let result;
+  try {
+    const response = await apiFetch(`/records?${allRecordsQuery(Math.max(1, page))}`);
+    if (!response.ok) throw await apiError(response, 'Failed to load records');
+    result = await response.json();
+  } catch (error) {
+    console.error('Error loading records:', error);
+    if (request === allRecordsRequest) {
+      allRecordsList.innerHTML = `<li class="empty">${escapeHtml(error.message)}</li>`;
     }
-  });
+    return;
+  }
+  if (request !== allRecordsRequest) return;
+
+  const filtered = result.items;
+  console.log('🔎 All Records page', result.page, 'of', result.pages, '-', result.total, 'matching records');
 
-  console.log('🔎 After search filter:', filtered.length, 'records');
-  console.log('📋 Filtered records:', filtered.map(r => ({type: r.record_type, id: r.service_id || r.vendor_id || r.laptop_id})));
+  allRecordsPage = result.page;
+  document.getElementById('recordsPageInfo').textContent = `Page ${result.page} of ${result.pages}`;
+  document.getElementById('recordsPrevBtn').disabled = result.page <= 1;
+  document.getElementById('recordsNextBtn').disabled = result.page >= result.pages;
 
   // Update summary with filtered records
-  updateSummaryWithFiltered(filtered);
+  updateSummaryWithFiltered(result.total, result.summary);
   
   allRecordsList.innerHTML = '';
-  console.log('📝 Rendering to element:', allRecordsList);
 
   if (filtered.length === 0) {
     console.log('⚠️ No records to display');
@@ -1949,15 +2436,14 @@ function renderAllRecords(filter = '', recordFilter = 'all') {
     return;
   }
 
-  console.log('✅ Rendering', filtered.length, 'records...');
-  filtered.slice().reverse().forEach((rec, index) => {
+  filtered.forEach(rec => {
     try {
       const li = document.createElement('li');
     
       if (rec.record_type === 'laptop') {
       // Laptop record display
       const billStatus = rec.bill ? `✅ Billed (Rs. ${rec.bill.grand_total})` : '⏳ Pending Bill';
-      const warrantyInfo = rec.bill ? ` | Warranty: ${rec.bill.warranty === '6' ? '6 months' : '3 months'}` : '';
+      const warrantyInfo = rec.bill ? ` | Warranty: ${warrantyLabel(rec.bill.warranty)}` : '';
       const issuePreview = rec.issue.length > 50 ? rec.issue.substring(0, 50) + '...' : rec.issue;
       
       li.innerHTML = `
@@ -1978,7 +2464,7 @@ function renderAllRecords(filter = '', recordFilter = 'all') {
         </div>
         <div style="margin-top: 8px; display: flex; gap: 5px; flex-wrap: wrap;">
           <button class="btn-mini btn-primary" onclick="event.stopPropagation(); viewLaptopDetails('${rec.laptop_id}')">👁️ View</button>
-          ${!rec.bill ? `<button class="btn-mini btn-success" onclick="event.stopPropagation(); createBillForLaptop('${rec.laptop_id}')">💰 Create Bill</button>` : ''}
+          ${!rec.bill ? `<button class="btn-mini btn-success" data-requires="save_bills" onclick="event.stopPropagation(); createBillForLaptop('${rec.laptop_id}')">💰 Create Bill</button>` : ''}
           ${rec.bill ? `<button class="btn-mini btn-secondary" onclick="event.stopPropagation(); viewBillForLaptop('${rec.laptop_id}')">📋 View Bill</button>` : ''}
           ${rec.bill ? `<button class="btn-mini btn-primary" onclick="event.stopPropagation(); printBillForLaptop('${rec.laptop_id}')">🖨️ Print</button>` : ''}
         </div>
@@ -2025,7 +2511,7 @@ function renderAllRecords(filter = '', recordFilter = 'all') {
     } else {
       // Individual service record display
       const billStatus = rec.bill ? `✅ Billed (Rs. ${rec.bill.grand_total})` : '⏳ Pending Bill';
-      const warrantyInfo = rec.bill ? ` | Warranty: ${rec.bill.warranty === '6' ? '6 months' : '3 months'}` : '';
+      const warrantyInfo = rec.bill ? ` | Warranty: ${warrantyLabel(rec.bill.warranty)}` : '';
       const issuePreview = rec.issue ? (rec.issue.length > 50 ? rec.issue.substring(0, 50) + '...' : rec.issue) : 'No issue description';
       const serviceTypes = Array.isArray(rec.service_type) ? rec.service_type.join(', ') : (rec.service_type || 'N/A');
       
@@ -2050,7 +2536,7 @@ function renderAllRecords(filter = '', recordFilter = 'all') {
         </div>
         <div style="margin-top: 8px; display: flex; gap: 5px; flex-wrap: wrap;">
           <button class="btn-mini btn-primary" onclick="event.stopPropagation(); viewRecordDetails('${rec.service_id}')">👁️ View</button>
-          ${!rec.bill ? `<button class="btn-mini btn-success" onclick="event.stopPropagation(); createBillForRecord('${rec.service_id}')">💰 Create Bill</button>` : ''}
+          ${!rec.bill ? `<button class="btn-mini btn-success" data-requires="save_bills" onclick="event.stopPropagation(); createBillForRecord('${rec.service_id}')">💰 Create Bill</button>` : ''}
           ${rec.bill ? `<button class="btn-mini btn-secondary" onclick="event.stopPropagation(); viewBillForRecord('${rec.service_id}')">📋 View Bill</button>` : ''}
           ${rec.bill ? `<button class="btn-mini btn-primary" onclick="event.stopPropagation(); printBillForRecord('${rec.service_id}')">🖨️ Print</button>` : ''}
         </div>
@@ -2074,16 +2560,19 @@ function renderAllRecords(filter = '', recordFilter = 'all') {
   });
 }
 
-allRecordsSearch.addEventListener('input', (e) => {
-  const selectedFilter = document.querySelector('input[name="recordFilter"]:checked')?.value || 'all';
-  renderAllRecords(e.target.value, selectedFilter);
+allRecordsSearch.addEventListener('input', () => renderAllRecords(1));
+
+['recordsBrandFilter', 'recordsReceivedByFilter'].forEach(id => {
+  document.getElementById(id).addEventListener('input', () => renderAllRecords(1));
+});
+['recordsBilledFilter', 'recordsStatusFilter', 'recordsSort'].forEach(id => {
+  document.getElementById(id).addEventListener('change', () => renderAllRecords(1));
 });
 
 // Add record filter functionality
 document.addEventListener('change', (e) => {
   if (e.target.name === 'recordFilter') {
-    const searchValue = allRecordsSearch.value;
-    renderAllRecords(searchValue, e.target.value);
+    renderAllRecords(1);
   }
 });
 
@@ -2102,6 +2591,7 @@ function createModal(serviceId) {
   // Create modal overlay
   const modalOverlay = document.createElement('div');
   modalOverlay.className = 'modal-overlay';
+  modalOverlay.dataset.recordKey = `service:${serviceId}`;
   modalOverlay.style.cssText = `
     position: fixed;
     top: 0;
@@ -2204,13 +2694,13 @@ function createModal(serviceId) {
         <div style="text-align: center;">
           <div style="font-weight: var(--font-weight-medium); margin-bottom: var(--space-8);">Front Image</div>
           <div style="border: 2px solid var(--color-border); border-radius: var(--radius-base); padding: var(--space-16); background-color: var(--color-bg-5); min-height: 200px; display: flex; align-items: center; justify-content: center;">
-            ${record.front_image ? `<img src="${record.front_image}" style="max-width: 100%; max-height: 180px; object-fit: cover; border-radius: var(--radius-sm);" />` : '<span style="color: var(--color-text-secondary);">No image uploaded</span>'}
+            ${record.front_image ? `<a href="${imageUrl(record.front_image)}" target="_blank" title="Open full size"><img src="${imageUrl(record.front_image, true)}" style="max-width: 100%; max-height: 180px; object-fit: cover; border-radius: var(--radius-sm);" /></a>` : '<span style="color: var(--color-text-secondary);">No image uploaded</span>'}
           </div>
         </div>
         <div style="text-align: center;">
           <div style="font-weight: var(--font-weight-medium); margin-bottom: var(--space-8);">Back Image</div>
           <div style="border: 2px solid var(--color-border); border-radius: var(--radius-base); padding: var(--space-16); background-color: var(--color-bg-6); min-height: 200px; display: flex; align-items: center; justify-content: center;">
-            ${record.back_image ? `<img src="${record.back_image}" style="max-width: 100%; max-height: 180px; object-fit: cover; border-radius: var(--radius-sm);" />` : '<span style="color: var(--color-text-secondary);">No image uploaded</span>'}
+            ${record.back_image ? `<a href="${imageUrl(record.back_image)}" target="_blank" title="Open full size"><img src="${imageUrl(record.back_image, true)}" style="max-width: 100%; max-height: 180px; object-fit: cover; border-radius: var(--radius-sm);" /></a>` : '<span style="color: var(--color-text-secondary);">No image uploaded</span>'}
           </div>
         </div>
       </div>
@@ -2224,94 +2714,1814 @@ function createModal(serviceId) {
         <div><strong>Bill Status:</strong> <span style="color: var(--color-success);">✅ Completed</span></div>
         <div><strong>Warranty:</strong> ${record.bill.warranty} months (${record.bill.from_date} to ${record.bill.to_date})</div>
       </div>
-    </div>
-    ` : `
-    <div style="margin-bottom: var(--space-24);">
-      <h3 style="color: var(--color-primary); margin-bottom: var(--space-12); font-size: var(--font-size-lg);">💰 Bill Status</h3>
-      <div style="background-color: var(--color-bg-8); padding: var(--space-16); border-radius: var(--radius-base);">
-        <div style="color: var(--color-warning);"><strong>⏳ Bill Pending</strong></div>
+    </div>
+    ` : `
+    <div style="margin-bottom: var(--space-24);">
+      <h3 style="color: var(--color-primary); margin-bottom: var(--space-12); font-size: var(--font-size-lg);">💰 Bill Status</h3>
+      <div style="background-color: var(--color-bg-8); padding: var(--space-16); border-radius: var(--radius-base);">
+        <div style="color: var(--color-warning);"><strong>⏳ Bill Pending</strong></div>
+      </div>
+    </div>
+    `}
+    
+    ${recordHistoryPanel()}
+    
+    <div style="text-align: center; margin-top: var(--space-24); display: flex; gap: var(--space-12); justify-content: center;">
+      <button class="btn btn-danger" data-requires="delete_records" onclick="deleteRecordFromModal('services', '${record.service_id}')">🗑️ Delete</button>
+      <button class="btn btn--secondary modal-close-btn">Close</button>
+    </div>
+  `;
+
+  modalBox.innerHTML = modalContent;
+  renderRecordHistory(modalBox, 'services', record.service_id);
+  modalOverlay.appendChild(modalBox);
+  document.body.appendChild(modalOverlay);
+
+  // Add event listeners for closing
+  const closeButtons = modalBox.querySelectorAll('.modal-close-btn');
+  closeButtons.forEach(btn => {
+    btn.addEventListener('click', () => closeModal(modalOverlay));
+  });
+
+  // Close on overlay click
+  modalOverlay.addEventListener('click', (e) => {
+    if (e.target === modalOverlay) {
+      closeModal(modalOverlay);
+    }
+  });
+
+  // Prevent body scroll
+  document.body.style.overflow = 'hidden';
+
+  // Animate in
+  setTimeout(() => {
+    modalOverlay.style.opacity = '1';
+    modalBox.style.transform = 'scale(1)';
+  }, 10);
+}
+
+function closeModal(modalOverlay) {
+  modalOverlay.dataset.closing = 'true';
+  modalOverlay.style.opacity = '0';
+  modalOverlay.querySelector('.modal-box').style.transform = 'scale(0.95)';
+  
+  setTimeout(() => {
+    modalOverlay.remove();
+    document.body.style.overflow = 'auto';
+  }, 300);
+}
+
+// Helper functions for All Records actions
+function viewRecordDetails(serviceId) {
+  console.log('👁️ viewRecordDetails called with:', serviceId);
+  createModal(serviceId);
+}
+
+function createBillForRecord(serviceId) {
+  console.log('💰 createBillForRecord called with:', serviceId);
+  searchBillInput.value = serviceId;
+  showSection('billing');
+  searchAndLoadRecord();
+  window.scrollTo(0, 0);
+}
+
+function viewBillForRecord(serviceId) {
+  const records = loadRecords();
+  const record = records.find(r => r.service_id === serviceId);
+  if (record && record.bill) {
+    showSection('billing');
+    displayBill(record);
+    window.scrollTo(0, 0);
+  }
+}
+
+function printBillForRecord(serviceId) {
+  const records = loadRecords();
+  const record = records.find(r => r.service_id === serviceId);
+  if (record && record.bill) {
+    showSection('billing');
+    displayBill(record);
+    setTimeout(() => {
+      printBill();
+    }, 500);
+  }
+}
+
+// ============================================
+// GLOBAL SEARCH (header)
+// ============================================
+
+const GLOBAL_SEARCH_LIMIT = 10;
+
+// Label of each search result type
+const SEARCH_RESULT_TYPES = {
+  service: '📱 Service',
+  laptop: '💻 Laptop',
+  vendor: '🏢 Vendor',
+  vendor_phone: '📦 Vendor Phone',
+  vendor_bill: '💰 Vendor Bill'
+};
+
+// Number of the latest search; older responses are dropped
+let globalSearchRequest = 0;
+
+function clearGlobalSearch() {
+  globalSearchRequest++;
+  globalSearchResults.innerHTML = '';
+}
+
+/**
+ * Show the best matches for the header search box
+ */
+async function renderGlobalSearch() {
+  const query = globalSearchInput.value.trim();
+  const request = ++globalSearchRequest;
+  if (query.length < 2) {
+    globalSearchResults.innerHTML = '';
+    return;
+  }
+
+  let result;
+  try {
+    result = await searchRecords(query, GLOBAL_SEARCH_LIMIT);
+  } catch (error) {
+    console.error('Error searching:', error);
+    if (request === globalSearchRequest) {
+      globalSearchResults.innerHTML = `<li class="empty">${escapeHtml(error.message)}</li>`;
+    }
+    return;
+  }
+  if (request !== globalSearchRequest) return;
+
+  if (result.results.length === 0) {
+    globalSearchResults.innerHTML = `<li class="empty">No matches for "${escapeHtml(query)}"</li>`;
+    return;
+  }
+
+  const more = result.total - result.results.length;
+  globalSearchResults.innerHTML = result.results.map(r => `
+    <li style="cursor: pointer; padding: 12px 15px;" onclick="openSearchResult('${r.record_type}', '${r.record_id}', '${r.vendor_id || ''}')">
+      <div><strong>${escapeHtml(r.record_id)}</strong> - ${escapeHtml(r.title || '')} | ${SEARCH_RESULT_TYPES[r.record_type]}</div>
+      <div class="search-result-match">
+        ${escapeHtml(r.subtitle || '')} | Matched ${r.matches.map(m => `${m.field.replace(/_/g, ' ')}: ${escapeHtml(m.value)}`).join(', ')}
+      </div>
+    </li>
+  `).join('') + (more > 0 ? `<li class="empty">${more} more match(es) - type more to narrow down</li>` : '');
+}
+
+/**
+ * Open the details of a search result; a vendor's phones and bills open
+ * the vendor
+ */
+function openSearchResult(type, id, vendorId) {
+  clearGlobalSearch();
+  if (type === 'service') {
+    viewRecordDetails(id);
+  } else if (type === 'laptop') {
+    viewLaptopDetails(id);
+  } else {
+    openVendorDetailsModal(vendorId);
+  }
+}
+
+globalSearchInput.addEventListener('input', renderGlobalSearch);
+globalSearchInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    globalSearchInput.value = '';
+    clearGlobalSearch();
+  }
+});
+
+window.openSearchResult = openSearchResult;
+
+// ============================================
+// RECORD HISTORY
+// ============================================
+
+const HISTORY_ACTIONS = {
+  CREATE: '➕ Created',
+  UPDATE: '✏️ Updated',
+  REVERT: '↩️ Reverted',
+  DELETE: '🗑️ Moved to trash',
+  RESTORE: '♻️ Restored',
+  PURGE: '❌ Deleted for good',
+  IMPORT: '📥 Imported'
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * History section of the service, laptop and vendor modals. Filled in by
+ * renderRecordHistory() once the modal is on screen.
+ */
+function recordHistoryPanel() {
+  return `
+    <div style="margin-bottom: var(--space-24);">
+      <h3 style="color: var(--color-primary); margin-bottom: var(--space-12); font-size: var(--font-size-lg);">🕘 History</h3>
+      <div class="record-history">Loading history...</div>
+    </div>
+  `;
+}
+
+/**
+ * Load a record's ChangeLog entries and show them newest first. Entries
+ * written by the same save (same time, action and record) are grouped.
+ */
+async function renderRecordHistory(modalBox, collection, id) {
+  const container = modalBox.querySelector('.record-history');
+
+  let entries;
+  try {
+    const response = await apiFetch(`/${collection}/${id}/history`);
+    if (!response.ok) throw await apiError(response, 'Failed to load history');
+    entries = await response.json();
+  } catch (error) {
+    console.error('Error loading history:', error);
+    container.textContent = 'Could not load history';
+    return;
+  }
+
+  if (entries.length === 0) {
+    container.textContent = 'No changes recorded';
+    return;
+  }
+
+  const groups = [];
+  entries.forEach(entry => {
+    const last = groups[groups.length - 1];
+    if (last && last.timestamp === entry.timestamp && last.action === entry.action && last.record_id === entry.record_id) {
+      last.changes.push(entry);
+    } else {
+      groups.push({ ...entry, changes: [entry] });
+    }
+  });
+
+  container.innerHTML = groups.reverse().map(group => {
+    const changes = group.changes
+      .filter(change => change.field_changed)
+      .map(change => `
+        <li><strong>${escapeHtml(change.field_changed)}</strong>: <span class="history-old">${escapeHtml(change.old_value) || '(empty)'}</span> → ${escapeHtml(change.new_value) || '(empty)'}</li>
+      `).join('');
+    return `
+      <div class="history-entry">
+        <div class="history-meta">
+          ${HISTORY_ACTIONS[group.action] || escapeHtml(group.action)}${group.record_id !== id ? ` ${escapeHtml(group.record_id)}` : ''}
+          | ${new Date(group.timestamp).toLocaleString()} | 👤 ${escapeHtml(group.user)}
+        </div>
+        ${changes ? `<ul>${changes}</ul>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+// ============================================
+// CHANGE HISTORY (All Records)
+// ============================================
+
+let changeHistoryPage = 1;
+
+/**
+ * Show one page of the ChangeLog, newest first, using the filters above
+ * the table
+ */
+async function renderChangeHistory(page = 1) {
+  const body = document.getElementById('changeHistoryBody');
+  const params = new URLSearchParams({ page, limit: 25 });
+  [
+    ['record_type', 'changeTypeFilter'],
+    ['action', 'changeActionFilter'],
+    ['record_id', 'changeRecordFilter'],
+    ['user', 'changeUserFilter'],
+    ['from', 'changeFromDate'],
+    ['to', 'changeToDate']
+  ].forEach(([param, inputId]) => {
+    const value = document.getElementById(inputId).value.trim();
+    if (value) params.set(param, param === 'record_id' ? value.toUpperCase() : value);
+  });
+
+  let result;
+  try {
+    const response = await apiFetch(`/changelog?${params}`);
+    if (!response.ok) throw await apiError(response, 'Failed to load change history');
+    result = await response.json();
+  } catch (error) {
+    console.error('Error loading change history:', error);
+    body.innerHTML = `<tr><td colspan="8">${escapeHtml(error.message)}</td></tr>`;
+    return;
+  }
+
+  changeHistoryPage = result.page;
+  document.getElementById('changePageInfo').textContent = `Page ${result.page} of ${result.pages} (${result.total} changes)`;
+  document.getElementById('changePrevBtn').disabled = result.page <= 1;
+  document.getElementById('changeNextBtn').disabled = result.page >= result.pages;
+
+  if (result.items.length === 0) {
+    body.innerHTML = '<tr><td colspan="8">No changes found</td></tr>';
+    return;
+  }
+
+  body.innerHTML = result.items.map(entry => {
+    // Settings and staff account changes are undone from the Settings tab
+    const revertable = ['UPDATE', 'REVERT'].includes(entry.action) && entry.field_changed &&
+      !['settings', 'user'].includes(entry.record_type);
+    return `
+      <tr>
+        <td>${new Date(entry.timestamp).toLocaleString()}</td>
+        <td>${HISTORY_ACTIONS[entry.action] || entry.action}</td>
+        <td>${entry.record_id}</td>
+        <td>${escapeHtml(entry.field_changed)}</td>
+        <td>${escapeHtml(entry.old_value)}</td>
+        <td>${escapeHtml(entry.new_value)}</td>
+        <td>${entry.user}</td>
+        <td>${revertable ? `<button class="btn-mini btn-secondary" onclick="revertChange(${entry.change_id})">↩️ Revert</button>` : ''}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function revertChange(changeId) {
+  if (!confirm('Set this field back to its old value?')) return;
+
+  try {
+    const response = await apiFetch(`/changelog/${changeId}/revert`, { method: 'POST' });
+    if (!response.ok) throw await apiError(response, 'Failed to revert change');
+    const reverted = await response.json();
+    cacheRecord('updated', reverted.record_type, reverted);
+    refreshRecordLists();
+    renderChangeHistory(changeHistoryPage);
+    alert('✓ Change reverted');
+  } catch (error) {
+    console.error('Error reverting change:', error);
+    alert(error.fields ? saveErrorText(error) : `❌ ${error.message}`);
+  }
+}
+
+window.renderChangeHistory = renderChangeHistory;
+window.revertChange = revertChange;
+
+// ============================================
+// TRASH
+// ============================================
+
+const TRASH_LABELS = {
+  service: '📱 Service',
+  laptop: '💻 Laptop',
+  vendor: '🏢 Vendor'
+};
+
+/**
+ * Re-render whichever record lists are on screen after a change, keeping
+ * their search text
+ */
+function refreshRecordLists() {
+  renderRecentServices(serviceSearchInput.value);
+  renderRecentLaptops(laptopSearchInput.value);
+  renderRecentVendors(vendorSearchInput.value);
+  if (recordsSection.classList.contains('active')) {
+    renderAllRecords(allRecordsPage);
+  }
+}
+
+/**
+ * Delete button in the service, laptop and vendor modals
+ */
+async function deleteRecordFromModal(collection, id) {
+  if (!confirm(`Move ${id} to the trash? It can be restored from the Trash tab.`)) return;
+
+  try {
+    await deleteRecord(collection, id);
+    const modal = document.querySelector('.modal-overlay');
+    if (modal) closeModal(modal);
+    refreshRecordLists();
+    alert(`✓ ${id} moved to the trash`);
+  } catch (error) {
+    console.error('Error deleting record:', error);
+    alert(saveErrorText(error, 'Error deleting record. Please try again.'));
+  }
+}
+
+function trashSummary(entry) {
+  const record = entry.record;
+  if (entry.record_type === 'vendor') {
+    return `${escapeHtml(record.vendor_name)} (${escapeHtml(record.mobile_number)}) | ${(record.phones || []).length} phone(s)`;
+  }
+  if (entry.record_type === 'laptop') {
+    return `${escapeHtml(record.laptop_brand)} ${escapeHtml(record.model)} (${escapeHtml(record.contact_number)})`;
+  }
+  return `${escapeHtml(record.customer_name)} (${escapeHtml(record.mobile_number)}) | ${escapeHtml(record.mobile_brand)} ${escapeHtml(record.model)}`;
+}
+
+async function renderTrash() {
+  trashList.innerHTML = '';
+  const summary = document.getElementById('trashSummary');
+
+  let trash;
+  try {
+    trash = await loadTrash();
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    trashList.innerHTML = '<li class="empty-state">Could not load the trash</li>';
+    return;
+  }
+
+  summary.textContent = trash.retention_days
+    ? `${trash.entries.length} deleted record(s). Records are deleted for good ${trash.retention_days} days after they were moved here.`
+    : `${trash.entries.length} deleted record(s).`;
+
+  if (trash.entries.length === 0) {
+    trashList.innerHTML = '<li class="empty-state">The trash is empty</li>';
+    return;
+  }
+
+  trash.entries.forEach(entry => {
+    const li = document.createElement('li');
+    li.style.padding = '12px 15px';
+    li.innerHTML = `
+      <div><strong>${escapeHtml(entry.record_id)}</strong> - ${trashSummary(entry)}</div>
+      <div style="font-size: 0.85rem; color: var(--color-text-secondary); margin-top: 3px;">
+        ${TRASH_LABELS[entry.record_type] || escapeHtml(entry.record_type)} | 🗑️ Deleted ${new Date(entry.deleted_at).toLocaleString()} by ${escapeHtml(entry.deleted_by)}
+      </div>
+      <div style="margin-top: 8px; display: flex; gap: 5px; flex-wrap: wrap;">
+        <button class="btn-mini btn-success" onclick="restoreTrashItem('${entry.record_id}')">♻️ Restore</button>
+        <button class="btn-mini btn-danger" data-requires="delete_records" onclick="purgeTrashItem('${entry.record_id}')">🗑️ Delete Forever</button>
+      </div>
+    `;
+    trashList.appendChild(li);
+  });
+}
+
+async function restoreTrashItem(id) {
+  try {
+    await restoreTrashRecord(id);
+    refreshRecordLists();
+    renderTrash();
+    alert(`✓ ${id} restored`);
+  } catch (error) {
+    console.error('Error restoring record:', error);
+    alert(error.status === 409 ? `❌ ${error.message}` : 'Error restoring record. Please try again.');
+  }
+}
+
+async function purgeTrashItem(id) {
+  if (!confirm(`Delete ${id} for good? This cannot be undone.`)) return;
+
+  try {
+    await purgeTrashRecord(id);
+    renderTrash();
+  } catch (error) {
+    console.error('Error deleting record:', error);
+    alert(saveErrorText(error, 'Error deleting record. Please try again.'));
+  }
+}
+
+window.deleteRecordFromModal = deleteRecordFromModal;
+window.restoreTrashItem = restoreTrashItem;
+window.purgeTrashItem = purgeTrashItem;
+
+// ============================================
+// BACKUPS
+// ============================================
+
+const BACKUP_COUNT_LABELS = {
+  services: '📱 services',
+  laptops: '💻 laptops',
+  vendors: '🏢 vendors',
+  vendor_phones: 'vendor phones',
+  trash: '🗑️ in trash'
+};
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatCounts(counts) {
+  return Object.entries(BACKUP_COUNT_LABELS)
+    .map(([key, label]) => `${counts[key]} ${label}`)
+    .join(' | ');
+}
+
+async function fetchBackupJson(url, message) {
+  const response = await apiFetch(url);
+  if (!response.ok) throw await apiError(response, message);
+  return await response.json();
+}
+
+async function renderBackups() {
+  backupsList.innerHTML = '';
+  backupDetails.innerHTML = '';
+  const summary = document.getElementById('backupsSummary');
+
+  let list;
+  try {
+    list = await fetchBackupJson('/backups', 'Failed to load backups');
+  } catch (error) {
+    console.error('Error loading backups:', error);
+    backupsList.innerHTML = '<li class="empty-state">Could not load backups</li>';
+    return;
+  }
+
+  summary.textContent = `${list.length} backup(s) in the backups folder`;
+  if (list.length === 0) {
+    backupsList.innerHTML = '<li class="empty-state">No backups yet</li>';
+    return;
+  }
+
+  list.forEach(backup => {
+    const li = document.createElement('li');
+    li.style.padding = '12px 15px';
+    li.innerHTML = `
+      <div><strong>${new Date(backup.created_at).toLocaleString()}</strong> - ${backup.name}</div>
+      <div style="font-size: 0.85rem; color: var(--color-text-secondary); margin-top: 3px;">
+        ${formatFileSize(backup.size)} | ${backup.error ? `⚠ ${backup.error}` : formatCounts(backup.counts)}
+      </div>
+      ${backup.error ? '' : `
+      <div style="margin-top: 8px; display: flex; gap: 5px; flex-wrap: wrap;">
+        <button class="btn-mini btn-primary" onclick="previewBackup('${backup.name}')">👁️ Preview</button>
+        <button class="btn-mini btn-secondary" onclick="compareBackup('${backup.name}')">🔍 Compare with Current</button>
+        <button class="btn-mini btn-danger" onclick="restoreBackup('${backup.name}')">⏪ Restore</button>
+      </div>
+      `}
+    `;
+    backupsList.appendChild(li);
+  });
+}
+
+async function createBackupNow() {
+  try {
+    const response = await apiFetch('/backup', { method: 'POST' });
+    if (!response.ok) throw await apiError(response, 'Failed to create backup');
+    renderBackups();
+    alert('✓ Backup created');
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    alert('Error creating backup. Please try again.');
+  }
+}
+
+async function previewBackup(name) {
+  backupDetails.innerHTML = 'Loading backup...';
+  try {
+    const backup = await fetchBackupJson(`/backups/${name}`, 'Failed to read backup');
+    const rows = [
+      ...backup.services.map(r => `<li><strong>${escapeHtml(r.service_id)}</strong> - 📱 ${escapeHtml(r.customer_name)} (${escapeHtml(r.mobile_number)}) | ${escapeHtml(r.mobile_brand)} ${escapeHtml(r.model)} | 📅 ${escapeHtml(r.date)}</li>`),
+      ...backup.laptops.map(r => `<li><strong>${escapeHtml(r.laptop_id)}</strong> - 💻 ${escapeHtml(r.laptop_brand)} ${escapeHtml(r.model)} (${escapeHtml(r.contact_number)}) | 📅 ${escapeHtml(r.date)}</li>`),
+      ...backup.vendors.map(r => `<li><strong>${escapeHtml(r.vendor_id)}</strong> - 🏢 ${escapeHtml(r.vendor_name)} (${escapeHtml(r.mobile_number)}) | ${(r.phones || []).length} phone(s)</li>`)
+    ];
+    backupDetails.innerHTML = `
+      <h3>👁️ ${name}</h3>
+      <p>${formatCounts(backup.counts)}</p>
+      <ul>${rows.join('') || '<li>No records</li>'}</ul>
+    `;
+  } catch (error) {
+    console.error('Error reading backup:', error);
+    backupDetails.innerHTML = `⚠ ${escapeHtml(error.message)}`;
+  }
+}
+
+async function compareBackup(name) {
+  backupDetails.innerHTML = 'Comparing...';
+  try {
+    const diff = await fetchBackupJson(`/backups/${name}/diff`, 'Failed to compare backup');
+    const sections = Object.entries(diff).map(([collection, changes]) => {
+      const lines = [
+        ...changes.only_in_backup.map(id => `<li>➕ <strong>${escapeHtml(id)}</strong> would come back</li>`),
+        ...changes.only_in_live.map(id => `<li>➖ <strong>${escapeHtml(id)}</strong> would be removed</li>`),
+        ...changes.changed.map(record => `
+          <li>✏️ <strong>${escapeHtml(record.id)}</strong>
+            <ul>${record.fields.map(f => `<li>${escapeHtml(f.field)}: <span class="history-old">${escapeHtml(f.live) || '(empty)'}</span> → ${escapeHtml(f.backup) || '(empty)'}</li>`).join('')}</ul>
+          </li>
+        `)
+      ];
+      return `<h4>${collection}</h4><ul>${lines.join('') || '<li>No differences</li>'}</ul>`;
+    });
+    backupDetails.innerHTML = `
+      <h3>🔍 Restoring ${name} would change:</h3>
+      ${sections.join('')}
+    `;
+  } catch (error) {
+    console.error('Error comparing backup:', error);
+    backupDetails.innerHTML = `⚠ ${escapeHtml(error.message)}`;
+  }
+}
+
+async function restoreBackup(name) {
+  if (!confirm(`Restore ${name}?\n\nAll services, vendors, laptops and shop settings will be replaced with the backup's. A backup of the current data is taken first.`)) return;
+
+  try {
+    const response = await apiFetch(`/backups/${name}/restore`, { method: 'POST' });
+    if (!response.ok) throw await apiError(response, 'Failed to restore backup');
+    const result = await response.json();
+    await initDB();
+    await refreshSettings();
+    refreshRecordLists();
+    renderBackups();
+    alert(`✓ Backup restored.\n\nThe data from before the restore was saved as ${result.safety_backup}`);
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    alert(`❌ ${error.message}`);
+  }
+}
+
+window.createBackupNow = createBackupNow;
+window.previewBackup = previewBackup;
+window.compareBackup = compareBackup;
+window.restoreBackup = restoreBackup;
+
+// ============================================
+// EXTERNAL EDITS (database file)
+// ============================================
+
+const storageNotice = document.getElementById('storageNotice');
+
+// detected_at of the last external change handled
+let lastExternalChange = null;
+
+function showStorageNotice(kind, message, details = []) {
+  storageNotice.className = `storage-notice storage-notice-${kind}`;
+  storageNotice.innerHTML = `
+    <button type="button" class="storage-notice-close" onclick="hideStorageNotice()" title="Dismiss">×</button>
+    <strong>${escapeHtml(message)}</strong>
+    ${details.length > 0 ? `<ul>${details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>` : ''}
+  `;
+  storageNotice.hidden = false;
+}
+
+function hideStorageNotice() {
+  storageNotice.hidden = true;
+}
+
+/**
+ * Show an edit to the database file made outside the app (a `storage`
+ * event). An edit the server loaded reloads the records and settings on
+ * screen; one it could not load is shown with its problems, since nothing
+ * can be saved until the file is fixed.
+ */
+async function handleExternalChange(file, change) {
+  if (!change || change.detected_at === lastExternalChange) return;
+  lastExternalChange = change.detected_at;
+
+  if (!change.loaded) {
+    showStorageNotice('error', `⚠ ${file} was changed outside the app and cannot be loaded. Nothing can be saved until it is fixed:`, change.problems);
+    return;
+  }
+  await reloadAllData();
+  showStorageNotice('info', `🔄 ${file} was changed outside the app. The latest data has been loaded.`, change.warnings);
+}
+
+/**
+ * At startup: show a database file edit the server could not load. A
+ * loaded edit is already in the data this page loaded.
+ */
+async function checkStorageStatus() {
+  try {
+    // Plain fetch: a locked file is not worth an alert here
+    const response = await fetch(`${API_BASE}/storage/status`);
+    if (!response.ok) return;
+    const { file, external_change: change } = await response.json();
+    if (!change || change.loaded) {
+      lastExternalChange = change ? change.detected_at : null;
+      return;
+    }
+    await handleExternalChange(file, change);
+  } catch (error) {
+    console.error('Error checking database file:', error);
+  }
+}
+
+window.hideStorageNotice = hideStorageNotice;
+
+// ============================================
+// LIVE UPDATES (Server-Sent Events)
+// ============================================
+
+// Changes arriving together are drawn once, this long after the first
+const LIVE_RENDER_DELAY_MS = 200;
+
+// Record detail modals, by record_type
+const MODAL_OPENERS = {
+  service: id => viewRecordDetails(id),
+  laptop: id => viewLaptopDetails(id),
+  vendor: id => openVendorDetailsModal(id)
+};
+
+// record_type:ID -> last action, for records changed since the last render
+const liveChanges = new Map();
+let liveRenderTimer = null;
+
+// The open GET /api/events connection (closed at logout)
+let liveSource = null;
+
+/**
+ * Reload the records of `collections` (every collection by default) and
+ * the settings, and redraw the lists
+ */
+async function reloadAllData(collections) {
+  try {
+    await initDB(collections);
+  } catch (error) {
+    return;
+  }
+  await refreshSettings();
+  await refreshStaff();
+  renderLiveChanges();
+}
+
+/**
+ * Patch cachedRecords with a record created, updated or deleted on another
+ * page; this page's own changes are already loaded
+ */
+function applyRecordEvent(action, { record, origin }) {
+  if (origin === CLIENT_ID) return;
+
+  cacheRecord(action, record.record_type, record);
+  liveChanges.set(recordKey(record), action);
+  if (!liveRenderTimer) liveRenderTimer = setTimeout(renderLiveChanges, LIVE_RENDER_DELAY_MS);
+}
+
+/**
+ * Redraw the lists on screen and any open modal of a changed record
+ */
+function renderLiveChanges() {
+  clearTimeout(liveRenderTimer);
+  liveRenderTimer = null;
+
+  const selectedVendor = selectVendorDropdown.value;
+  updateVendorDropdown();
+  selectVendorDropdown.value = selectedVendor;
+  refreshRecordLists();
+  renderRecentBills('');
+  if (trashSection.classList.contains('active')) renderTrash();
+
+  liveChanges.forEach((action, key) => {
+    const modal = document.querySelector(`.modal-overlay[data-record-key="${key}"]:not([data-closing])`);
+    if (!modal) return;
+    modal.remove();
+    document.body.style.overflow = 'auto';
+    const [type, id] = key.split(':');
+    if (action !== 'deleted') MODAL_OPENERS[type](id);
+  });
+  liveChanges.clear();
+}
+
+/**
+ * Live updates stop with the login (and a revoked pairing): after logging
+ * in again, reconnect and catch up on what was missed
+ */
+function resumeLiveUpdates() {
+  if (liveSource && liveSource.readyState === EventSource.CLOSED) {
+    connectLiveUpdates();
+    reloadAllData();
+  }
+}
+
+/**
+ * Follow GET /api/events. The browser reconnects on its own; a `resync`
+ * after missed events reloads everything.
+ */
+function connectLiveUpdates() {
+  const source = new EventSource(`${API_BASE}/events`);
+  liveSource = source;
+
+  ['created', 'updated', 'deleted'].forEach(action => {
+    source.addEventListener(action, event => applyRecordEvent(action, JSON.parse(event.data)));
+  });
+  source.addEventListener('settings', event => {
+    if (JSON.parse(event.data).origin !== CLIENT_ID) refreshSettings();
+  });
+  source.addEventListener('reload', event => {
+    const { origin, collections } = JSON.parse(event.data);
+    if (origin !== CLIENT_ID) reloadAllData(collections);
+  });
+  source.addEventListener('users', event => applyStaffAccounts(JSON.parse(event.data).users));
+  source.addEventListener('resync', () => reloadAllData());
+  source.addEventListener('storage', event => {
+    const { file, external_change: change } = JSON.parse(event.data);
+    handleExternalChange(file, change);
+  });
+}
+
+// ============================================
+// OPEN PAGE HEARTBEAT
+// ============================================
+
+// How long to wait before registering again when the server is unreachable
+const HEARTBEAT_RETRY_MS = 5000;
+
+// ID this page is registered under (POST /api/clients)
+let heartbeatClientId = null;
+let heartbeatTimer = null;
+
+/**
+ * Register this page with the server and keep telling it the page is open.
+ * The server stops only when every page has been closed for a while, so a
+ * refresh or closing one of two tabs does not stop it. Runs before login:
+ * the login screen counts as an open page too.
+ */
+async function startHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatClientId = null;
+  try {
+    const response = await fetch(`${API_BASE}/clients`, { method: 'POST' });
+    if (!response.ok) throw new Error(`Registering failed (${response.status})`);
+    const { client_id: clientId, heartbeat_seconds: seconds } = await response.json();
+    heartbeatClientId = clientId;
+    heartbeatTimer = setInterval(sendHeartbeat, seconds * 1000);
+  } catch (error) {
+    console.error('Error registering with the server:', error);
+    setTimeout(startHeartbeat, HEARTBEAT_RETRY_MS);
+  }
+}
+
+async function sendHeartbeat() {
+  try {
+    const response = await fetch(`${API_BASE}/clients/${heartbeatClientId}/heartbeat`, { method: 'POST' });
+    // Forgotten (the server restarted, or the computer slept): register again
+    if (response.status === 404) startHeartbeat();
+  } catch (error) {
+    // Server unreachable right now; the next heartbeat tries again
+  }
+}
+
+// Closed or reloaded: the server starts its grace period if no page is left
+window.addEventListener('pagehide', () => {
+  clearInterval(heartbeatTimer);
+  if (heartbeatClientId) navigator.sendBeacon(`${API_BASE}/clients/${heartbeatClientId}/leave`);
+});
+
+// Back from the browser's back/forward cache
+window.addEventListener('pageshow', event => {
+  if (event.persisted) startHeartbeat();
+});
+
+// ============================================
+// LAN DEVICES (pairing)
+// ============================================
+
+// Devices in the Settings panel
+let pairedDevices = [];
+
+// The pairing it is waiting for, while the pairing screen is up
+let pairPending = null;
+let resolvePairing = null;
+
+// Pairing API field -> pairing form input ID, for showing errors
+const PAIR_FIELD_INPUTS = {
+  code: 'pairCode',
+  name: 'pairName'
+};
+
+const pairScreen = document.getElementById('pairScreen');
+const pairForm = document.getElementById('pairForm');
+
+/**
+ * Show the pairing screen; resolves once this computer is paired.
+ * Requests made while it is up all wait for the same pairing.
+ */
+function showPairScreen(message = '') {
+  if (!pairPending) {
+    pairPending = new Promise(resolve => {
+      resolvePairing = resolve;
+    });
+    document.getElementById('pairMessage').textContent = message;
+    pairForm.reset();
+    clearFieldErrors(pairForm);
+    pairScreen.hidden = false;
+    document.getElementById('pairCode').focus();
+  }
+  return pairPending;
+}
+
+pairForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  clearFieldErrors(pairForm);
+
+  try {
+    // Plain fetch: a wrong code must not open the pairing screen again
+    const response = await fetch(`${API_BASE}/devices/pair`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        code: document.getElementById('pairCode').value.trim(),
+        name: document.getElementById('pairName').value
+      })
+    });
+    if (!response.ok) throw await apiError(response, 'Failed to pair');
+    const { device } = await response.json();
+
+    pairScreen.hidden = true;
+    pairPending = null;
+    console.log(`✓ Paired as ${device.name}`);
+    resolvePairing(device);
+    resumeLiveUpdates();
+  } catch (error) {
+    document.getElementById('pairCode').value = '';
+    showFieldErrors(pairForm, PAIR_FIELD_INPUTS, error.fields || { code: error.message });
+  }
+});
+
+/**
+ * In LAN mode, the pairing screen until this computer is paired (the
+ * server's own computer never needs to be)
+ */
+async function ensurePaired() {
+  try {
+    const response = await fetch(`${API_BASE}/devices/me`);
+    if (response.status === 401) await showPairScreen();
+  } catch (error) {
+    console.error('Error checking pairing:', error);
+  }
+}
+
+/**
+ * Devices panel in Settings (owners): LAN mode, the addresses to open on
+ * other computers and the paired devices
+ */
+async function renderDevices() {
+  const status = document.getElementById('lanStatus');
+  const list = document.getElementById('devicesList');
+  try {
+    const response = await apiFetch('/devices');
+    if (!response.ok) throw await apiError(response, 'Failed to load devices');
+    const { lan, addresses, devices } = await response.json();
+    pairedDevices = devices;
+
+    document.getElementById('pairingCodeBtn').hidden = !lan;
+    status.innerHTML = lan
+      ? `LAN mode is on. On another computer open ${addresses.map(address => `<strong>${escapeHtml(address)}</strong>`).join(' or ') || 'this computer\'s network address'}, then enter a pairing code.`
+      : 'LAN mode is off: only this computer can use the app. Set <code>lan.enabled</code> in config.json and restart the server to add other counters.';
+    list.innerHTML = devices.length === 0
+      ? '<li class="empty-state">No paired devices</li>'
+      : devices.map(device => `
+        <li style="padding: 12px 15px; display: flex; justify-content: space-between; align-items: center; gap: 10px;">
+          <div>
+            <div><strong>${escapeHtml(device.name)}</strong> - ${device.device_id}</div>
+            <div style="font-size: 0.85rem; color: var(--color-text-secondary); margin-top: 3px;">
+              Paired ${new Date(device.paired_at).toLocaleString()}${device.paired_by ? ` with a code from ${escapeHtml(device.paired_by)}` : ''}
+            </div>
+          </div>
+          <button type="button" class="btn-mini btn-danger" onclick="revokeDevice('${device.device_id}')">⛔ Revoke</button>
+        </li>`).join('');
+  } catch (error) {
+    console.error('Error loading devices:', error);
+    list.innerHTML = `<li class="empty-state">❌ ${escapeHtml(error.message)}</li>`;
+  }
+}
+
+async function makePairingCode() {
+  try {
+    const response = await apiFetch('/devices/pairing-code', { method: 'POST' });
+    if (!response.ok) throw await apiError(response, 'Failed to make pairing code');
+    const { code, expires_at: expiresAt } = await response.json();
+    alert(`🔗 Pairing code: ${code}\n\nEnter it on the other computer before ${new Date(expiresAt).toLocaleTimeString()}. It works once.`);
+  } catch (error) {
+    console.error('Error making pairing code:', error);
+    alert(saveErrorText(error, `❌ ${error.message}`));
+  }
+}
+
+async function revokeDevice(deviceId) {
+  const device = pairedDevices.find(d => d.device_id === deviceId);
+  if (!confirm(`Revoke ${device.name}?\n\nIt can no longer use the app until it is paired again.`)) return;
+  try {
+    const response = await apiFetch(`/devices/${encodeURIComponent(deviceId)}`, { method: 'DELETE' });
+    if (!response.ok) throw await apiError(response, 'Failed to revoke device');
+    await renderDevices();
+  } catch (error) {
+    console.error('Error revoking device:', error);
+    alert(saveErrorText(error, `❌ ${error.message}`));
+  }
+}
+
+window.makePairingCode = makePairingCode;
+window.revokeDevice = revokeDevice;
+
+// ============================================
+// STAFF LOGIN & ACCOUNTS
+// ============================================
+
+// Staff member logged in on this browser ({ user_id, name, role,
+// permissions, ... })
+let currentUser = null;
+
+// Role of each staff account (lib/permissions.js on the server)
+const ROLE_LABELS = {
+  owner: 'Owner',
+  counter: 'Counter Staff',
+  technician: 'Technician'
+};
+
+// Every staff account, deactivated ones included
+let staffAccounts = [];
+
+// Accounts on the login screen, and the login it is waiting for
+let loginStaff = [];
+
+// Whether the first owner PIN must be set with a setup code, and the code
+// (only given to the server's own computer): GET /api/auth/setup
+let loginSetup = { setup_needed: false, setup_code: null };
+let loginPending = null;
+let resolveLogin = null;
+
+// Received By inputs, which start with the logged-in staff member's name
+const RECEIVED_BY_INPUTS = ['receivedBy', 'laptopReceivedBy', 'phoneReceivedBy'];
+
+// Datalists of staff names for the Received By inputs
+const STAFF_DATALISTS = ['receivedByList', 'staffList', 'phoneReceivedByList'];
+
+// Login API field -> login form input ID, for showing errors
+const LOGIN_FIELD_INPUTS = {
+  user_id: 'loginUser',
+  pin: 'loginPin',
+  pin_confirm: 'loginPinConfirm',
+  setup_code: 'loginSetupCode'
+};
+
+const loginScreen = document.getElementById('loginScreen');
+const loginForm = document.getElementById('loginForm');
+const loginUserSelect = document.getElementById('loginUser');
+const loginPinInput = document.getElementById('loginPin');
+const loginPinConfirmInput = document.getElementById('loginPinConfirm');
+const loginSetupCodeInput = document.getElementById('loginSetupCode');
+
+/**
+ * Whether the logged-in user's role has `permission`. Buttons for actions
+ * a role cannot take are hidden: rendered only when can() says so, or
+ * marked data-requires="<permission>" and hidden by style.css unless the
+ * body has the class can-<permission>.
+ */
+function can(permission) {
+  return Boolean(currentUser && currentUser.permissions && currentUser.permissions.includes(permission));
+}
+
+/**
+ * Show who is logged in, and make them the default Received By (form
+ * resets included)
+ */
+function setCurrentUser(user) {
+  currentUser = user;
+  document.getElementById('currentUserName').textContent = user.name;
+  document.getElementById('currentUserRole').textContent = ROLE_LABELS[user.role] || user.role;
+  document.getElementById('headerUser').hidden = false;
+  [...document.body.classList].filter(name => name.startsWith('can-')).forEach(name => document.body.classList.remove(name));
+  (user.permissions || []).forEach(permission => document.body.classList.add(`can-${permission}`));
+  RECEIVED_BY_INPUTS.forEach(inputId => {
+    const input = document.getElementById(inputId);
+    const untouched = !input.value || input.value === input.defaultValue;
+    input.defaultValue = user.name;
+    if (untouched) input.value = user.name;
+  });
+}
+
+/**
+ * Show the login screen; resolves with the user once someone logs in.
+ * `message` says why it is shown (an expired login). Requests made while
+ * it is up all wait for the same login.
+ */
+function showLoginScreen(message = '') {
+  if (!loginPending) {
+    loginPending = new Promise(resolve => {
+      resolveLogin = resolve;
+    });
+    document.getElementById('loginMessage').textContent = message;
+    loginForm.reset();
+    clearFieldErrors(loginForm);
+    loginScreen.hidden = false;
+    loadLoginStaff();
+  }
+  return loginPending;
+}
+
+async function loadLoginStaff() {
+  try {
+    loginStaff = await loadStaff({ activeOnly: true });
+    const response = await apiFetch('/auth/setup');
+    if (response.ok) loginSetup = await response.json();
+  } catch (error) {
+    console.error('Error loading staff:', error);
+    loginStaff = [];
+  }
+  const selected = loginUserSelect.value || currentUser?.user_id || '';
+  loginUserSelect.innerHTML = '<option value="">-- Select your name --</option>' +
+    loginStaff.map(user => `<option value="${user.user_id}">${escapeHtml(user.name)}</option>`).join('');
+  loginUserSelect.value = loginStaff.some(user => user.user_id === selected) ? selected : '';
+  updateLoginPinFields();
+  (loginUserSelect.value ? loginPinInput : loginUserSelect).focus();
+}
+
+/**
+ * While no owner has a PIN, an owner account chooses its PIN with the
+ * setup code (filled in on the server's computer): ask for the PIN twice.
+ * Any other account without a PIN waits for an owner to set one.
+ */
+function updateLoginPinFields() {
+  const user = loginStaff.find(u => u.user_id === loginUserSelect.value);
+  const choosing = Boolean(user && !user.has_pin && user.role === 'owner' && loginSetup.setup_needed);
+  const waiting = Boolean(user && !user.has_pin && !choosing);
+  document.getElementById('loginPinConfirmGroup').hidden = !choosing;
+  document.getElementById('loginSetupCodeGroup').hidden = !choosing;
+  loginPinConfirmInput.required = choosing;
+  loginSetupCodeInput.required = choosing;
+  loginSetupCodeInput.value = choosing ? loginSetup.setup_code || '' : '';
+  loginPinInput.disabled = waiting;
+  document.getElementById('loginPinLabel').textContent = choosing
+    ? 'Choose a PIN (4 to 8 digits)'
+    : waiting ? 'No PIN set yet: ask an owner to set one' : 'PIN';
+}
+
+loginUserSelect.addEventListener('change', updateLoginPinFields);
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  clearFieldErrors(loginForm);
+  const pin = loginPinInput.value;
+  if (loginPinConfirmInput.required && pin !== loginPinConfirmInput.value) {
+    showFieldErrors(loginForm, LOGIN_FIELD_INPUTS, { pin_confirm: 'The PINs do not match' });
+    return;
+  }
+
+  try {
+    const response = await apiFetch('/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        user_id: loginUserSelect.value,
+        pin,
+        ...(loginSetupCodeInput.required ? { setup_code: loginSetupCodeInput.value.trim() } : {})
+      })
+    });
+    if (!response.ok) throw await apiError(response, 'Failed to log in');
+    const user = await response.json();
+
+    loginScreen.hidden = true;
+    loginPending = null;
+    setCurrentUser(user);
+    console.log(`✓ Logged in as ${user.name}`);
+    resolveLogin(user);
+
+    resumeLiveUpdates();
+  } catch (error) {
+    loginPinInput.value = '';
+    loginPinConfirmInput.value = '';
+    // A PIN was set meanwhile (here or on another counter), or the account was deactivated
+    if (error.status === 403 || error.status === 404 || error.status === 409) loadLoginStaff();
+    showFieldErrors(loginForm, LOGIN_FIELD_INPUTS,
+      error.fields || { [error.status === 404 ? 'user_id' : 'pin']: error.message });
+  }
+});
+
+/**
+ * The staff member logged in on this browser, after the login screen if
+ * nobody is. Also picks up a new name or role.
+ */
+async function ensureLoggedIn() {
+  const response = await apiFetch('/auth/me');
+  if (!response.ok) return showLoginScreen();
+  setCurrentUser(await response.json());
+  return currentUser;
+}
+
+async function logout() {
+  if (!confirm(`Log out ${currentUser.name}?`)) return;
+  await apiFetch('/auth/logout', { method: 'POST' });
+  console.log(`✓ ${currentUser.name} logged out`);
+  if (liveSource) liveSource.close();
+  document.getElementById('headerUser').hidden = true;
+  showLoginScreen();
+}
+
+async function changePin() {
+  const currentPin = prompt('Your current PIN:');
+  if (currentPin === null) return;
+  const newPin = prompt('New PIN (4 to 8 digits):');
+  if (newPin === null) return;
+  if (prompt('New PIN again:') !== newPin) {
+    alert('❌ The new PINs do not match. Your PIN was not changed.');
+    return;
+  }
+
+  try {
+    const response = await apiFetch('/auth/pin', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ current_pin: currentPin, new_pin: newPin })
+    });
+    if (!response.ok) throw await apiError(response, 'Failed to change PIN');
+    alert('✓ PIN changed');
+  } catch (error) {
+    console.error('Error changing PIN:', error);
+    alert(saveErrorText(error, `❌ ${error.message}`));
+  }
+}
+
+/**
+ * Use a new list of staff accounts: the Received By suggestions, the
+ * Settings list and the name in the header
+ */
+function applyStaffAccounts(users) {
+  staffAccounts = users;
+  const names = users.filter(user => user.active).map(user => user.name);
+  STAFF_DATALISTS.forEach(listId => fillDatalist(listId, names));
+
+  // Renamed, or given another role: what this page may do changes with it
+  const me = currentUser && users.find(user => user.user_id === currentUser.user_id);
+  if (me && (me.name !== currentUser.name || me.role !== currentUser.role)) {
+    ensureLoggedIn();
+  }
+  renderStaffAccounts();
+}
+
+async function refreshStaff() {
+  try {
+    applyStaffAccounts(await loadStaff());
+  } catch (error) {
+    console.error('Error loading staff:', error);
+  }
+}
+
+/**
+ * Role <option>s, `selected` chosen
+ */
+function roleOptions(selected) {
+  return Object.entries(ROLE_LABELS)
+    .map(([role, label]) => `<option value="${role}"${role === selected ? ' selected' : ''}>${label}</option>`)
+    .join('');
+}
+
+/**
+ * Staff accounts in Settings, with their role, PIN and active state.
+ * Only owners get the buttons to change them.
+ */
+function renderStaffAccounts() {
+  const list = document.getElementById('staffAccountsList');
+  if (staffAccounts.length === 0) {
+    list.innerHTML = '<li class="empty-state">No staff accounts</li>';
+    return;
+  }
+
+  list.innerHTML = staffAccounts.map(user => {
+    const isMe = currentUser && user.user_id === currentUser.user_id;
+    return `
+    <li style="padding: 12px 15px;">
+      <div><strong>${escapeHtml(user.name)}</strong>${isMe ? ' (you)' : ''} - ${user.user_id}</div>
+      <div style="font-size: 0.85rem; color: var(--color-text-secondary); margin-top: 3px;">
+        ${ROLE_LABELS[user.role] || user.role} | ${user.active ? '✓ Active' : '⛔ Deactivated'} | ${user.has_pin ? '🔑 PIN set' : '⚠ No PIN yet: cannot log in'}
+      </div>
+      <div style="margin-top: 8px; display: flex; gap: 5px; flex-wrap: wrap;" data-requires="manage_staff">
+        <select class="btn-mini" onchange="setStaffRole('${user.user_id}', this)">${roleOptions(user.role)}</select>
+        <button type="button" class="btn-mini btn-secondary" onclick="renameStaffMember('${user.user_id}')">✏️ Rename</button>
+        <button type="button" class="btn-mini btn-secondary" onclick="setStaffPin('${user.user_id}')">🔑 Set PIN</button>
+        ${isMe ? '' : user.active
+          ? `<button type="button" class="btn-mini btn-danger" onclick="setStaffActive('${user.user_id}', false)">⛔ Deactivate</button>`
+          : `<button type="button" class="btn-mini btn-primary" onclick="setStaffActive('${user.user_id}', true)">✓ Reactivate</button>`}
       </div>
-    </div>
-    `}
-    
-    <div style="text-align: center; margin-top: var(--space-24);">
-      <button class="btn btn--secondary modal-close-btn">Close</button>
-    </div>
-  `;
+    </li>`;
+  }).join('');
+}
 
-  modalBox.innerHTML = modalContent;
-  modalOverlay.appendChild(modalBox);
-  document.body.appendChild(modalOverlay);
+/**
+ * Save a change to the staff accounts and show the result
+ */
+async function updateStaff(userId, updates, done) {
+  try {
+    await saveStaffMember(userId, updates);
+    await refreshStaff();
+    if (done) alert(done);
+  } catch (error) {
+    console.error('Error saving staff member:', error);
+    alert(saveErrorText(error, `❌ ${error.message}`));
+  }
+}
 
-  // Add event listeners for closing
-  const closeButtons = modalBox.querySelectorAll('.modal-close-btn');
-  closeButtons.forEach(btn => {
-    btn.addEventListener('click', () => closeModal(modalOverlay));
+async function addStaffMember() {
+  const input = document.getElementById('newStaffName');
+  const name = input.value.trim();
+  if (!name) {
+    input.focus();
+    return;
+  }
+  const role = document.getElementById('newStaffRole').value;
+  const pin = askNewPin(name);
+  if (pin === null) return;
+  await updateStaff(null, { name, role, pin }, `✓ ${name} added as ${ROLE_LABELS[role]}`);
+  input.value = '';
+}
+
+async function setStaffRole(userId, select) {
+  const user = staffAccounts.find(u => u.user_id === userId);
+  if (!confirm(`Make ${user.name} ${ROLE_LABELS[select.value]}?`)) {
+    select.value = user.role;
+    return;
+  }
+  await updateStaff(userId, { role: select.value });
+  // Refused (e.g. the last owner): show the role they kept
+  renderStaffAccounts();
+}
+
+async function renameStaffMember(userId) {
+  const user = staffAccounts.find(u => u.user_id === userId);
+  const name = prompt(`New name for ${user.name}:`, user.name);
+  if (name === null || name.trim() === user.name) return;
+  await updateStaff(userId, { name });
+}
+
+/**
+ * Ask twice for the PIN an owner sets for someone; null when cancelled
+ */
+function askNewPin(name) {
+  const pin = prompt(`PIN for ${name} (4 to 8 digits):`);
+  if (pin === null) return null;
+  if (prompt(`Type the PIN for ${name} again:`) !== pin) {
+    alert('The two PINs do not match.');
+    return null;
+  }
+  return pin;
+}
+
+async function setStaffPin(userId) {
+  const user = staffAccounts.find(u => u.user_id === userId);
+  const pin = askNewPin(user.name);
+  if (pin === null) return;
+  await updateStaff(userId, { pin }, `✓ PIN set for ${user.name}. Tell them their new PIN.`);
+}
+
+async function setStaffActive(userId, active) {
+  const user = staffAccounts.find(u => u.user_id === userId);
+  const question = active
+    ? `Reactivate ${user.name}?`
+    : `Deactivate ${user.name}?\n\nThey are logged out and can no longer log in. Their name stays on the records they saved.`;
+  if (!confirm(question)) return;
+  await updateStaff(userId, { active });
+}
+
+document.getElementById('newStaffName').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addStaffMember();
+  }
+});
+
+window.logout = logout;
+window.changePin = changePin;
+window.addStaffMember = addStaffMember;
+window.renameStaffMember = renameStaffMember;
+window.setStaffPin = setStaffPin;
+window.setStaffRole = setStaffRole;
+window.setStaffActive = setStaffActive;
+
+// ============================================
+// SHOP SETTINGS
+// ============================================
+
+// Shop profile, brands and billing defaults from /api/settings. Loaded at
+// startup; every form and bill reads from it.
+let shopSettings = {
+  shop: {},
+  mobile_brands: [],
+  laptop_brands: [],
+  models: [],
+  tax_percent: 0,
+  warranty_months: [],
+  default_warranty_months: null,
+  bill_terms: [],
+  vendor_bill_terms: []
+};
+
+// Datalist ID -> settings that fill it
+const SETTINGS_DATALISTS = {
+  brandsList: ['mobile_brands'],
+  laptopBrandsList: ['laptop_brands'],
+  recordsBrandsList: ['mobile_brands', 'laptop_brands']
+};
+
+// Brand input ID -> model input ID; the model suggestions (datalist
+// `<model input>List`) follow the brand typed in
+const MODEL_INPUTS = {
+  mobileBrand: 'model',
+  phoneBrand: 'phoneModel',
+  laptopBrand: 'laptopModel'
+};
+
+function fillDatalist(listId, values) {
+  const datalist = document.getElementById(listId);
+  if (datalist) {
+    datalist.innerHTML = values.map(value => `<option value="${escapeHtml(value)}">`).join('');
+  }
+}
+
+/**
+ * Suggest the models of the brand typed into a brand input
+ */
+function fillModelList(brandInputId) {
+  const brand = document.getElementById(brandInputId).value.trim().toLowerCase();
+  const entry = shopSettings.models.find(e => e.brand.toLowerCase() === brand);
+  fillDatalist(`${MODEL_INPUTS[brandInputId]}List`, entry ? entry.models : []);
+}
+
+Object.keys(MODEL_INPUTS).forEach(brandInputId => {
+  document.getElementById(brandInputId).addEventListener('input', () => fillModelList(brandInputId));
+});
+
+/**
+ * URL of the shop logo: the uploaded one, else the bundled logo.png
+ */
+function shopLogoUrl() {
+  return imageUrl(shopSettings.shop.logo) || 'logo.png';
+}
+
+/**
+ * Load the settings and fill the datalists and header logo from them
+ */
+async function refreshSettings() {
+  try {
+    shopSettings = await loadSettings();
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    return;
+  }
+  Object.entries(SETTINGS_DATALISTS).forEach(([listId, keys]) => {
+    fillDatalist(listId, [...new Set(keys.flatMap(key => shopSettings[key]))]);
   });
+  Object.keys(MODEL_INPUTS).forEach(fillModelList);
+  document.getElementById('shopLogo').src = shopLogoUrl();
+}
 
-  // Close on overlay click
-  modalOverlay.addEventListener('click', (e) => {
-    if (e.target === modalOverlay) {
-      closeModal(modalOverlay);
+/**
+ * Shop name, address, contact number and logo at the top of every bill
+ */
+function billBusinessHeader() {
+  const { name, address, phone } = shopSettings.shop;
+  const lines = (address || '').split('\n').filter(line => line.trim()).map(escapeHtml);
+  if (phone) lines.push(`Contact: ${escapeHtml(phone)}`);
+
+  return `<div class="bill-business-header">
+        <div style="display: flex; align-items: center; gap: var(--space-12); margin-bottom: var(--space-8);">
+          <img src="${shopLogoUrl()}" alt="Shop Logo" style="height: 50px; width: 50px; border-radius: var(--radius-8);" />
+          <div>
+            <div class="business-name">${escapeHtml(name || '')}</div>
+            <div class="business-info">
+              ${lines.join('<br>\n              ')}
+            </div>
+          </div>
+        </div>
+      </div>`;
+}
+
+/**
+ * Numbered terms & conditions for a bill footer
+ */
+function billTerms(terms) {
+  return terms.map((term, i) => `${i + 1}. ${escapeHtml(term)}`).join('<br>\n            ');
+}
+
+/**
+ * Warranty period radio buttons, the default period checked
+ */
+function warrantyRadios() {
+  return shopSettings.warranty_months.map(months => `
+            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+              <input type="radio" name="warrantyPeriod" value="${months}"${months === shopSettings.default_warranty_months ? ' checked' : ''} onchange="updateWarrantyDates()"> ${months} months
+            </label>`).join('');
+}
+
+/**
+ * '6 months' for a bill's warranty ('6')
+ */
+function warrantyLabel(warranty) {
+  const months = parseInt(warranty, 10);
+  return months ? `${months} months` : '-';
+}
+
+// Settings API field -> Settings form input ID, for showing 422 field errors
+const SETTINGS_FIELD_INPUTS = {
+  'shop.name': 'settingsShopName',
+  'shop.address': 'settingsShopAddress',
+  'shop.phone': 'settingsShopPhone',
+  'shop.logo': 'settingsLogo',
+  tax_percent: 'settingsTaxPercent',
+  warranty_months: 'settingsWarrantyMonths',
+  default_warranty_months: 'settingsDefaultWarranty'
+};
+
+const settingsForm = document.getElementById('settingsForm');
+const settingsLogoInput = document.getElementById('settingsLogo');
+
+function linesOf(inputId) {
+  return document.getElementById(inputId).value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line);
+}
+
+function showSettingsLogo(imageId) {
+  settingsLogoInput.dataset.imageId = imageId || '';
+  document.getElementById('settingsLogoPreview').innerHTML =
+    `<img src="${imageUrl(imageId) || 'logo.png'}" alt="Shop Logo" style="max-height: 80px;" />`;
+}
+
+/**
+ * Fill the Settings form from the saved settings
+ */
+async function renderSettings() {
+  await refreshSettings();
+  await refreshStaff();
+  clearFieldErrors(settingsForm);
+  const { shop } = shopSettings;
+
+  document.getElementById('settingsShopName').value = shop.name || '';
+  document.getElementById('settingsShopAddress').value = shop.address || '';
+  document.getElementById('settingsShopPhone').value = shop.phone || '';
+  settingsLogoInput.value = '';
+  showSettingsLogo(shop.logo);
+
+  document.getElementById('settingsMobileBrands').value = shopSettings.mobile_brands.join('\n');
+  document.getElementById('settingsLaptopBrands').value = shopSettings.laptop_brands.join('\n');
+  document.getElementById('settingsModels').value = shopSettings.models
+    .map(entry => `${entry.brand}: ${entry.models.join(', ')}`)
+    .join('\n');
+
+  document.getElementById('settingsTaxPercent').value = shopSettings.tax_percent;
+  document.getElementById('settingsWarrantyMonths').value = shopSettings.warranty_months.join(', ');
+  document.getElementById('settingsDefaultWarranty').value = shopSettings.default_warranty_months;
+  document.getElementById('settingsBillTerms').value = shopSettings.bill_terms.join('\n');
+  document.getElementById('settingsVendorBillTerms').value = shopSettings.vendor_bill_terms.join('\n');
+}
+
+function resetShopLogo() {
+  settingsLogoInput.value = '';
+  showSettingsLogo('');
+}
+
+settingsLogoInput.addEventListener('change', async () => {
+  const file = settingsLogoInput.files[0];
+  if (!file) return;
+  try {
+    showSettingsLogo(await uploadImage(file));
+  } catch (error) {
+    console.error('Error uploading logo:', error);
+    alert(`Error uploading logo: ${error.message}`);
+    settingsLogoInput.value = '';
+  }
+});
+
+settingsForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const numberOf = inputId => {
+    const value = document.getElementById(inputId).value.trim();
+    return value === '' ? null : Number(value);
+  };
+
+  const updates = {
+    shop: {
+      name: document.getElementById('settingsShopName').value.trim(),
+      address: linesOf('settingsShopAddress').join('\n'),
+      phone: document.getElementById('settingsShopPhone').value.trim(),
+      logo: settingsLogoInput.dataset.imageId || ''
+    },
+    mobile_brands: linesOf('settingsMobileBrands'),
+    laptop_brands: linesOf('settingsLaptopBrands'),
+    models: linesOf('settingsModels').map(line => {
+      const [brand, models = ''] = line.split(/:(.*)/);
+      return { brand: brand.trim(), models: models.split(',').map(m => m.trim()).filter(m => m) };
+    }),
+    tax_percent: numberOf('settingsTaxPercent'),
+    warranty_months: document.getElementById('settingsWarrantyMonths').value
+      .split(',')
+      .map(months => months.trim())
+      .filter(months => months)
+      .map(Number),
+    default_warranty_months: numberOf('settingsDefaultWarranty'),
+    bill_terms: linesOf('settingsBillTerms'),
+    vendor_bill_terms: linesOf('settingsVendorBillTerms')
+  };
+
+  try {
+    await saveSettings(updates);
+    await renderSettings();
+    alert('✓ Settings saved');
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    if (error.fields) {
+      showFieldErrors(settingsForm, SETTINGS_FIELD_INPUTS, error.fields);
+    } else {
+      alert('Error saving settings. Please try again.');
     }
-  });
+  }
+});
 
-  // Prevent body scroll
-  document.body.style.overflow = 'hidden';
+window.renderSettings = renderSettings;
+window.resetShopLogo = resetShopLogo;
 
-  // Animate in
-  setTimeout(() => {
-    modalOverlay.style.opacity = '1';
-    modalBox.style.transform = 'scale(1)';
-  }, 10);
+// ============================================
+// IMPORT RECORDS
+// ============================================
+
+// Importable fields (lib/imports.js on the server) as shown in the mapping
+const IMPORT_FIELD_LABELS = {
+  date: 'Date',
+  customer_name: 'Customer Name',
+  mobile_number: 'Mobile Number',
+  contact_number: 'Contact Number',
+  address: 'Address',
+  mobile_brand: 'Brand',
+  laptop_brand: 'Brand',
+  model: 'Model',
+  imei1: 'IMEI 1',
+  imei2: 'IMEI 2',
+  issue: 'Issue',
+  service_type: 'Service Type (comma separated)',
+  mobile_condition: 'Condition (ON, Good, Water Lock, Damaged)',
+  condition: 'Condition (ON, OFF)',
+  accessories: 'Accessories (comma separated)',
+  received_by: 'Received By (blank: you)',
+  estimated_delivery: 'Estimated Delivery',
+  vendor_name: 'Vendor Name',
+  created_date: 'Created Date'
+};
+
+// Rows of each kind listed in an import report
+const IMPORT_REPORT_ROWS = 50;
+
+// The uploaded file (POST /api/imports), and the dry run of the mapping on
+// screen (null until there is one)
+let importUpload = null;
+let importDryRun = null;
+
+const importMapping = document.getElementById('importMapping');
+const importReport = document.getElementById('importReport');
+const importTypeSelect = document.getElementById('importType');
+
+async function uploadImportFile(file) {
+  importUpload = null;
+  importMapping.innerHTML = '';
+  importReport.innerHTML = '';
+  if (!file) return;
+
+  try {
+    const response = await apiFetch(`/imports?name=${encodeURIComponent(file.name)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': file.type || 'application/octet-stream' },
+      body: file
+    });
+    if (!response.ok) throw await apiError(response, 'Failed to read file');
+    importUpload = await response.json();
+    renderImportMapping();
+  } catch (error) {
+    console.error('Error uploading import file:', error);
+    alert(saveErrorText(error, `❌ ${error.message}`));
+  }
 }
 
-function closeModal(modalOverlay) {
-  modalOverlay.style.opacity = '0';
-  modalOverlay.querySelector('.modal-box').style.transform = 'scale(0.95)';
-  
-  setTimeout(() => {
-    document.body.removeChild(modalOverlay);
-    document.body.style.overflow = 'auto';
-  }, 300);
+/**
+ * One row per field of the chosen record type: the column it comes from
+ * (the server's suggestion first), a default for blank cells and the
+ * value from the first row of the file
+ */
+function renderImportMapping() {
+  importDryRun = null;
+  importReport.innerHTML = '';
+  if (!importUpload) return;
+
+  const { fields, suggested } = importUpload.types[importTypeSelect.value];
+  const firstRow = importUpload.sample[0] || {};
+  importMapping.innerHTML = `
+    <p style="font-size: 0.9rem;">${escapeHtml(importUpload.file_name)}: ${importUpload.row_count} rows, ${importUpload.columns.length} columns</p>
+    <div class="change-history-table-wrap">
+      <table class="change-history-table">
+        <thead><tr><th>Field</th><th>Column</th><th>Default (blank cells)</th><th>First Row</th></tr></thead>
+        <tbody>
+          ${fields.map(field => `
+          <tr data-import-field="${field}">
+            <td>${IMPORT_FIELD_LABELS[field] || field}</td>
+            <td>
+              <select class="form-control import-column">
+                <option value="">-- Not imported --</option>
+                ${importUpload.columns.map(column => `<option value="${escapeHtml(column)}"${column === suggested[field] ? ' selected' : ''}>${escapeHtml(column)}</option>`).join('')}
+              </select>
+            </td>
+            <td><input type="text" class="form-control import-default" /></td>
+            <td class="import-example">${escapeHtml(firstRow[suggested[field]] || '')}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+    <div class="form-actions">
+      <button type="button" class="btn btn--secondary" onclick="dryRunImport()">🔍 Dry Run</button>
+      <button type="button" class="btn btn--primary" id="importCommitBtn" onclick="commitImport()" disabled>📥 Import</button>
+    </div>
+  `;
 }
 
-// Helper functions for All Records actions
-function viewRecordDetails(serviceId) {
-  console.log('👁️ viewRecordDetails called with:', serviceId);
-  createModal(serviceId);
+/**
+ * The mapping on screen as the import API takes it
+ */
+function importOptions() {
+  const mapping = {};
+  const defaults = {};
+  importMapping.querySelectorAll('[data-import-field]').forEach(row => {
+    const field = row.dataset.importField;
+    const column = row.querySelector('.import-column').value;
+    const fallback = row.querySelector('.import-default').value.trim();
+    if (column) mapping[field] = column;
+    if (fallback) defaults[field] = fallback;
+  });
+  return { type: importTypeSelect.value, mapping, defaults };
 }
 
-function createBillForRecord(serviceId) {
-  console.log('💰 createBillForRecord called with:', serviceId);
-  searchBillInput.value = serviceId;
-  showSection('billing');
-  searchAndLoadRecord();
-  window.scrollTo(0, 0);
+// A changed mapping needs a new dry run
+importMapping.addEventListener('input', (e) => {
+  importDryRun = null;
+  document.getElementById('importCommitBtn').disabled = true;
+  const select = e.target.closest('.import-column');
+  if (select) {
+    const row = select.closest('tr');
+    row.querySelector('.import-example').textContent = (importUpload.sample[0] || {})[select.value] || '';
+  }
+});
+
+async function runImport(step) {
+  const response = await apiFetch(`/imports/${importUpload.import_id}/${step}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(importOptions())
+  });
+  if (!response.ok) throw await apiError(response, step === 'commit' ? 'Failed to import' : 'Failed to check import');
+  return response.json();
 }
 
-function viewBillForRecord(serviceId) {
-  const records = loadRecords();
-  const record = records.find(r => r.service_id === serviceId);
-  if (record && record.bill) {
-    showSection('billing');
-    displayBill(record);
-    window.scrollTo(0, 0);
+/**
+ * What the import would do, or did: counts, then the rows with errors and
+ * the duplicates (the first IMPORT_REPORT_ROWS of each)
+ */
+function renderImportReport(report) {
+  const rowList = (rows, describe) => rows.length === 0 ? '' : `
+    <div class="change-history-table-wrap">
+      <table class="change-history-table">
+        <tbody>
+          ${rows.slice(0, IMPORT_REPORT_ROWS).map(entry => `<tr><td>Row ${entry.row}</td><td>${describe(entry)}</td></tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+    ${rows.length > IMPORT_REPORT_ROWS ? `<p style="font-size: 0.85rem;">...and ${rows.length - IMPORT_REPORT_ROWS} more</p>` : ''}`;
+
+  const created = report.dry_run ? 'would be created' : 'created';
+  importReport.innerHTML = `
+    <h4>${report.dry_run ? '🔍 Dry run' : '📥 Imported'}: ${escapeHtml(report.file_name)}</h4>
+    <p>✓ ${report.creates.length} ${created} | ⚠ ${report.duplicates.length} duplicates skipped | ❌ ${report.errors.length} with errors (of ${report.total} rows)</p>
+    ${report.errors.length > 0 ? '<h4>❌ Rows with errors</h4>' : ''}
+    ${rowList(report.errors, entry => Object.entries(entry.fields)
+      .map(([field, message]) => `${escapeHtml(IMPORT_FIELD_LABELS[field] || field)}: ${escapeHtml(message)}`)
+      .join('<br>'))}
+    ${report.duplicates.length > 0 ? '<h4>⚠ Duplicates</h4>' : ''}
+    ${rowList(report.duplicates, entry => `Same as ${escapeHtml(entry.duplicate_of)}`)}
+  `;
+}
+
+async function dryRunImport() {
+  try {
+    const report = await runImport('dry-run');
+    renderImportReport(report);
+    importDryRun = report;
+    document.getElementById('importCommitBtn').disabled = report.creates.length === 0;
+  } catch (error) {
+    console.error('Error checking import:', error);
+    alert(saveErrorText(error, `❌ ${error.message}`));
   }
 }
 
-function printBillForRecord(serviceId) {
-  const records = loadRecords();
-  const record = records.find(r => r.service_id === serviceId);
-  if (record && record.bill) {
-    showSection('billing');
-    displayBill(record);
-    setTimeout(() => {
-      printBill();
-    }, 500);
+async function commitImport() {
+  if (!importDryRun) return;
+  if (!confirm(`Import ${importDryRun.creates.length} records from ${importUpload.file_name}?\n\nA backup is taken first.`)) return;
+
+  try {
+    const report = await runImport('commit');
+    importUpload = null;
+    importDryRun = null;
+    importMapping.innerHTML = '';
+    document.getElementById('importFile').value = '';
+    renderImportReport(report);
+    await reloadAllData([report.type]);
+    alert(`✓ Imported ${report.creates.length} records`);
+  } catch (error) {
+    console.error('Error importing:', error);
+    alert(saveErrorText(error, `❌ ${error.message}`));
   }
 }
 
+document.getElementById('importFile').addEventListener('change', (e) => uploadImportFile(e.target.files[0]));
+importTypeSelect.addEventListener('change', renderImportMapping);
+
+window.dryRunImport = dryRunImport;
+window.commitImport = commitImport;
+
 // ============================================
 // VENDOR DETAILS MODAL
 // ============================================
@@ -2335,6 +4545,7 @@ function openVendorDetailsModal(vendorId) {
   // Create modal overlay
   const modalOverlay = document.createElement('div');
   modalOverlay.className = 'modal-overlay vendor-modal';
+  modalOverlay.dataset.recordKey = `vendor:${vendorId}`;
   modalOverlay.style.cssText = `
     position: fixed;
     top: 0;
@@ -2498,15 +4709,19 @@ function openVendorDetailsModal(vendorId) {
       </div>
     </div>
     
+    ${recordHistoryPanel()}
+    
     <div class="modal-actions">
-      <button class="btn btn--primary" onclick="createBillForCheckedPhones('${vendorId}')">
+      <button class="btn btn--primary" data-requires="save_bills" onclick="createBillForCheckedPhones('${vendorId}')">
         Create Bill for Selected Phones
       </button>
+      <button class="btn btn-danger" data-requires="delete_records" onclick="deleteRecordFromModal('vendors', '${vendorId}')">🗑️ Delete Vendor</button>
       <button class="btn btn--secondary modal-close-btn">Close</button>
     </div>
   `;
 
   modalBox.innerHTML = modalContent;
+  renderRecordHistory(modalBox, 'vendors', vendorId);
   modalOverlay.appendChild(modalBox);
   document.body.appendChild(modalOverlay);
 
@@ -2570,7 +4785,7 @@ async function updatePhoneStatus(phoneId, newStatus) {
       }
     } catch (error) {
       console.error('Error updating phone status:', error);
-      alert('Error updating status. Please try again.');
+      alert(saveErrorText(error, 'Error updating status. Please try again.'));
     }
   }
 }
@@ -2963,19 +5178,7 @@ function initializeSampleData() {
 function displayLaptopBillingForm(laptop) {
   const billHTML = `
     <div class="bill-container">
-      <div class="bill-business-header">
-        <div style="display: flex; align-items: center; gap: var(--space-12); margin-bottom: var(--space-8);">
-          <img src="logo.png" alt="MYLAVAN Logo" style="height: 50px; width: 50px; border-radius: var(--radius-8);" />
-          <div>
-            <div class="business-name">MYLAVAN MOBILE SERVICE</div>
-            <div class="business-info">
-              Shop no. 23, New municipality complex<br>
-              old bus stand, Vellore 632004<br>
-              Contact: +91-7339559582
-            </div>
-          </div>
-        </div>
-      </div>
+      ${billBusinessHeader()}
       <div class="bill-header">LAPTOP SERVICE BILL</div>
       
       <div class="bill-info">
@@ -2998,12 +5201,7 @@ function displayLaptopBillingForm(laptop) {
         <div style="margin-bottom: 15px;">
           <label style="font-weight: bold; display: block; margin-bottom: 10px;">Select Warranty Period:</label>
           <div style="display: flex; gap: 20px; margin-bottom: 15px;">
-            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
-              <input type="radio" name="warrantyPeriod" value="3" checked onchange="updateWarrantyDates()"> 3 months
-            </label>
-            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
-              <input type="radio" name="warrantyPeriod" value="6" onchange="updateWarrantyDates()"> 6 months
-            </label>
+            ${warrantyRadios()}
           </div>
         </div>
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px; font-size: 0.9rem;">
@@ -3050,16 +5248,17 @@ function displayLaptopBillingForm(laptop) {
       <div class="bill-totals">
         <div>Subtotal: <strong>Rs. <span id="subtotal">0</span></strong></div>
         <div>
-          Tax (%) <input type="number" id="taxPercent" value="0" min="0" step="0.01" style="width: 60px; padding: 5px;">
+          Tax (%) <input type="number" id="taxPercent" value="${shopSettings.tax_percent}" min="0" step="0.01" style="width: 60px; padding: 5px;">
           Tax: <strong>Rs. <span id="taxAmount">0</span></strong>
         </div>
+        ${billDiscountInput()}
         <div class="bill-grand-total">
           Grand Total: Rs. <span id="grandTotal">0</span>
         </div>
       </div>
 
       <div class="bill-actions">
-        <button class="btn btn-success" onclick="saveLaptopBill('${laptop.laptop_id}')">✓ Save Bill</button>
+        <button class="btn btn-success" data-requires="save_bills" onclick="saveLaptopBill('${laptop.laptop_id}')">✓ Save Bill</button>
         <button id="printBillBtn" class="btn btn-primary" onclick="printBill()" style="display: none;">🖨 Print Bill</button>
         <button id="exportPdfBtn" class="btn btn-secondary" onclick="generatePDF('${laptop.laptop_id}')" style="display: none;">📄 Export PDF</button>
       </div>
@@ -3104,7 +5303,7 @@ async function saveLaptopBill(laptopId) {
   const tax = parseFloat(document.getElementById('taxAmount').textContent);
   const grandTotal = parseFloat(document.getElementById('grandTotal').textContent);
   
-  const warrantyPeriod = document.querySelector('input[name="warrantyPeriod"]:checked')?.value || '3';
+  const warrantyPeriod = document.querySelector('input[name="warrantyPeriod"]:checked')?.value || String(shopSettings.default_warranty_months);
   const fromDate = document.getElementById('warrantyFromDate')?.value || new Date().toISOString().slice(0, 10);
   const toDate = document.getElementById('warrantyToDate')?.value || calculateWarrantyEndDate(fromDate, warrantyPeriod);
 
@@ -3112,6 +5311,7 @@ async function saveLaptopBill(laptopId) {
     items: items,
     subtotal: subtotal,
     tax: tax,
+    discount: billDiscount(),
     grand_total: grandTotal,
     warranty: warrantyPeriod,
     from_date: fromDate,
@@ -3133,7 +5333,7 @@ async function saveLaptopBill(laptopId) {
     displayLaptopBill(records[laptopIndex]);
   } catch (error) {
     console.error('Error saving laptop bill:', error);
-    alert('Error saving bill. Please try again.');
+    alert(saveErrorText(error, 'Error saving bill. Please try again.'));
   }
 }
 
@@ -3145,19 +5345,7 @@ function displayLaptopBill(laptop) {
 
   let billHTML = `
     <div class="bill-container">
-      <div class="bill-business-header">
-        <div style="display: flex; align-items: center; gap: var(--space-12); margin-bottom: var(--space-8);">
-          <img src="logo.png" alt="MYLAVAN Logo" style="height: 50px; width: 50px; border-radius: var(--radius-8);" />
-          <div>
-            <div class="business-name">MYLAVAN MOBILE SERVICE</div>
-            <div class="business-info">
-              Shop no. 23, New municipality complex<br>
-              old bus stand, Vellore 632004<br>
-              Contact: +91-7339559582
-            </div>
-          </div>
-        </div>
-      </div>
+      ${billBusinessHeader()}
       <div class="bill-header">LAPTOP SERVICE BILL</div>
       
       <div class="bill-info">
@@ -3205,13 +5393,14 @@ function displayLaptopBill(laptop) {
       <div class="bill-totals">
         <div>Subtotal: Rs. ${laptop.bill.subtotal.toFixed(2)}</div>
         ${laptop.bill.tax > 0 ? `<div>Tax: Rs. ${laptop.bill.tax.toFixed(2)}</div>` : ''}
+        ${billDiscountLine(laptop.bill)}
         <div class="bill-grand-total">Grand Total: Rs. ${laptop.bill.grand_total.toFixed(2)}</div>
       </div>
 
       <div class="bill-warranty">
         <div class="bill-section-title">WARRANTY INFORMATION</div>
         <div style="background-color: var(--color-secondary); padding: var(--space-12); border-radius: var(--radius-base); margin: var(--space-12) 0; font-size: 0.9rem; line-height: 1.8;">
-          <strong>Warranty Period:</strong> ${laptop.bill.warranty === '6' ? '6 months' : '3 months'}<br>
+          <strong>Warranty Period:</strong> ${warrantyLabel(laptop.bill.warranty)}<br>
           <strong>Valid From:</strong> ${laptop.bill.from_date}<br>
           <strong>Valid To:</strong> ${laptop.bill.to_date}
         </div>
@@ -3221,9 +5410,7 @@ function displayLaptopBill(laptop) {
         <div class="bill-footer-left">
           <div style="font-weight: bold; margin-bottom: var(--space-8);">Terms &amp; Conditions:</div>
           <div style="line-height: 1.8;">
-            1. Warranty void if the device is tampered.<br>
-            2. No warranty on water damage.<br>
-            3. Goods once sold will not be taken back.
+            ${billTerms(shopSettings.bill_terms)}
           </div>
         </div>
         <div class="bill-footer-right">
@@ -3236,7 +5423,7 @@ function displayLaptopBill(laptop) {
 
       <div class="bill-actions">
         <button class="btn btn-primary" onclick="printBill()">🖨 Print Bill</button>
-        <button class="btn btn-secondary" onclick="editLaptopBill('${laptop.laptop_id}')">✎ Edit Bill</button>
+        <button class="btn btn-secondary" data-requires="edit_saved_bills" onclick="editLaptopBill('${laptop.laptop_id}')">✎ Edit Bill</button>
       </div>
     </div>
   `;
@@ -3292,6 +5479,7 @@ function editLaptopBill(laptopId) {
           const toDateInput = document.getElementById('warrantyToDate');
           if (toDateInput) toDateInput.value = laptop.bill.to_date;
         }
+        setBillDiscount(laptop.bill.discount);
         
         attachItemEventListeners();
         updateBillTotals();
@@ -3326,19 +5514,7 @@ function displayVendorBillingForm(vendor) {
 
   const billHTML = `
     <div class="bill-container">
-      <div class="bill-business-header">
-        <div style="display: flex; align-items: center; gap: var(--space-12); margin-bottom: var(--space-8);">
-          <img src="logo.png" alt="MYLAVAN Logo" style="height: 50px; width: 50px; border-radius: var(--radius-8);" />
-          <div>
-            <div class="business-name">MYLAVAN MOBILE SERVICE</div>
-            <div class="business-info">
-              Shop no. 23, New municipality complex<br>
-              old bus stand, Vellore 632004<br>
-              Contact: +91-7339559582
-            </div>
-          </div>
-        </div>
-      </div>
+      ${billBusinessHeader()}
       <div class="bill-header">VENDOR SERVICE BILL</div>
       
       <div class="bill-info">
@@ -3386,9 +5562,10 @@ function displayVendorBillingForm(vendor) {
       <div class="bill-totals">
         <div>Subtotal: <strong>Rs. <span id="subtotal">0</span></strong></div>
         <div>
-          Tax (%) <input type="number" id="taxPercent" value="0" min="0" step="0.01" style="width: 60px; padding: 5px;">
+          Tax (%) <input type="number" id="taxPercent" value="${shopSettings.tax_percent}" min="0" step="0.01" style="width: 60px; padding: 5px;">
           Tax: <strong>Rs. <span id="taxAmount">0</span></strong>
         </div>
+        ${billDiscountInput()}
         <div class="bill-grand-total">
           Grand Total: Rs. <span id="grandTotal">0</span>
         </div>
@@ -3397,7 +5574,7 @@ function displayVendorBillingForm(vendor) {
       <input type="hidden" id="selectedPhoneIds" value='${JSON.stringify(selectedPhoneIds)}' />
       
       <div class="bill-actions">
-        <button class="btn btn-success" onclick="saveVendorBill('${vendor.vendor_id}', true)">✓ Save Bill for Selected Phones</button>
+        <button class="btn btn-success" data-requires="save_bills" onclick="saveVendorBill('${vendor.vendor_id}', true)">✓ Save Bill for Selected Phones</button>
         <button id="printBillBtn" class="btn btn-primary" onclick="printBill()" style="display: none;">🖨 Print Bill</button>
         <button id="exportPdfBtn" class="btn btn-secondary" onclick="generatePDF('${vendor.vendor_id}')" style="display: none;">📄 Export PDF</button>
       </div>
@@ -3459,7 +5636,7 @@ async function saveVendorBill(vendorId, isPartial = false) {
   }
   
   // Check if we're editing an existing bill
-  let billId, billNumber;
+  let billId;
   let isEditMode = window.selectedPhonesForBilling && window.selectedPhonesForBilling.editingBillId;
   
   if (isEditMode) {
@@ -3472,6 +5649,7 @@ async function saveVendorBill(vendorId, isPartial = false) {
       vendor.bills[existingBillIndex].items = items;
       vendor.bills[existingBillIndex].subtotal = subtotal;
       vendor.bills[existingBillIndex].tax = tax;
+      vendor.bills[existingBillIndex].discount = billDiscount();
       vendor.bills[existingBillIndex].grand_total = grandTotal;
       vendor.bills[existingBillIndex].updated_at = new Date().toISOString();
       
@@ -3491,7 +5669,7 @@ async function saveVendorBill(vendorId, isPartial = false) {
         return;
       } catch (error) {
         console.error('Error updating bill:', error);
-        alert('Error updating bill. Please try again.');
+        alert(saveErrorText(error, 'Error updating bill. Please try again.'));
         return;
       }
     }
@@ -3502,37 +5680,22 @@ async function saveVendorBill(vendorId, isPartial = false) {
     vendor.bills = [];
   }
   
-  // Create new bill
-  billNumber = vendor.bills.length + 1;
-  billId = generateBillID(vendorId, billNumber);
-  
+  // Create new bill (server allocates the bill ID and marks the phones billed)
   const newBill = {
-    bill_id: billId,
-    bill_number: billId,
     date: todayDate,
     phone_ids: selectedPhoneIds,
     items: items,
     subtotal: subtotal,
     tax: tax,
+    discount: billDiscount(),
     grand_total: grandTotal,
     saved_at: new Date().toISOString()
   };
   
-  // Add bill to vendor
-  vendor.bills.push(newBill);
-  
-  // Update phones - mark as billed and add bill ID
-  vendor.phones.forEach(phone => {
-    if (selectedPhoneIds.includes(phone.phone_id)) {
-      phone.billed = true;
-      phone.bill_id = billId;
-      phone.status = 'Billed';
-    }
-  });
-  
   // Save via API
   try {
-    await updateVendorRecord(vendor.vendor_id, vendor);
+    const savedBill = await addVendorBill(vendor.vendor_id, newBill);
+    billId = savedBill.bill_id;
     
     // Clear selected phones
     window.selectedPhonesForBilling = null;
@@ -3549,7 +5712,7 @@ async function saveVendorBill(vendorId, isPartial = false) {
     displayVendorBillById(vendorId, billId);
   } catch (error) {
     console.error('Error saving vendor bill:', error);
-    alert('Error saving bill. Please try again.');
+    alert(saveErrorText(error, 'Error saving bill. Please try again.'));
   }
 }
 
@@ -3608,6 +5771,7 @@ function editVendorBill(vendorId, billId) {
           `;
           itemsTableBody.appendChild(row);
         });
+        setBillDiscount(bill.discount);
         
         // Re-attach event listeners and calculate totals
         attachItemEventListeners();
@@ -3678,19 +5842,7 @@ function displayVendorBillById(vendorId, billId) {
   
   let billHTML = `
     <div class="bill-container">
-      <div class="bill-business-header">
-        <div style="display: flex; align-items: center; gap: var(--space-12); margin-bottom: var(--space-8);">
-          <img src="logo.png" alt="MYLAVAN Logo" style="height: 50px; width: 50px; border-radius: var(--radius-8);" />
-          <div>
-            <div class="business-name">MYLAVAN MOBILE SERVICE</div>
-            <div class="business-info">
-              Shop no. 23, New municipality complex<br>
-              old bus stand, Vellore 632004<br>
-              Contact: +91-7339559582
-            </div>
-          </div>
-        </div>
-      </div>
+      ${billBusinessHeader()}
       <div class="bill-header">VENDOR SERVICE BILL</div>
       
       <div class="bill-info">
@@ -3739,6 +5891,7 @@ function displayVendorBillById(vendorId, billId) {
       <div class="bill-totals">
         <div>Subtotal: Rs. ${bill.subtotal.toFixed(2)}</div>
         ${bill.tax > 0 ? `<div>GST/Tax: Rs. ${bill.tax.toFixed(2)}</div>` : ''}
+        ${billDiscountLine(bill)}
         <div class="bill-grand-total">Grand Total: Rs. ${bill.grand_total.toFixed(2)}</div>
       </div>
 
@@ -3746,9 +5899,7 @@ function displayVendorBillById(vendorId, billId) {
         <div class="bill-footer-left">
           <div style="font-weight: bold; margin-bottom: var(--space-8);">Terms &amp; Conditions:</div>
           <div style="line-height: 1.8;">
-            1. NO WARRANTY (B2B Service)<br>
-            2. Goods once sold will not be taken back.<br>
-            3. Payment due upon delivery.
+            ${billTerms(shopSettings.vendor_bill_terms)}
           </div>
         </div>
         <div class="bill-footer-right">
@@ -3761,7 +5912,7 @@ function displayVendorBillById(vendorId, billId) {
 
       <div class="bill-actions">
         <button class="btn btn-primary" onclick="printBill()">🖨 Print Bill</button>
-        <button class="btn btn-secondary" onclick="editVendorBill('${vendorId}', '${billId}')">✎ Edit Bill</button>
+        <button class="btn btn-secondary" data-requires="edit_saved_bills" onclick="editVendorBill('${vendorId}', '${billId}')">✎ Edit Bill</button>
         <button class="btn btn-secondary" onclick="showSection('vendors'); renderRecentVendors(''); openVendorDetailsModal('${vendorId}');">Back to Vendor</button>
       </div>
     </div>
@@ -3816,6 +5967,15 @@ window.addEventListener('DOMContentLoaded', async () => {
   console.log('📅 Expected date: 2025-10-28 (IST, not UTC)');
   console.log('⏰ Current IST time:', new Date().toLocaleString('en-IN', {timeZone: 'Asia/Kolkata'}));
   
+  // In LAN mode another computer pairs with the server first
+  await ensurePaired();
+
+  // Keeps the server running while this page is open
+  startHeartbeat();
+
+  // Everything below needs a staff login
+  await ensureLoggedIn();
+
   try {
     // Initialize database and load data into cache
     await initDB();
@@ -3824,21 +5984,24 @@ window.addEventListener('DOMContentLoaded', async () => {
     console.error('❌ Database initialization failed:', error);
     alert('Warning: Database initialization failed. Data will not persist.');
   }
+
+  // Shop details, staff and brands for the forms and bills
+  await refreshSettings();
+  await refreshStaff();
   
   // Initialize laptop service ID
-  const records = loadRecords();
-  const nextLaptopId = generateLaptopID(records);
-  const laptopIdInput = document.getElementById('laptopServiceId');
-  if (laptopIdInput) {
-    laptopIdInput.value = nextLaptopId;
-  }
+  refreshNextLaptopId();
   
   updateVendorDropdown();
   renderRecentServices('');
   renderRecentBills('');
   renderRecentVendors('');
   renderRecentLaptops('');
-  renderAllRecords('');
+  renderAllRecords();
+
+  // Changes made on other pages and counters, and in Excel
+  checkStorageStatus();
+  connectLiveUpdates();
   
   // Fill dates again after all rendering
   setTimeout(fillAllDateFields, 100);
@@ -3849,9 +6012,3 @@ window.addEventListener('DOMContentLoaded', async () => {
   console.log('📋 All date fields should now show: 2025-10-28');
   console.log('💾 Database status: Ready =', dbReady);
 });
-
-// Shutdown server when browser/app closes
-window.addEventListener('beforeunload', () => {
-  // Send shutdown signal to server (synchronous to ensure it completes)
-  navigator.sendBeacon(`${API_BASE}/shutdown`);
-});
\ No newline at end of file
@@ -1,8 +1,39 @@
 const express = require('express');
-const XLSX = require('xlsx');
-const path = require('path');
 const fs = require('fs');
+const path = require('path');
 const schedule = require('node-schedule');
+const config = require('./config');
+const { createStorage, StorageLockedError, StorageConflictError, StorageChangedError } = require('./storage');
+const { HttpError } = require('./lib/errors');
+const { createImageStore } = require('./lib/images');
+const { assignRecordIds, assignPhoneId, assignBillId, assignUserId, assignDeviceId, nextChangeId, previewRecordIds } = require('./lib/sequences');
+const backups = require('./lib/backups');
+const { SCHEMAS } = require('./lib/schemas');
+const { assertObject, assertValid, assertValidUpdate } = require('./lib/validation');
+const { LATEST_VERSION, runMigrations } = require('./migrations');
+const { trashRecord, restoreRecord, purgeRecord, expiredEntries } = require('./lib/trash');
+const { diffRecords, revertField } = require('./lib/diff');
+const { queryChangelog, findChange } = require('./lib/changelog');
+const { paginate } = require('./lib/query');
+const { queryRecords, summarizeRecords } = require('./lib/records');
+const { parseFormat, buildExport, exportFileName } = require('./lib/exports');
+const { search } = require('./lib/search');
+const { readSettings, mergeSettings, writeSettings } = require('./lib/settings');
+const { checkDatabase } = require('./lib/integrity');
+const { versionOf, etagOf, bumpVersion, assertVersion, carryVersions } = require('./lib/versions');
+const { createEventStream } = require('./lib/events');
+const { IMPORT_TYPES, readSpreadsheet, suggestMapping, assertImportOptions, planImport, createUploadStore } = require('./lib/imports');
+const { HEARTBEAT_MS, createClientTracker } = require('./lib/clients');
+const {
+  hashPin, verifyPin, assertPin, isActive, publicUser, findUser, assertNameFree, assertOwnerLeft, needsOwnerSetup, newSetupCode
+} = require('./lib/users');
+const { sessionCookie, createSessionStore, createLoginGuard } = require('./lib/sessions');
+const { defaultReceivedBy, billChanges, stampUser } = require('./lib/attribution');
+const { permissionsOf, assertPermission, assertBillChanges } = require('./lib/permissions');
+const {
+  newAccessToken, accessToken, deviceCookie, findDeviceByToken, findDevice, publicDevice, isLoopback, lanAddresses,
+  createPairingCodes
+} = require('./lib/devices');
 
 // Try to load open package
 let openModule;
@@ -13,36 +44,84 @@ try {
 }
 
 const app = express();
-const PORT = 3001;
-const DB_FILE = path.join(__dirname, 'app_data.xlsx');
-const BACKUPS_DIR = path.join(__dirname, 'backups');
+const PORT = config.server.port;
+const storage = createStorage(config.storage, {
+  validate: checkDatabase,
+  reconcile: carryVersions,
+  onExternalChange: reportExternalChange
+});
+const DB_FILE = storage.file;
+const BACKUPS_DIR = backups.BACKUPS_DIR;
+const images = createImageStore(config.uploads.dir);
+const events = createEventStream();
+
+// Wrong PINs in a row before an account is locked, and for how long
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_MS = 60 * 1000;
+
+// API routes used before logging in (the login screen, pairing in LAN mode,
+// and the open-page heartbeats under /clients)
+const PUBLIC_API_PATHS = ['/auth/users', '/auth/setup', '/auth/login', '/auth/logout', '/devices/me', '/devices/pair', '/clients'];
+
+// API routes an unpaired device may use in LAN mode
+const UNPAIRED_API_PATHS = ['/devices/me', '/devices/pair'];
+
+// Wrong pairing codes from one address before it has to wait
+const PAIR_MAX_ATTEMPTS = 5;
+const PAIR_LOCKOUT_MS = 60 * 1000;
+
+// Service fields holding device photo image IDs
+const IMAGE_FIELDS = ['front_image', 'back_image'];
+
+// How often a locked database file is retried before answering 503
+const LOCK_RETRY_ATTEMPTS = 3;
+const LOCK_RETRY_DELAY_MS = 500;
+const LOCK_RETRY_AFTER_SECONDS = 2;
+
+// Retries of a write whose data was changed outside the app meanwhile
+const CHANGED_RETRY_ATTEMPTS = 3;
+
+// Largest CSV or Excel file accepted for import
+const IMPORT_MAX_SIZE_MB = 20;
+
+// Rows of an uploaded file shown with its columns
+const IMPORT_SAMPLE_ROWS = 5;
+
+const sessions = createSessionStore({ idleMs: config.auth.sessionHours * 60 * 60 * 1000 });
+const loginGuard = createLoginGuard({ maxAttempts: LOGIN_MAX_ATTEMPTS, lockoutMs: LOGIN_LOCKOUT_MS });
+const importUploads = createUploadStore();
+const pairingCodes = createPairingCodes({ ttlMs: config.lan.pairingCodeMinutes * 60 * 1000 });
+const pairGuard = createLoginGuard({ maxAttempts: PAIR_MAX_ATTEMPTS, lockoutMs: PAIR_LOCKOUT_MS, what: 'pairing codes' });
+
+// One-time code for setting the first owner PIN (see ownerSetupCode())
+let setupCode = null;
+
+// Open pages; without headless mode the server stops once they are all closed
+const clients = createClientTracker({
+  graceMs: config.server.shutdownGraceSeconds * 1000,
+  onIdle: () => {
+    if (config.server.headless) return;
+    console.log(`\n🛑 No page open for ${config.server.shutdownGraceSeconds} seconds`);
+    shutdown();
+  }
+});
 
 // Middleware
 app.use(express.json());
 app.use(express.static('public'));
+app.use('/api', requireDevice);
+app.use('/api', requireLogin);
 
 // ============================================
-// EXCEL DATABASE FUNCTIONS
+// DATABASE FUNCTIONS
 // ============================================
 
 /**
- * Read all records from Excel
+ * Read all records from the configured storage engine
  */
 function readDatabase() {
   try {
-    if (!fs.existsSync(DB_FILE)) {
-      return { services: [], vendors: [], laptops: [], changelog: [] };
-    }
-
-    const workbook = XLSX.readFile(DB_FILE);
-    
-    // Read each sheet
-    const services = XLSX.utils.sheet_to_json(workbook.Sheets['Services'] || {});
-    const vendors = XLSX.utils.sheet_to_json(workbook.Sheets['Vendors'] || {});
-    const laptops = XLSX.utils.sheet_to_json(workbook.Sheets['Laptops'] || {});
-    const changelog = XLSX.utils.sheet_to_json(workbook.Sheets['ChangeLog'] || {});
-
-    return { services, vendors, laptops, changelog };
+    return storage.read();
   } catch (error) {
     console.error('Error reading database:', error);
     throw error;
@@ -50,26 +129,11 @@ function readDatabase() {
 }
 
 /**
- * Write all records to Excel
+ * Write all records to the configured storage engine
  */
 function writeDatabase(data) {
   try {
-    const workbook = XLSX.utils.book_new();
-
-    // Convert arrays to sheets
-    const servicesSheet = XLSX.utils.json_to_sheet(data.services || []);
-    const vendorsSheet = XLSX.utils.json_to_sheet(data.vendors || []);
-    const laptopsSheet = XLSX.utils.json_to_sheet(data.laptops || []);
-    const changelogSheet = XLSX.utils.json_to_sheet(data.changelog || []);
-
-    // Append sheets to workbook
-    XLSX.utils.book_append_sheet(workbook, servicesSheet, 'Services');
-    XLSX.utils.book_append_sheet(workbook, vendorsSheet, 'Vendors');
-    XLSX.utils.book_append_sheet(workbook, laptopsSheet, 'Laptops');
-    XLSX.utils.book_append_sheet(workbook, changelogSheet, 'ChangeLog');
-
-    // Write to file
-    XLSX.writeFile(workbook, DB_FILE);
+    storage.write(data);
     console.log('✓ Database saved successfully');
     return true;
   } catch (error) {
@@ -78,66 +142,396 @@ function writeDatabase(data) {
   }
 }
 
+// Tail of the write queue; every mutation chains onto it
+let writeQueue = Promise.resolve();
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
- * Log changes to ChangeLog sheet
+ * Read, modify and write the database as one step. Mutations run one at a
+ * time in the order they arrive, so concurrent requests cannot overwrite each
+ * other. The mutator changes `db` in place and its return value resolves the
+ * promise; if it throws, nothing is written. A locked file is retried a few
+ * times before the StorageLockedError is passed on. If the file was edited
+ * outside the app after it was read, the mutator runs again on the edited
+ * data, so those edits are kept.
  */
-function logChange(action, recordType, recordId, fieldChanged = '', oldValue = '', newValue = '') {
-  try {
-    const db = readDatabase();
-    const changeEntry = {
-      timestamp: new Date().toISOString(),
+function mutateDatabase(mutator) {
+  const run = writeQueue.then(async () => {
+    let changedAttempts = 0;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const db = readDatabase();
+        const result = mutator(db);
+        writeDatabase(db);
+        return result;
+      } catch (error) {
+        if (error instanceof StorageChangedError && ++changedAttempts < CHANGED_RETRY_ATTEMPTS) {
+          console.log('🔄 Database changed outside the app, redoing the change on the new data...');
+          continue;
+        }
+        if (!(error instanceof StorageLockedError) || attempt >= LOCK_RETRY_ATTEMPTS) {
+          throw error;
+        }
+        console.log(`⚠ Database locked, retrying (${attempt}/${LOCK_RETRY_ATTEMPTS})...`);
+        await delay(LOCK_RETRY_DELAY_MS);
+      }
+    }
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Append an entry to the ChangeLog of a database being mutated, made by
+ * `user` (a staff name, or 'System' for scheduled jobs)
+ */
+function logChange(db, user, action, recordType, recordId, fieldChanged = '', oldValue = '', newValue = '') {
+  logFieldChanges(db, user, action, recordType, recordId, [{ field: fieldChanged, oldValue, newValue }]);
+}
+
+/**
+ * Append one ChangeLog entry per changed field ({ field, oldValue, newValue }),
+ * all stamped with the same time and user so they read as one change
+ */
+function logFieldChanges(db, user, action, recordType, recordId, changes) {
+  const timestamp = new Date().toISOString();
+  db.changelog = db.changelog || [];
+  changes.forEach(change => {
+    db.changelog.push({
+      change_id: nextChangeId(db),
+      timestamp,
       action,
       record_type: recordType,
       record_id: recordId,
-      field_changed: fieldChanged,
-      old_value: String(oldValue),
-      new_value: String(newValue),
-      user: 'System'
-    };
-    
-    db.changelog = db.changelog || [];
-    db.changelog.push(changeEntry);
-    writeDatabase(db);
-  } catch (error) {
-    console.error('Error logging change:', error);
+      field_changed: change.field,
+      old_value: String(change.oldValue),
+      new_value: String(change.newValue),
+      user
+    });
+  });
+}
+
+/**
+ * Log an edit to the database file made outside the app (see storage/cache.js)
+ */
+function reportExternalChange(change) {
+  const file = path.basename(DB_FILE);
+  if (change.loaded) {
+    console.log(`🔄 ${file} was changed outside the app - reloaded`);
+  } else {
+    console.error(`⚠ ${file} was changed outside the app and cannot be loaded; saving is paused until it is fixed:`);
+    change.problems.forEach(problem => console.error(`   - ${problem}`));
+  }
+  change.warnings.forEach(warning => console.log(`   ⚠ ${warning}`));
+  events.publish('storage', { file, external_change: change });
+}
+
+/**
+ * Send an error response: HttpError keeps its status, a locked database
+ * answers 503 with Retry-After, a database edited outside the app 409,
+ * anything else is a 500.
+ */
+function sendError(res, error, message) {
+  if (error instanceof HttpError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  if (error instanceof StorageLockedError) {
+    res.set('Retry-After', String(LOCK_RETRY_AFTER_SECONDS));
+    return res.status(503).json({ error: 'Database is locked', message: error.message, retryable: true });
+  }
+  if (error instanceof StorageConflictError) {
+    return res.status(409).json({ error: 'Database changed outside the app', message: error.message, problems: error.problems });
+  }
+  if (error instanceof StorageChangedError) {
+    return res.status(409).json({ error: 'Database changed outside the app', message: error.message, retryable: true });
+  }
+  res.status(500).json({ error: message, message: error.message });
+}
+
+/**
+ * /api middleware for LAN mode: every request needs the access token of a
+ * paired device (req.device), except from the server's own computer and
+ * for UNPAIRED_API_PATHS. Without LAN mode the server only listens on
+ * this computer.
+ */
+function requireDevice(req, res, next) {
+  if (!config.lan.enabled) return next();
+  req.device = findDeviceByToken(readDatabase(), accessToken(req)) || null;
+  if (req.device || isLoopback(req) || UNPAIRED_API_PATHS.includes(req.path)) return next();
+  sendError(res, new HttpError(401, 'This device is not paired with the server', { pairing_required: true }));
+}
+
+/**
+ * /api middleware: req.user is the staff member logged in on this browser
+ * ({ user_id, name }); without a login only PUBLIC_API_PATHS answer, the
+ * rest are a 401
+ */
+function requireLogin(req, res, next) {
+  const session = sessions.fromCookie(req.get('Cookie'));
+  if (session) {
+    req.user = session.user;
+    req.sessionToken = session.token;
+  }
+  if (session || PUBLIC_API_PATHS.some(route => req.path === route || req.path.startsWith(`${route}/`))) {
+    return next();
+  }
+  sendError(res, new HttpError(401, 'Please log in'));
+}
+
+/**
+ * Route middleware: 403 unless the logged-in user has `permission` (see
+ * lib/permissions.js)
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    try {
+      assertPermission(req.user, permission);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  };
+}
+
+/**
+ * The logged-in user as /api/auth answers it: with what they may do
+ */
+function accountOf(user) {
+  return { ...publicUser(user), permissions: permissionsOf(user.role) };
+}
+
+function trimmed(value) {
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * Tell every open page the staff accounts changed
+ */
+function publishUsers(req) {
+  events.publish('users', { users: readDatabase().users.map(publicUser), origin: req.get('X-Client-Id') || null });
+}
+
+/**
+ * Create backup of database; `label` is added to the file name. The backup
+ * is verified (a file that fails is deleted and the error thrown), then old
+ * backups are pruned according to config.backups.
+ */
+function createBackup(label) {
+  const backupFile = backups.createBackup(storage, label);
+  if (!backupFile) return backupFile;
+
+  if (config.backups.verify) {
+    try {
+      backups.verifyBackup(storage, backupFile);
+    } catch (error) {
+      fs.unlinkSync(backupFile);
+      console.error(`⚠ ${error.message}`);
+      throw error;
+    }
   }
+
+  const pruned = backups.pruneBackups(config.backups.retention);
+  if (pruned.length > 0) {
+    console.log(`✓ Pruned ${pruned.length} old backup(s)`);
+  }
+  return backupFile;
+}
+
+/**
+ * Back up before a delete, purge or restore when
+ * config.backups.beforeDestructive is on
+ */
+function snapshotBefore(action) {
+  if (config.backups.beforeDestructive) createBackup(`pre-${action}`);
 }
 
 /**
- * Create backup of database
+ * Delete uploaded images that no service (in use or in the trash)
+ * references any more
  */
-function createBackup() {
+function removeUnusedImages(imageIds) {
+  const candidates = imageIds.filter(id => images.isImageId(id));
+  if (candidates.length === 0) return;
+
   try {
-    if (!fs.existsSync(DB_FILE)) {
-      console.log('No database file to backup');
-      return;
+    const db = readDatabase();
+    const trashedServices = db.trash
+      .filter(entry => entry.collection === 'services')
+      .map(entry => entry.record);
+    const inUse = new Set();
+    db.services.concat(trashedServices).forEach(service => {
+      IMAGE_FIELDS.forEach(field => inUse.add(service[field]));
+    });
+    candidates.filter(id => !inUse.has(id)).forEach(id => images.remove(id));
+  } catch (error) {
+    console.error('Error removing images:', error);
+  }
+}
+
+// ============================================
+// RECORD TYPES
+// ============================================
+
+// Record types served under /api/<collection>. `key` is the business ID
+// used in URLs; afterChange(oldRecord, newRecord) runs after a successful
+// update or purge from the trash (newRecord is null).
+const RECORD_TYPES = {
+  services: {
+    collection: 'services',
+    type: 'service',
+    key: 'service_id',
+    label: 'Service',
+    afterChange: (oldRecord, record) => {
+      removeUnusedImages(IMAGE_FIELDS
+        .filter(field => !record || oldRecord[field] !== record[field])
+        .map(field => oldRecord[field]));
     }
+  },
+  vendors: { collection: 'vendors', type: 'vendor', key: 'vendor_id', label: 'Vendor' },
+  laptops: { collection: 'laptops', type: 'laptop', key: 'laptop_id', label: 'Laptop' }
+};
+
+/**
+ * Index of the record with business ID `id`, or a 404 HttpError
+ */
+function findRecordIndex(db, recordType, id) {
+  const index = db[recordType.collection].findIndex(r => r[recordType.key] === id);
+  if (index === -1) {
+    throw new HttpError(404, `${recordType.label} ${id} not found`);
+  }
+  return index;
+}
 
-    // Ensure backups directory exists
-    if (!fs.existsSync(BACKUPS_DIR)) {
-      fs.mkdirSync(BACKUPS_DIR, { recursive: true });
+/**
+ * Record type of a ChangeLog record_type ('service', 'vendor', 'laptop')
+ */
+function recordTypeOf(type) {
+  return Object.values(RECORD_TYPES).find(recordType => recordType.type === type);
+}
+
+/**
+ * Tell every open page that a service, vendor or laptop was `created`,
+ * `updated` or `deleted`. `origin` is the X-Client-Id of the page that
+ * made the change, which has already refreshed itself.
+ */
+function publishRecord(req, action, recordType, record) {
+  events.publish(action, {
+    record_type: recordType.type,
+    record_id: record[recordType.key],
+    record: { ...record, record_type: recordType.type },
+    origin: req.get('X-Client-Id') || null
+  });
+}
+
+// Fields only the server sets (with the business ID and version): an
+// update keeps the stored values, whatever its body contains
+const SERVER_OWNED_FIELDS = ['id', 'timestamp'];
+
+/**
+ * Put `record` in place of db[collection][index] once the fields it changes
+ * are valid and `user` may make its bill changes, logging each changed
+ * field under `action` by `user`, whose name is also stamped on the bills
+ * and phone statuses it changed. Server-owned fields are copied from the
+ * stored record, and the record gets the next version of the one it
+ * replaces, which is returned.
+ */
+function replaceRecord(db, recordType, index, record, action, user) {
+  const { collection, type, key } = recordType;
+  const oldRecord = db[collection][index];
+  [key, ...SERVER_OWNED_FIELDS].forEach(field => {
+    if (oldRecord[field] === undefined) delete record[field];
+    else record[field] = oldRecord[field];
+  });
+  assertValidUpdate(SCHEMAS[collection], oldRecord, record);
+  assertBillChanges(user, billChanges(type, oldRecord, record));
+
+  stampUser(type, oldRecord, record, user.name);
+  record.version = versionOf(oldRecord) + 1;
+  db[collection][index] = record;
+  logFieldChanges(db, user.name, action, type, record[key], diffRecords(oldRecord, record));
+  return oldRecord;
+}
+
+/**
+ * PUT/PATCH handler: merge(oldRecord, body) builds the new record, which is
+ * validated against the fields it changes. A body naming a different
+ * record than the URL is a 409, and so is an If-Match naming an older
+ * version of the record (PUT must send one, see lib/versions.js). Each
+ * changed field gets a ChangeLog entry.
+ */
+async function updateRecord(req, res, recordType, merge) {
+  const { collection, type, key, label } = recordType;
+  try {
+    assertObject(req.body);
+    const bodyId = req.body[key];
+    if (bodyId !== undefined && bodyId !== req.params.id) {
+      throw new HttpError(409, `${label} ID in the request body (${bodyId}) does not match the URL (${req.params.id})`);
     }
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    const backupFile = path.join(BACKUPS_DIR, `app_data_backup_${timestamp}.xlsx`);
-    
-    fs.copyFileSync(DB_FILE, backupFile);
-    console.log('✓ Backup created:', backupFile);
-    return backupFile;
+    let oldRecord;
+    const updated = await mutateDatabase(db => {
+      const index = findRecordIndex(db, recordType, req.params.id);
+      assertVersion(req.get('If-Match'), db[collection][index], {
+        required: req.method === 'PUT',
+        label: `${label} ${req.params.id}`
+      });
+      const record = merge(db[collection][index], req.body);
+      oldRecord = replaceRecord(db, recordType, index, record, 'UPDATE', req.user);
+      return record;
+    });
+
+    if (recordType.afterChange) recordType.afterChange(oldRecord, updated);
+    publishRecord(req, 'updated', recordType, updated);
+    res.set('ETag', etagOf(updated));
+    res.json(updated);
   } catch (error) {
-    console.error('Error creating backup:', error);
-    throw error;
+    sendError(res, error, `Failed to update ${type}`);
   }
 }
 
+/**
+ * Purge trash entries older than config.trash.retentionDays (0 keeps them)
+ */
+async function purgeExpiredTrash() {
+  const { retentionDays } = config.trash;
+  if (!retentionDays || expiredEntries(readDatabase(), retentionDays).length === 0) return;
+
+  const purged = await mutateDatabase(db => {
+    snapshotBefore('purge');
+    return expiredEntries(db, retentionDays).map(entry => {
+      purgeRecord(db, entry.record_id);
+      logChange(db, 'System', 'PURGE', entry.record_type, entry.record_id);
+      return entry;
+    });
+  });
+
+  purged.forEach(entry => RECORD_TYPES[entry.collection].afterChange?.(entry.record, null));
+  console.log(`✓ Purged ${purged.length} record(s) deleted more than ${retentionDays} days ago`);
+}
+
 // ============================================
 // SCHEDULED TASKS
 // ============================================
 
-// Schedule monthly backups (1st of every month at 2 AM)
-schedule.scheduleJob('0 2 1 * *', () => {
-  console.log('🗓️ Running scheduled monthly backup...');
-  createBackup();
+// Scheduled backups (config.backups.schedule)
+const backupJob = schedule.scheduleJob(config.backups.schedule, () => {
+  console.log('🗓️ Running scheduled backup...');
+  try {
+    createBackup();
+  } catch (error) {
+    console.error('Scheduled backup failed:', error.message);
+  }
+});
+if (!backupJob) {
+  throw new Error(`Invalid backups.schedule "${config.backups.schedule}" in config.json. Use a cron expression such as "0 2 * * *".`);
+}
+
+// Purge expired trash daily at 3 AM
+schedule.scheduleJob('0 3 * * *', () => {
+  purgeExpiredTrash().catch(error => console.error('Error purging trash:', error));
 });
 
 // ============================================
@@ -145,326 +539,1135 @@ schedule.scheduleJob('0 2 1 * *', () => {
 // ============================================
 
 /**
- * GET /api/records - Get all records
+ * Send a list of records: all of them, or one page as
+ * { items, total, page, limit, pages, ...extra } when ?page= or ?limit= is
+ * given. X-Total-Count always holds the number of matching records.
+ */
+function sendRecordList(res, records, query, extra = {}) {
+  res.set('X-Total-Count', String(records.length));
+  if (query.page === undefined && query.limit === undefined) {
+    return res.json(records);
+  }
+  res.json({ ...paginate(records, query), ...extra });
+}
+
+/**
+ * Services, vendors and laptops of `db`, each with its record_type
+ */
+function allRecords(db) {
+  return [
+    ...db.services.map(r => ({ ...r, record_type: 'service' })),
+    ...db.vendors.map(r => ({ ...r, record_type: 'vendor' })),
+    ...db.laptops.map(r => ({ ...r, record_type: 'laptop' }))
+  ];
+}
+
+/**
+ * GET /api/records - Services, vendors and laptops, each with its
+ * record_type. Takes the filters, sorting and paging of lib/records.js and
+ * lib/query.js; a page also carries the summary of every matching record.
  */
 app.get('/api/records', (req, res) => {
   try {
-    const db = readDatabase();
-    // Combine all records with record_type field
-    const allRecords = [
-      ...db.services.map(r => ({ ...r, record_type: 'service' })),
-      ...db.vendors.map(r => ({ ...r, record_type: 'vendor' })),
-      ...db.laptops.map(r => ({ ...r, record_type: 'laptop' }))
-    ];
-    res.json(allRecords);
+    const records = queryRecords(allRecords(readDatabase()), req.query);
+    sendRecordList(res, records, req.query, { summary: summarizeRecords(records) });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to read records', message: error.message });
+    sendError(res, error, 'Failed to read records');
   }
 });
 
 /**
- * GET /api/services - Get all service records
+ * GET /api/export?format=csv|json|xlsx - Download the records matching the
+ * /api/records filters and sorting, one row per bill item or vendor phone
+ * (lib/exports.js). Paging is ignored.
  */
-app.get('/api/services', (req, res) => {
+app.get('/api/export', (req, res) => {
   try {
-    const db = readDatabase();
-    res.json(db.services);
+    const format = parseFormat(req.query.format);
+    const filters = { ...req.query };
+    ['format', 'page', 'limit'].forEach(name => delete filters[name]);
+    const records = queryRecords(allRecords(readDatabase()), filters);
+    const { body, contentType } = buildExport(records, format, filters);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${exportFileName(format, filters)}"`,
+      'X-Total-Count': String(records.length)
+    });
+    res.send(body);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to read services', message: error.message });
+    sendError(res, error, 'Failed to export records');
   }
 });
 
 /**
- * GET /api/vendors - Get all vendor records
+ * GET /api/search?q= - Services, laptops, vendors and vendor phones and
+ * bills matching q (IDs, names, mobile numbers, IMEIs, models), best match
+ * first, with typos in names and the last digits of numbers allowed.
+ * Optional: type, limit.
  */
-app.get('/api/vendors', (req, res) => {
+app.get('/api/search', (req, res) => {
   try {
-    const db = readDatabase();
-    res.json(db.vendors);
+    res.json(search(readDatabase(), req.query));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to read vendors', message: error.message });
+    sendError(res, error, 'Failed to search');
   }
 });
 
 /**
- * GET /api/laptops - Get all laptop records
+ * Record routes, generated for each type in RECORD_TYPES. Records are
+ * addressed by business ID (SRV001, VND001, LAP001) and carry a version,
+ * sent as their ETag:
+ *
+ *   GET    /api/<collection>      All records (filters, sorting and paging as /api/records)
+ *   GET    /api/<collection>/:id  One record
+ *   GET    /api/<collection>/:id/history  ChangeLog entries of a record
+ *   POST   /api/<collection>      Add a record (the server allocates its ID)
+ *   PUT    /api/<collection>/:id  Replace a record (If-Match required)
+ *   PATCH  /api/<collection>/:id  Update only the fields sent (If-Match optional)
+ *   DELETE /api/<collection>/:id  Move a record to the trash
+ *
+ * Every change is published to open pages (GET /api/events).
  */
-app.get('/api/laptops', (req, res) => {
+Object.values(RECORD_TYPES).forEach(recordType => {
+  const { collection, type, key } = recordType;
+  const route = `/api/${collection}`;
+
+  app.get(route, (req, res) => {
+    try {
+      const db = readDatabase();
+      const records = db[collection].map(r => ({ ...r, record_type: type }));
+      sendRecordList(res, queryRecords(records, req.query), req.query);
+    } catch (error) {
+      sendError(res, error, `Failed to read ${collection}`);
+    }
+  });
+
+  app.get(`${route}/:id`, (req, res) => {
+    try {
+      const db = readDatabase();
+      const record = db[collection][findRecordIndex(db, recordType, req.params.id)];
+      res.set('ETag', etagOf(record));
+      res.json(record);
+    } catch (error) {
+      sendError(res, error, `Failed to read ${type}`);
+    }
+  });
+
+  // A vendor's history includes its phones and bills (VND001-P001, ...)
+  app.get(`${route}/:id/history`, (req, res) => {
+    try {
+      const { id } = req.params;
+      const db = readDatabase();
+      if (!db[collection].some(r => r[key] === id) && !db.trash.some(entry => entry.record_id === id)) {
+        throw new HttpError(404, `${recordType.label} ${id} not found`);
+      }
+      res.json(queryChangelog(db.changelog, { record_id: id }).reverse());
+    } catch (error) {
+      sendError(res, error, `Failed to read ${type} history`);
+    }
+  });
+
+  app.post(route, async (req, res) => {
+    try {
+      assertObject(req.body);
+      const body = defaultReceivedBy(type, req.body, req.user.name);
+      assertValid(SCHEMAS[collection], body);
+      assertBillChanges(req.user, billChanges(type, null, body));
+      const created = await mutateDatabase(db => {
+        const record = assignRecordIds(db, collection, {
+          ...body,
+          record_type: type,
+          timestamp: new Date().toISOString(),
+          version: 1
+        });
+
+        stampUser(type, null, record, req.user.name);
+        db[collection].push(record);
+        logChange(db, req.user.name, 'CREATE', type, record[key]);
+        return record;
+      });
+
+      publishRecord(req, 'created', recordType, created);
+      res.set('ETag', etagOf(created));
+      res.json(created);
+    } catch (error) {
+      sendError(res, error, `Failed to add ${type}`);
+    }
+  });
+
+  // PUT keeps only the server-owned fields of the stored record (see
+  // replaceRecord); PATCH keeps everything not sent
+  app.put(`${route}/:id`, (req, res) => {
+    updateRecord(req, res, recordType, (oldRecord, body) => ({ ...body, record_type: type }));
+  });
+
+  app.patch(`${route}/:id`, (req, res) => {
+    updateRecord(req, res, recordType, (oldRecord, body) => ({ ...oldRecord, ...body }));
+  });
+
+  // Deleting moves the record to the trash (see /api/trash)
+  app.delete(`${route}/:id`, requirePermission('delete_records'), async (req, res) => {
+    try {
+      const entry = await mutateDatabase(db => {
+        const index = findRecordIndex(db, recordType, req.params.id);
+        snapshotBefore('delete');
+        const trashed = trashRecord(db, collection, index, { type, key, user: req.user.name });
+        logChange(db, req.user.name, 'DELETE', type, trashed.record_id);
+        return trashed;
+      });
+
+      publishRecord(req, 'deleted', recordType, entry.record);
+      res.json({ success: true, deleted: entry.record, trash: entry });
+    } catch (error) {
+      sendError(res, error, `Failed to delete ${type}`);
+    }
+  });
+});
+
+/**
+ * POST /api/vendors/:id/phones - Add a phone received from a vendor
+ */
+app.post('/api/vendors/:id/phones', async (req, res) => {
   try {
-    const db = readDatabase();
-    res.json(db.laptops);
+    assertObject(req.body);
+    const body = defaultReceivedBy('vendor_phone', req.body, req.user.name);
+    assertValid(SCHEMAS.vendor_phones, body);
+    let vendor;
+    const phone = await mutateDatabase(db => {
+      vendor = db.vendors[findRecordIndex(db, RECORD_TYPES.vendors, req.params.id)];
+
+      const record = assignPhoneId(db, vendor, {
+        status: 'Received',
+        completed: false,
+        billed: false,
+        bill_id: null,
+        ...body,
+        status_by: req.user.name
+      });
+      vendor.phones.push(record);
+      bumpVersion(vendor);
+      logChange(db, req.user.name, 'CREATE', 'vendor_phone', record.phone_id);
+      return record;
+    });
+
+    publishRecord(req, 'updated', RECORD_TYPES.vendors, vendor);
+    res.json(phone);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to read laptops', message: error.message });
+    sendError(res, error, 'Failed to add phone');
   }
 });
 
 /**
- * POST /api/services - Add new service record
+ * POST /api/vendors/:id/bills - Add a vendor bill and mark its phones billed
  */
-app.post('/api/services', (req, res) => {
+app.post('/api/vendors/:id/bills', async (req, res) => {
   try {
-    const db = readDatabase();
-    const newService = {
-      ...req.body,
-      id: db.services.length + 1,
-      record_type: 'service',
-      timestamp: new Date().toISOString()
-    };
-    
-    db.services.push(newService);
-    writeDatabase(db);
-    logChange('CREATE', 'service', newService.service_id);
-    
-    res.json(newService);
+    assertValid(SCHEMAS.vendor_bills, req.body);
+    assertBillChanges(req.user, { added: [req.body], changed: [], removed: [] });
+    let vendor;
+    const bill = await mutateDatabase(db => {
+      vendor = db.vendors[findRecordIndex(db, RECORD_TYPES.vendors, req.params.id)];
+
+      const record = assignBillId(db, vendor, { phone_ids: [], ...req.body, saved_by: req.user.name });
+      record.bill_number = record.bill_id;
+      vendor.bills.push(record);
+
+      vendor.phones.forEach(phone => {
+        if (record.phone_ids.includes(phone.phone_id)) {
+          phone.billed = true;
+          phone.bill_id = record.bill_id;
+          phone.status = 'Billed';
+          phone.status_by = req.user.name;
+        }
+      });
+      bumpVersion(vendor);
+      logChange(db, req.user.name, 'CREATE', 'vendor_bill', record.bill_id);
+      return record;
+    });
+
+    publishRecord(req, 'updated', RECORD_TYPES.vendors, vendor);
+    res.json(bill);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to add service', message: error.message });
+    sendError(res, error, 'Failed to add bill');
   }
 });
 
 /**
- * POST /api/vendors - Add new vendor record
+ * GET /api/trash - Deleted records, most recently deleted first
  */
-app.post('/api/vendors', (req, res) => {
+app.get('/api/trash', (req, res) => {
   try {
     const db = readDatabase();
-    const newVendor = {
-      ...req.body,
-      id: db.vendors.length + 1,
-      record_type: 'vendor',
-      timestamp: new Date().toISOString()
-    };
-    
-    db.vendors.push(newVendor);
-    writeDatabase(db);
-    logChange('CREATE', 'vendor', newVendor.vendor_id);
-    
-    res.json(newVendor);
+    res.json({
+      retention_days: config.trash.retentionDays,
+      entries: db.trash.slice().reverse()
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to add vendor', message: error.message });
+    sendError(res, error, 'Failed to read trash');
   }
 });
 
 /**
- * POST /api/laptops - Add new laptop record
+ * POST /api/trash/:id/restore - Put a deleted record back
  */
-app.post('/api/laptops', (req, res) => {
+app.post('/api/trash/:id/restore', async (req, res) => {
   try {
-    const db = readDatabase();
-    const newLaptop = {
-      ...req.body,
-      id: db.laptops.length + 1,
-      record_type: 'laptop',
-      timestamp: new Date().toISOString()
-    };
-    
-    db.laptops.push(newLaptop);
-    writeDatabase(db);
-    logChange('CREATE', 'laptop', newLaptop.laptop_id);
-    
-    res.json(newLaptop);
+    const entry = await mutateDatabase(db => {
+      const restored = restoreRecord(db, req.params.id, collection => RECORD_TYPES[collection].key);
+      // A copy loaded before the delete must not match the restored record
+      bumpVersion(restored.record);
+      logChange(db, req.user.name, 'RESTORE', restored.record_type, restored.record_id);
+      return restored;
+    });
+
+    publishRecord(req, 'created', RECORD_TYPES[entry.collection], entry.record);
+    res.json({ ...entry.record, record_type: entry.record_type });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to add laptop', message: error.message });
+    sendError(res, error, 'Failed to restore record');
   }
 });
 
 /**
- * PUT /api/services/:id - Update service record
+ * DELETE /api/trash/:id - Delete a record for good
  */
-app.put('/api/services/:id', (req, res) => {
+app.delete('/api/trash/:id', requirePermission('delete_records'), async (req, res) => {
   try {
-    const db = readDatabase();
-    const serviceId = req.params.id;
-    const index = db.services.findIndex(s => s.service_id === serviceId);
-    
-    if (index === -1) {
-      return res.status(404).json({ error: 'Service not found' });
+    const entry = await mutateDatabase(db => {
+      const purged = purgeRecord(db, req.params.id);
+      // The file is only written after the mutator returns
+      snapshotBefore('purge');
+      logChange(db, req.user.name, 'PURGE', purged.record_type, purged.record_id);
+      return purged;
+    });
+
+    RECORD_TYPES[entry.collection].afterChange?.(entry.record, null);
+    res.json({ success: true, purged: entry.record });
+  } catch (error) {
+    sendError(res, error, 'Failed to purge record');
+  }
+});
+
+/**
+ * POST /api/images - Upload a device photo (raw image body, e.g. image/jpeg)
+ */
+app.post('/api/images', express.raw({ type: 'image/*', limit: `${config.uploads.maxSizeMb}mb` }), (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'No image received' });
     }
-    
-    const oldRecord = db.services[index];
-    db.services[index] = { ...oldRecord, ...req.body };
-    writeDatabase(db);
-    logChange('UPDATE', 'service', db.services[index].service_id);
-    
-    res.json(db.services[index]);
+
+    const imageId = images.save(req.body, req.get('Content-Type'));
+    if (!imageId) {
+      return res.status(415).json({ error: 'Unsupported image type. Use JPEG, PNG, WebP or GIF.' });
+    }
+
+    res.json({
+      image_id: imageId,
+      url: `/api/images/${imageId}`,
+      thumbnail_url: `/api/images/${imageId}/thumbnail`
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update service', message: error.message });
+    sendError(res, error, 'Failed to save image');
+  }
+});
+
+/**
+ * GET /api/images/:id - Original device photo
+ */
+app.get('/api/images/:id', (req, res) => {
+  const file = images.filePath(req.params.id);
+  if (!file) {
+    return res.status(404).json({ error: 'Image not found' });
   }
+  res.sendFile(file);
 });
 
 /**
- * PUT /api/vendors/:id - Update vendor record
+ * GET /api/images/:id/thumbnail - Device photo thumbnail
  */
-app.put('/api/vendors/:id', (req, res) => {
+app.get('/api/images/:id/thumbnail', async (req, res) => {
   try {
-    const db = readDatabase();
-    const vendorId = req.params.id;
-    const index = db.vendors.findIndex(v => v.vendor_id === vendorId);
-    
-    if (index === -1) {
-      return res.status(404).json({ error: 'Vendor not found' });
+    const file = await images.thumbnailPath(req.params.id);
+    if (!file) {
+      return res.status(404).json({ error: 'Image not found' });
     }
-    
-    const oldRecord = db.vendors[index];
-    db.vendors[index] = { ...oldRecord, ...req.body };
-    writeDatabase(db);
-    logChange('UPDATE', 'vendor', db.vendors[index].vendor_id);
-    
-    res.json(db.vendors[index]);
+    res.sendFile(file);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update vendor', message: error.message });
+    sendError(res, error, 'Failed to read thumbnail');
   }
 });
 
 /**
- * PUT /api/laptops/:id - Update laptop record
+ * POST /api/backup - Create manual backup
  */
-app.put('/api/laptops/:id', (req, res) => {
+app.post('/api/backup', requirePermission('manage_backups'), (req, res) => {
+  try {
+    const backupFile = createBackup();
+    res.json({ success: true, backup: backupFile });
+  } catch (error) {
+    sendError(res, error, 'Failed to create backup');
+  }
+});
+
+/**
+ * GET /api/backups - Backup files, newest first, with record counts
+ */
+app.get('/api/backups', requirePermission('manage_backups'), (req, res) => {
+  try {
+    res.json(backups.describeBackups());
+  } catch (error) {
+    sendError(res, error, 'Failed to list backups');
+  }
+});
+
+/**
+ * GET /api/backups/:name - Contents of a backup: services, vendors (with
+ * phones and bills), laptops and trash
+ */
+app.get('/api/backups/:name', requirePermission('manage_backups'), (req, res) => {
+  try {
+    const { schemaVersion, data } = backups.readBackup(req.params.name);
+    res.json({
+      name: req.params.name,
+      schema_version: schemaVersion,
+      counts: backups.countRecords(data),
+      services: data.services,
+      vendors: data.vendors,
+      laptops: data.laptops,
+      trash: data.trash
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to read backup');
+  }
+});
+
+/**
+ * GET /api/backups/:name/diff - What restoring a backup would change
+ */
+app.get('/api/backups/:name/diff', requirePermission('manage_backups'), (req, res) => {
+  try {
+    const { data } = backups.readBackup(req.params.name);
+    res.json(backups.diffBackup(data, readDatabase()));
+  } catch (error) {
+    sendError(res, error, 'Failed to compare backup');
+  }
+});
+
+/**
+ * POST /api/backups/:name/restore - Replace the data with a backup's,
+ * after backing up the current state. The ChangeLog is kept.
+ */
+app.post('/api/backups/:name/restore', requirePermission('manage_backups'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { data } = backups.readBackup(name);
+
+    const safetyBackup = await mutateDatabase(db => {
+      const file = createBackup('pre-restore');
+      backups.restoreData(db, data, images);
+      logChange(db, req.user.name, 'RESTORE', 'backup', name);
+      return file;
+    });
+
+    console.log(`✓ Restored backup ${name}`);
+    events.publish('reload', { reason: 'restore', collections: Object.keys(RECORD_TYPES), origin: req.get('X-Client-Id') || null });
+    res.json({ success: true, restored: name, safety_backup: safetyBackup && path.basename(safetyBackup) });
+  } catch (error) {
+    sendError(res, error, 'Failed to restore backup');
+  }
+});
+
+/**
+ * GET /api/sequences/next - IDs the next service, vendor and laptop will get
+ * (display only, nothing is reserved)
+ */
+app.get('/api/sequences/next', (req, res) => {
+  try {
+    res.json(previewRecordIds(readDatabase()));
+  } catch (error) {
+    sendError(res, error, 'Failed to read sequences');
+  }
+});
+
+/**
+ * GET /api/changelog - Change log, newest first, one page at a time.
+ * Filters: record_type, record_id, action, user, from, to (YYYY-MM-DD);
+ * paging: page, limit. Returns { items, total, page, limit, pages }.
+ */
+app.get('/api/changelog', (req, res) => {
   try {
     const db = readDatabase();
-    const laptopId = req.params.id;
-    const index = db.laptops.findIndex(l => l.laptop_id === laptopId);
-    
-    if (index === -1) {
-      return res.status(404).json({ error: 'Laptop not found' });
+    res.json(paginate(queryChangelog(db.changelog, req.query), req.query));
+  } catch (error) {
+    sendError(res, error, 'Failed to read changelog');
+  }
+});
+
+/**
+ * POST /api/changelog/:changeId/revert - Set the field changed by an
+ * UPDATE entry back to its old value. Logged as a REVERT.
+ */
+app.post('/api/changelog/:changeId/revert', async (req, res) => {
+  try {
+    let recordType;
+    let oldRecord;
+    const reverted = await mutateDatabase(db => {
+      const change = findChange(db.changelog, req.params.changeId);
+      recordType = recordTypeOf(change.record_type);
+      if (!['UPDATE', 'REVERT'].includes(change.action) || !change.field_changed || !recordType) {
+        throw new HttpError(400, `Change ${change.change_id} is not a field update and cannot be reverted`);
+      }
+
+      const index = findRecordIndex(db, recordType, change.record_id);
+      const copy = JSON.parse(JSON.stringify(db[recordType.collection][index]));
+      const record = revertField(copy, change.field_changed, change.old_value);
+      oldRecord = replaceRecord(db, recordType, index, record, 'REVERT', req.user);
+      return record;
+    });
+
+    if (recordType.afterChange) recordType.afterChange(oldRecord, reverted);
+    publishRecord(req, 'updated', recordType, reverted);
+    res.json({ ...reverted, record_type: recordType.type });
+  } catch (error) {
+    sendError(res, error, 'Failed to revert change');
+  }
+});
+
+/**
+ * GET /api/events - Server-Sent Events stream of changes made on any page:
+ *   created / updated / deleted  { record_type, record_id, record, origin }
+ *   settings                     { settings, origin }
+ *   users                        { users, origin } (staff accounts changed)
+ *   reload                       { reason, collections, origin } (a backup was
+ *                                restored or records imported: reload these lists)
+ *   storage                      { file, external_change } (see /api/storage/status)
+ *   resync                       {} (events were missed; reload everything)
+ */
+app.get('/api/events', (req, res) => {
+  events.subscribe(req, res);
+});
+
+/**
+ * GET /api/storage/status - The database file, when its data was loaded and
+ * the last edit made to it outside the app:
+ * { file, engine, loaded_at, external_change: { detected_at, loaded, problems, warnings } }
+ */
+app.get('/api/storage/status', (req, res) => {
+  try {
+    res.json({ file: path.basename(DB_FILE), engine: storage.name, ...storage.status() });
+  } catch (error) {
+    sendError(res, error, 'Failed to read storage status');
+  }
+});
+
+/**
+ * GET /api/settings - Shop profile, brands and billing defaults
+ */
+app.get('/api/settings', (req, res) => {
+  try {
+    res.json(readSettings(readDatabase()));
+  } catch (error) {
+    sendError(res, error, 'Failed to read settings');
+  }
+});
+
+/**
+ * PATCH /api/settings - Change some settings; the shop profile is merged
+ * field by field, any other setting is replaced. Unknown keys are ignored.
+ * Each changed value is logged on record 'settings'.
+ */
+app.patch('/api/settings', async (req, res) => {
+  try {
+    assertObject(req.body);
+    let oldSettings;
+    const settings = await mutateDatabase(db => {
+      oldSettings = readSettings(db);
+      const updated = mergeSettings(oldSettings, req.body);
+      assertValidUpdate(SCHEMAS.settings, oldSettings, updated);
+      if (!updated.warranty_months.includes(updated.default_warranty_months)) {
+        throw new HttpError(422, 'Validation failed', {
+          fields: { default_warranty_months: 'Must be one of the warranty options' }
+        });
+      }
+
+      writeSettings(db, updated);
+      logFieldChanges(db, req.user.name, 'UPDATE', 'settings', 'settings', diffRecords(oldSettings, updated));
+      return updated;
+    });
+
+    if (oldSettings.shop.logo !== settings.shop.logo && images.isImageId(oldSettings.shop.logo)) {
+      images.remove(oldSettings.shop.logo);
     }
-    
-    const oldRecord = db.laptops[index];
-    db.laptops[index] = { ...oldRecord, ...req.body };
-    writeDatabase(db);
-    logChange('UPDATE', 'laptop', db.laptops[index].laptop_id);
-    
-    res.json(db.laptops[index]);
+    events.publish('settings', { settings, origin: req.get('X-Client-Id') || null });
+    res.json(settings);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update laptop', message: error.message });
+    sendError(res, error, 'Failed to save settings');
   }
 });
 
 /**
- * DELETE /api/services/:id - Delete service record
+ * POST /api/imports - Upload a CSV or Excel file to import (raw body;
+ * `?name=` is its file name). Answers its columns, a few rows and, per
+ * record type, the fields columns can be imported into with the column
+ * suggested for each: { import_id, file_name, columns, row_count, sample,
+ * types: { services: { fields, suggested }, ... } }
+ */
+app.post('/api/imports', requirePermission('import_records'),
+  express.raw({ type: () => true, limit: `${IMPORT_MAX_SIZE_MB}mb` }), (req, res) => {
+    try {
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new HttpError(400, 'No file received');
+      }
+      const { columns, rows } = readSpreadsheet(req.body);
+      const fileName = trimmed(req.query.name) || 'upload';
+      const importId = importUploads.add({ file_name: fileName, columns, rows });
+
+      const types = {};
+      Object.entries(IMPORT_TYPES).forEach(([collection, { fields }]) => {
+        types[collection] = { fields, suggested: suggestMapping(collection, columns) };
+      });
+      res.status(201).json({
+        import_id: importId,
+        file_name: fileName,
+        columns,
+        row_count: rows.length,
+        sample: rows.slice(0, IMPORT_SAMPLE_ROWS),
+        types
+      });
+    } catch (error) {
+      sendError(res, error, 'Failed to read file');
+    }
+  });
+
+/**
+ * The upload and checked { type, mapping, defaults } of an import request
+ */
+function importRequest(req) {
+  assertObject(req.body);
+  const upload = importUploads.get(req.params.id);
+  const { type } = req.body;
+  const options = { mapping: req.body.mapping || {}, defaults: req.body.defaults || {} };
+  assertImportOptions(type, options, upload.columns);
+  return { upload, collection: type, options };
+}
+
+function importReport(upload, collection, plan, dryRun) {
+  return {
+    type: collection,
+    file_name: upload.file_name,
+    dry_run: dryRun,
+    total: upload.rows.length,
+    ...plan
+  };
+}
+
+/**
+ * POST /api/imports/:id/dry-run - What importing the file with { type,
+ * mapping: { field: column }, defaults: { field: text } } would do: the
+ * rows it would create, the duplicates it would skip and the invalid rows
+ * (see planImport() in lib/imports.js). Nothing is saved.
  */
-app.delete('/api/services/:id', (req, res) => {
+app.post('/api/imports/:id/dry-run', requirePermission('import_records'), (req, res) => {
   try {
-    const db = readDatabase();
-    const id = parseInt(req.params.id);
-    const index = db.services.findIndex(s => s.id === id);
-    
-    if (index === -1) {
-      return res.status(404).json({ error: 'Service not found' });
+    const { upload, collection, options } = importRequest(req);
+    const plan = planImport(readDatabase(), collection, upload.rows, options, req.user.name);
+    res.json(importReport(upload, collection, plan, true));
+  } catch (error) {
+    sendError(res, error, 'Failed to check import');
+  }
+});
+
+/**
+ * POST /api/imports/:id/commit - Import the file as the dry run describes
+ * it, checked again against the data as it is now: the valid rows that are
+ * not duplicates become records with the next IDs, each logged as IMPORT.
+ * Backs up first. Answers the dry-run report with the saved records.
+ */
+app.post('/api/imports/:id/commit', requirePermission('import_records'), async (req, res) => {
+  try {
+    const { upload, collection, options } = importRequest(req);
+    const { type, key } = IMPORT_TYPES[collection];
+    const plan = await mutateDatabase(db => {
+      const planned = planImport(db, collection, upload.rows, options, req.user.name);
+      if (planned.creates.length > 0) createBackup('pre-import');
+      const timestamp = new Date().toISOString();
+      planned.creates = planned.creates.map(({ row, record }) => {
+        const created = assignRecordIds(db, collection, { ...record, record_type: type, timestamp, version: 1 });
+        db[collection].push(created);
+        logChange(db, req.user.name, 'IMPORT', type, created[key], 'file', '', `${upload.file_name} row ${row}`);
+        return { row, record: created };
+      });
+      return planned;
+    });
+
+    importUploads.remove(req.params.id);
+    console.log(`✓ Imported ${plan.creates.length} ${collection} from ${upload.file_name}`);
+    if (plan.creates.length > 0) {
+      events.publish('reload', { reason: 'import', collections: [collection], origin: req.get('X-Client-Id') || null });
     }
-    
-    const deleted = db.services[index];
-    db.services.splice(index, 1);
-    writeDatabase(db);
-    logChange('DELETE', 'service', deleted.service_id);
-    
-    res.json({ success: true, deleted });
+    res.json(importReport(upload, collection, plan, false));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete service', message: error.message });
+    sendError(res, error, 'Failed to import');
   }
 });
 
 /**
- * DELETE /api/vendors/:id - Delete vendor record
+ * GET /api/auth/users - Staff who can log in, for the login screen:
+ * [{ user_id, name, active, has_pin }]
  */
-app.delete('/api/vendors/:id', (req, res) => {
+app.get('/api/auth/users', (req, res) => {
   try {
-    const db = readDatabase();
-    const id = parseInt(req.params.id);
-    const index = db.vendors.findIndex(v => v.id === id);
-    
-    if (index === -1) {
-      return res.status(404).json({ error: 'Vendor not found' });
+    res.json(readDatabase().users.filter(isActive).map(publicUser));
+  } catch (error) {
+    sendError(res, error, 'Failed to read staff');
+  }
+});
+
+/**
+ * The setup code an owner account without a PIN needs to set its own PIN,
+ * made (and shown in the console) when first needed; null once an active
+ * owner has a PIN, after which owners set the PINs of the others
+ */
+function ownerSetupCode(db) {
+  if (!needsOwnerSetup(db.users)) {
+    setupCode = null;
+  } else if (!setupCode) {
+    setupCode = newSetupCode();
+    console.log(`🔑 No owner has a PIN yet. Owner setup code: ${setupCode}`);
+  }
+  return setupCode;
+}
+
+/**
+ * GET /api/auth/setup - Whether an owner must set the first PIN:
+ * { setup_needed, setup_code }. The code is only sent to the server's own
+ * computer (null elsewhere).
+ */
+app.get('/api/auth/setup', (req, res) => {
+  try {
+    const code = ownerSetupCode(readDatabase());
+    res.json({ setup_needed: Boolean(code), setup_code: code && isLoopback(req) ? code : null });
+  } catch (error) {
+    sendError(res, error, 'Failed to read setup');
+  }
+});
+
+/**
+ * POST /api/auth/login - Log in with { user_id, pin }. An account without
+ * a PIN cannot log in (403) until an owner sets one, except an owner
+ * account while no owner has a PIN: it sets `pin` as its PIN when it also
+ * sends the owner `setup_code`. Answers the user and sets the session
+ * cookie; five wrong PINs or setup codes in a row lock the account for a
+ * minute (429).
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    assertObject(req.body);
+    const { user_id: userId, pin } = req.body;
+    loginGuard.assertAllowed(userId);
+    let user = readDatabase().users.find(u => u.user_id === userId && isActive(u));
+    if (!user) {
+      throw new HttpError(404, 'Choose your name from the list');
+    }
+
+    if (!user.pin_hash) {
+      const code = ownerSetupCode(readDatabase());
+      if (user.role !== 'owner' || !code) {
+        throw new HttpError(403, `No PIN is set for ${user.name} yet. Ask an owner to set one in Settings > Staff Accounts`, {
+          pin_not_set: true
+        });
+      }
+      if (req.body.setup_code !== code) {
+        loginGuard.failed(userId);
+        throw new HttpError(422, 'Validation failed', {
+          fields: { setup_code: 'Wrong setup code; it is shown on the server computer' }
+        });
+      }
+      assertPin(pin);
+      user = await mutateDatabase(db => {
+        const stored = findUser(db, userId);
+        // Two counters setting the first PIN at once: the second must log in with it
+        if (stored.pin_hash) throw new HttpError(409, 'A PIN was just set for this account; log in with it');
+        stored.pin_hash = hashPin(pin);
+        logChange(db, stored.name, 'UPDATE', 'user', stored.user_id, 'has_pin', false, true);
+        return stored;
+      });
+      setupCode = null;
+    } else if (!verifyPin(user, pin)) {
+      loginGuard.failed(userId);
+      throw new HttpError(401, 'Wrong PIN');
     }
-    
-    const deleted = db.vendors[index];
-    db.vendors.splice(index, 1);
-    writeDatabase(db);
-    logChange('DELETE', 'vendor', deleted.vendor_id);
-    
-    res.json({ success: true, deleted });
+
+    loginGuard.succeeded(userId);
+    res.set('Set-Cookie', sessionCookie(sessions.create(user)));
+    console.log(`✓ ${user.name} logged in`);
+    res.json(accountOf(user));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete vendor', message: error.message });
+    if (error.details?.retry_after) res.set('Retry-After', String(error.details.retry_after));
+    sendError(res, error, 'Failed to log in');
   }
 });
 
 /**
- * DELETE /api/laptops/:id - Delete laptop record
+ * POST /api/auth/logout - End this browser's session
  */
-app.delete('/api/laptops/:id', (req, res) => {
+app.post('/api/auth/logout', (req, res) => {
+  if (req.sessionToken) sessions.destroy(req.sessionToken);
+  res.set('Set-Cookie', sessionCookie(null));
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/me - The logged-in staff member, with the `permissions` of
+ * their role (401 when nobody is)
+ */
+app.get('/api/auth/me', (req, res) => {
   try {
-    const db = readDatabase();
-    const id = parseInt(req.params.id);
-    const index = db.laptops.findIndex(l => l.id === id);
-    
-    if (index === -1) {
-      return res.status(404).json({ error: 'Laptop not found' });
+    const user = findUser(readDatabase(), req.user.user_id);
+    // Picks up a role changed in the workbook
+    sessions.updateUser(user);
+    res.json(accountOf(user));
+  } catch (error) {
+    sendError(res, error, 'Failed to read user');
+  }
+});
+
+/**
+ * POST /api/auth/pin - Change your own PIN: { current_pin, new_pin }
+ */
+app.post('/api/auth/pin', async (req, res) => {
+  try {
+    assertObject(req.body);
+    const { current_pin: currentPin, new_pin: newPin } = req.body;
+    assertPin(newPin, 'new_pin');
+    loginGuard.assertAllowed(req.user.user_id);
+    await mutateDatabase(db => {
+      const user = findUser(db, req.user.user_id);
+      if (!verifyPin(user, currentPin)) {
+        loginGuard.failed(user.user_id);
+        throw new HttpError(422, 'Validation failed', { fields: { current_pin: 'Wrong PIN' } });
+      }
+      user.pin_hash = hashPin(newPin);
+      logChange(db, req.user.name, 'UPDATE', 'user', user.user_id, 'pin', '', 'changed');
+    });
+
+    loginGuard.succeeded(req.user.user_id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'Failed to change PIN');
+  }
+});
+
+/**
+ * GET /api/users - Every staff account, deactivated ones included
+ */
+app.get('/api/users', (req, res) => {
+  try {
+    res.json(readDatabase().users.map(publicUser));
+  } catch (error) {
+    sendError(res, error, 'Failed to read staff');
+  }
+});
+
+/**
+ * POST /api/users - Add a staff account: { name, role, pin? } (role
+ * defaults to counter staff). Without a PIN the account cannot log in
+ * until an owner sets one. Owners only.
+ */
+app.post('/api/users', requirePermission('manage_staff'), async (req, res) => {
+  try {
+    assertObject(req.body);
+    const { name, role = 'counter', pin } = req.body;
+    assertValid(SCHEMAS.users, { name: trimmed(name), role });
+    if (pin) assertPin(pin);
+
+    const user = await mutateDatabase(db => {
+      assertNameFree(db, name.trim());
+      const record = assignUserId(db, {
+        name: name.trim(),
+        role,
+        pin_hash: pin ? hashPin(pin) : '',
+        active: true,
+        created_at: new Date().toISOString()
+      });
+      db.users.push(record);
+      logChange(db, req.user.name, 'CREATE', 'user', record.user_id);
+      return record;
+    });
+
+    publishUsers(req);
+    res.json(publicUser(user));
+  } catch (error) {
+    sendError(res, error, 'Failed to add staff member');
+  }
+});
+
+/**
+ * PATCH /api/users/:id - Rename ({ name }), change the role ({ role }),
+ * deactivate or reactivate ({ active }) a staff account, set its PIN
+ * ({ pin }) or clear it ({ reset_pin: true }) so it cannot log in until a
+ * PIN is set. Deactivating, resetting, or setting someone else's PIN logs
+ * the account out everywhere. There must always be an active owner.
+ * Owners only.
+ */
+app.patch('/api/users/:id', requirePermission('manage_staff'), async (req, res) => {
+  try {
+    assertObject(req.body);
+    const { name, role, active, pin, reset_pin: resetPin } = req.body;
+    if (active === false && req.params.id === req.user.user_id) {
+      throw new HttpError(409, 'You cannot deactivate your own account');
+    }
+    if (pin !== undefined) assertPin(pin);
+
+    let changes = [];
+    const user = await mutateDatabase(db => {
+      const stored = findUser(db, req.params.id);
+      const index = db.users.indexOf(stored);
+      const updated = { ...stored, active: isActive(stored) };
+      if (name !== undefined) updated.name = trimmed(name);
+      if (role !== undefined) updated.role = role;
+      if (active !== undefined) updated.active = active;
+      if (resetPin === true) updated.pin_hash = '';
+      if (pin !== undefined) updated.pin_hash = hashPin(pin);
+      assertValidUpdate(SCHEMAS.users, stored, updated);
+      assertNameFree(db, updated.name, stored.user_id);
+      assertOwnerLeft(db.users.map(user => (user === stored ? updated : user)));
+
+      // Only whether a PIN is set goes in the ChangeLog, never the hash
+      changes = diffRecords(publicUser(stored), publicUser(updated));
+      if (pin !== undefined) changes.push({ field: 'pin', oldValue: '', newValue: 'set' });
+      db.users[index] = updated;
+      logFieldChanges(db, req.user.name, 'UPDATE', 'user', stored.user_id, changes);
+      return updated;
+    });
+
+    if (changes.length > 0) publishUsers(req);
+    const otherPinSet = pin !== undefined && user.user_id !== req.user.user_id;
+    if (!isActive(user) || resetPin === true || otherPinSet) {
+      sessions.destroyUser(user.user_id);
+    } else {
+      sessions.updateUser(user);
     }
-    
-    const deleted = db.laptops[index];
-    db.laptops.splice(index, 1);
-    writeDatabase(db);
-    logChange('DELETE', 'laptop', deleted.laptop_id);
-    
-    res.json({ success: true, deleted });
+    res.json(publicUser(user));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete laptop', message: error.message });
+    sendError(res, error, 'Failed to update staff member');
   }
 });
 
 /**
- * POST /api/backup - Create manual backup
+ * GET /api/devices/me - Whether LAN mode is on and the device this request
+ * comes from: { lan, this_computer, device }. Renews the device's cookie.
  */
-app.post('/api/backup', (req, res) => {
+app.get('/api/devices/me', (req, res) => {
+  if (req.device && !req.get('Authorization')) res.set('Set-Cookie', deviceCookie(accessToken(req)));
+  res.json({
+    lan: config.lan.enabled,
+    this_computer: isLoopback(req),
+    device: req.device ? publicDevice(req.device) : null
+  });
+});
+
+/**
+ * POST /api/devices/pair - Pair this device with { code, name }. Answers
+ * { device, access_token } with the status 201 and sets the device cookie.
+ * A code works once; five wrong codes in a row from one address make it
+ * wait a minute (429).
+ */
+app.post('/api/devices/pair', async (req, res) => {
   try {
-    const backupFile = createBackup();
-    res.json({ success: true, backup: backupFile });
+    if (!config.lan.enabled) {
+      throw new HttpError(409, 'LAN mode is off: only this computer can use the app');
+    }
+    assertObject(req.body);
+    const name = trimmed(req.body.name);
+    assertValid(SCHEMAS.devices, { name });
+    pairGuard.assertAllowed(req.ip);
+    const pairing = pairingCodes.take(req.body.code);
+    if (!pairing) {
+      pairGuard.failed(req.ip);
+      throw new HttpError(422, 'Validation failed', { fields: { code: 'Wrong or expired pairing code' } });
+    }
+    pairGuard.succeeded(req.ip);
+
+    const { token, token_hash: tokenHash } = newAccessToken();
+    const device = await mutateDatabase(db => {
+      db.devices = db.devices || [];
+      const added = assignDeviceId(db, {
+        name,
+        token_hash: tokenHash,
+        paired_at: new Date().toISOString(),
+        paired_by: pairing.created_by
+      });
+      db.devices.push(added);
+      logChange(db, pairing.created_by, 'CREATE', 'device', added.device_id, 'name', '', name);
+      return added;
+    });
+
+    console.log(`✓ Device paired: ${name} (${req.ip})`);
+    res.set('Set-Cookie', deviceCookie(token));
+    res.status(201).json({ device: publicDevice(device), access_token: token });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to create backup', message: error.message });
+    if (error.details?.retry_after) res.set('Retry-After', String(error.details.retry_after));
+    sendError(res, error, 'Failed to pair device');
   }
 });
 
 /**
- * GET /api/changelog - Get change log
+ * GET /api/devices - Paired devices, and the addresses other computers
+ * open the app at: { lan, addresses, devices }
  */
-app.get('/api/changelog', (req, res) => {
+app.get('/api/devices', requirePermission('manage_devices'), (req, res) => {
   try {
-    const db = readDatabase();
-    res.json(db.changelog || []);
+    res.json({
+      lan: config.lan.enabled,
+      addresses: config.lan.enabled ? lanAddresses(PORT) : [],
+      devices: (readDatabase().devices || []).map(publicDevice)
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to read devices');
+  }
+});
+
+/**
+ * POST /api/devices/pairing-code - A one-time code for pairing a device:
+ * { code, expires_at }
+ */
+app.post('/api/devices/pairing-code', requirePermission('manage_devices'), (req, res) => {
+  try {
+    if (!config.lan.enabled) {
+      throw new HttpError(409, 'Turn on LAN mode in config.json to pair other computers');
+    }
+    res.status(201).json(pairingCodes.create(req.user.name));
+  } catch (error) {
+    sendError(res, error, 'Failed to make pairing code');
+  }
+});
+
+/**
+ * DELETE /api/devices/:id - Revoke a device: its access token stops working
+ * and it has to pair again
+ */
+app.delete('/api/devices/:id', requirePermission('manage_devices'), async (req, res) => {
+  try {
+    if (req.device && req.device.device_id === req.params.id) {
+      throw new HttpError(409, 'You cannot revoke the device you are using');
+    }
+    const device = await mutateDatabase(db => {
+      const stored = findDevice(db, req.params.id);
+      db.devices = db.devices.filter(d => d !== stored);
+      logChange(db, req.user.name, 'DELETE', 'device', stored.device_id, 'name', stored.name, '');
+      return stored;
+    });
+    console.log(`✓ Device revoked: ${device.name}`);
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to read changelog', message: error.message });
+    sendError(res, error, 'Failed to revoke device');
   }
 });
 
+let shuttingDown = false;
+
 /**
- * POST /api/shutdown - Shutdown server (called when browser closes)
+ * Let queued writes finish, take the shutdown backup
+ * (config.backups.onShutdown) and exit
  */
-app.post('/api/shutdown', (req, res) => {
-  console.log('\n🛑 Shutdown requested by client');
+async function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  await writeQueue;
+  if (config.backups.onShutdown) {
+    try {
+      createBackup('shutdown');
+    } catch (error) {
+      console.error('Shutdown backup failed:', error.message);
+    }
+  }
+  console.log('👋 Goodbye!');
+  process.exit(0);
+}
+
+/**
+ * POST /api/clients - Register an open page: { client_id, heartbeat_seconds }
+ */
+app.post('/api/clients', (req, res) => {
+  res.status(201).json({ client_id: clients.register(), heartbeat_seconds: HEARTBEAT_MS / 1000 });
+});
+
+/**
+ * POST /api/clients/:id/heartbeat - The page is still open (404 once it has
+ * been forgotten, e.g. after a restart; it then registers again)
+ */
+app.post('/api/clients/:id/heartbeat', (req, res) => {
+  if (!clients.heartbeat(req.params.id)) {
+    return sendError(res, new HttpError(404, 'Page not registered'));
+  }
+  res.status(204).end();
+});
+
+/**
+ * POST /api/clients/:id/leave - The page was closed or reloaded (sent as a
+ * beacon)
+ */
+app.post('/api/clients/:id/leave', (req, res) => {
+  clients.leave(req.params.id);
+  res.status(204).end();
+});
+
+/**
+ * POST /api/shutdown - Stop the server (owners only)
+ */
+app.post('/api/shutdown', requirePermission('stop_server'), (req, res) => {
+  console.log(`\n🛑 Shutdown requested by ${req.user.name}`);
   res.json({ message: 'Server shutting down...' });
   
   // Give time for response to send, then exit
-  setTimeout(() => {
-    console.log('👋 Goodbye!');
-    process.exit(0);
-  }, 500);
+  setTimeout(shutdown, 500);
 });
 
 // ============================================
 // START SERVER
 // ============================================
 
-app.listen(PORT, () => {
+// Bring the database up to the current schema (backs it up first)
+if (runMigrations(storage.engine, { backup: () => createBackup('pre-migration'), context: { images } }).length > 0) {
+  console.log(`✓ Database schema upgraded to version ${LATEST_VERSION}`);
+}
+
+// LAN mode listens on every network interface, otherwise only on this computer
+const HOST = config.lan.enabled ? '0.0.0.0' : '127.0.0.1';
+
+app.listen(PORT, HOST, () => {
   console.log('========================================');
   console.log('🚀 MYLAVAN Service App Server');
   console.log('========================================');
   console.log(`✓ Server running on http://localhost:${PORT}`);
-  console.log(`✓ Database: ${DB_FILE}`);
+  if (config.lan.enabled) {
+    console.log('✓ LAN mode: other computers pair with a code from Settings > Devices');
+    lanAddresses(PORT).forEach(address => console.log(`  ${address}`));
+  }
+  console.log(`✓ Database: ${DB_FILE} (${storage.name}, schema v${LATEST_VERSION})`);
   console.log(`✓ Backups folder: ${BACKUPS_DIR}`);
-  console.log(`✓ Monthly backups scheduled (1st of month, 2 AM)`);
+  console.log(`✓ Uploads folder: ${images.dir}`);
+  console.log(`✓ Backups scheduled (${config.backups.schedule})`);
+  storage.watch(config.storage.watchIntervalSeconds * 1000);
+  console.log(`✓ Watching ${path.basename(DB_FILE)} for changes made outside the app`);
+  if (config.trash.retentionDays) {
+    console.log(`✓ Deleted records purged after ${config.trash.retentionDays} days`);
+  }
+  if (config.server.headless) {
+    console.log('✓ Headless mode: keeps running until stopped (Ctrl+C or POST /api/shutdown)');
+  } else {
+    console.log(`✓ Stops ${config.server.shutdownGraceSeconds} seconds after the last page is closed`);
+  }
   console.log('========================================');
+  ownerSetupCode(readDatabase());
+
+  purgeExpiredTrash().catch(error => console.error('Error purging trash:', error));
   
   // Auto-open browser in app mode (Chrome without browser UI)
-  if (openModule) {
+  if (config.server.headless) {
+    console.log(`✓ Open http://localhost:${PORT} in a browser to use the app`);
+  } else if (openModule) {
     try {
       openModule.default(`http://localhost:${PORT}`, {
         app: {
@@ -488,7 +1691,9 @@ app.listen(PORT, () => {
 });
 
 // Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n👋 Shutting down server...');
-  process.exit(0);
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    console.log('\n👋 Shutting down server...');
+    shutdown();
+  });
 });
@@ -26,7 +26,7 @@ if not exist "node_modules\" (
 
 REM Start the server
 echo Server is starting...
-echo The browser will open automatically at http://localhost:3000
+echo The browser will open automatically (port set in config.json, default 3001)
 echo.
 echo Keep this window open while using the application
 echo Press Ctrl+C to stop the server
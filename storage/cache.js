@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { StorageLockedError, StorageConflictError, StorageChangedError } = require('./errors');
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Size and modification time of a file ('' when it does not exist). Any
+ * save, by this app or by Excel, changes it.
+ */
+function fingerprintOf(file) {
+  try {
+    const stats = fs.statSync(file);
+    return `${stats.size}:${stats.mtimeMs}`;
+  } catch (error) {
+    if (error.code === 'ENOENT') return '';
+    throw error;
+  }
+}
+
+/**
+ * Keep the stored collections of `engine` in memory. Reads are served from
+ * memory while the database file keeps the fingerprint it had after the last
+ * load or write; a different fingerprint means another program (staff
+ * editing app_data.xlsx in Excel) saved it. The file is then reloaded:
+ *
+ *   - it must open with every sheet, and `validate(data)` must return no
+ *     `errors` (its `warnings` are reported but accepted)
+ *   - a file that fails is not loaded: reads keep the last good data and
+ *     writes throw StorageConflictError until the file is fixed
+ *   - a write that finds the file changed since it was read throws
+ *     StorageChangedError once the new contents are loaded, so the change
+ *     is redone on them instead of overwriting the external edits
+ *
+ * A loaded file's data goes through `reconcile(previous, next)` first,
+ * which returns what to keep in memory given the data it replaces (the
+ * server raises the version of every record that was edited).
+ * `onExternalChange(change)` is called for every external change found.
+ */
+function createCache(engine, {
+  validate = () => ({ errors: [], warnings: [] }),
+  reconcile = (previous, next) => next,
+  onExternalChange = () => {}
+} = {}) {
+  const file = engine.file;
+  let data = null;
+  let fingerprint = null;
+  let loadedAt = null;
+  // Fingerprint of a changed file that failed to load
+  let rejected = null;
+  // Last external change: { detected_at, loaded, problems, warnings }
+  let externalChange = null;
+  let watching = false;
+
+  function load(current) {
+    data = engine.read();
+    fingerprint = current;
+    loadedAt = new Date().toISOString();
+  }
+
+  /**
+   * Load the file if it changed since it was last loaded or written.
+   * Returns true when an external change was found.
+   */
+  function refresh() {
+    const current = fingerprintOf(file);
+    if (data === null) {
+      load(current);
+      return false;
+    }
+    if (current === fingerprint) {
+      rejected = null;
+      return false;
+    }
+    if (current === rejected) return false;
+
+    const problems = engine.verify().map(problem => `${path.basename(file)} ${problem}`);
+    let warnings = [];
+    let changed = null;
+    if (problems.length === 0) {
+      changed = engine.read();
+      const result = validate(changed);
+      problems.push(...result.errors);
+      warnings = result.warnings;
+    }
+
+    externalChange = {
+      detected_at: new Date().toISOString(),
+      loaded: problems.length === 0,
+      problems,
+      warnings
+    };
+    if (externalChange.loaded) {
+      data = reconcile(data, changed);
+      fingerprint = current;
+      loadedAt = externalChange.detected_at;
+      rejected = null;
+    } else {
+      rejected = current;
+    }
+    onExternalChange(externalChange);
+    return true;
+  }
+
+  function refreshUnlessLocked() {
+    try {
+      refresh();
+    } catch (error) {
+      // Mid-save in Excel: keep serving what was loaded last
+      if (!(error instanceof StorageLockedError) || data === null) throw error;
+    }
+  }
+
+  return {
+    read() {
+      refreshUnlessLocked();
+      return copy(data);
+    },
+
+    write(next) {
+      const changed = refresh();
+      if (rejected !== null) throw new StorageConflictError(file, externalChange.problems);
+      if (changed) throw new StorageChangedError(file);
+
+      engine.write(next);
+      data = copy(next);
+      fingerprint = fingerprintOf(file);
+    },
+
+    /**
+     * Check the file for external changes every `intervalMs`, so they are
+     * picked up (and reported) without waiting for the next request
+     */
+    watch(intervalMs) {
+      if (watching) return;
+      watching = true;
+      fs.watchFile(file, { interval: intervalMs }, () => {
+        try {
+          refresh();
+        } catch (error) {
+          if (!(error instanceof StorageLockedError)) {
+            console.error('Error reloading database:', error.message);
+          }
+        }
+      });
+    },
+
+    unwatch() {
+      if (watching) fs.unwatchFile(file);
+      watching = false;
+    },
+
+    /**
+     * { loaded_at, external_change }: when the data in memory was loaded
+     * and the last external change found (null if none)
+     */
+    status() {
+      refreshUnlessLocked();
+      return { loaded_at: loadedAt, external_change: externalChange };
+    }
+  };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,117 @@
+/**
+ * Record collections kept by every storage engine, in sheet order.
+ * `sheet` is the worksheet name used by the Excel engine; the SQLite
+ * engine uses `name` as its table name and indexes rows by `key`.
+ * `columns` is the current schema: the Excel engine writes them as the
+ * header row (any other fields follow). Add a column here together with a
+ * migration in migrations/ that fills it in for existing rows.
+ * `structured` lists the columns holding arrays or objects, which the Excel
+ * engine writes as JSON text; every other cell is read back as it is.
+ */
+const COLLECTIONS = [
+  {
+    name: 'services',
+    sheet: 'Services',
+    key: 'service_id',
+    columns: ['service_id', 'id', 'date', 'customer_name', 'mobile_number', 'address', 'mobile_brand', 'model', 'imei1', 'imei2', 'issue', 'service_type', 'mobile_condition', 'accessories', 'front_image', 'back_image', 'received_by', 'estimated_delivery', 'bill', 'record_type', 'timestamp', 'version'],
+    structured: ['service_type', 'accessories', 'bill']
+  },
+  {
+    name: 'vendors',
+    sheet: 'Vendors',
+    key: 'vendor_id',
+    columns: ['vendor_id', 'id', 'vendor_name', 'mobile_number', 'created_date', 'record_type', 'timestamp', 'version'],
+    // Nested phones and bills of vendors saved before VendorPhones/VendorBills
+    structured: ['phones', 'bills']
+  },
+  {
+    name: 'vendor_phones',
+    sheet: 'VendorPhones',
+    key: 'phone_id',
+    columns: ['phone_id', 'vendor_id', 'date_received', 'brand', 'model', 'issue', 'received_by', 'status', 'status_by', 'completed', 'billed', 'bill_id']
+  },
+  {
+    name: 'vendor_bills',
+    sheet: 'VendorBills',
+    key: 'bill_id',
+    columns: ['bill_id', 'vendor_id', 'bill_number', 'date', 'phone_ids', 'items', 'subtotal', 'tax', 'discount', 'grand_total', 'saved_at', 'saved_by'],
+    structured: ['phone_ids', 'items']
+  },
+  {
+    name: 'laptops',
+    sheet: 'Laptops',
+    key: 'laptop_id',
+    columns: ['laptop_id', 'id', 'date', 'contact_number', 'laptop_brand', 'model', 'issue', 'condition', 'accessories', 'received_by', 'bill', 'record_type', 'timestamp', 'version'],
+    structured: ['accessories', 'bill']
+  },
+  {
+    name: 'changelog',
+    sheet: 'ChangeLog',
+    key: 'change_id',
+    columns: ['change_id', 'timestamp', 'action', 'record_type', 'record_id', 'field_changed', 'old_value', 'new_value', 'user']
+  },
+  {
+    name: 'sequences',
+    sheet: 'Sequences',
+    key: 'name',
+    columns: ['name', 'last']
+  },
+  {
+    name: 'trash',
+    sheet: 'Trash',
+    key: 'record_id',
+    columns: ['record_id', 'record_type', 'collection', 'deleted_at', 'deleted_by', 'record'],
+    structured: ['record']
+  },
+  {
+    name: 'trash_vendor_phones',
+    sheet: 'TrashVendorPhones',
+    key: 'phone_id',
+    columns: ['phone_id', 'record_id', 'date_received', 'brand', 'model', 'issue', 'received_by', 'status', 'status_by', 'completed', 'billed', 'bill_id']
+  },
+  {
+    name: 'trash_vendor_bills',
+    sheet: 'TrashVendorBills',
+    key: 'bill_id',
+    columns: ['bill_id', 'record_id', 'bill_number', 'date', 'phone_ids', 'items', 'subtotal', 'tax', 'discount', 'grand_total', 'saved_at', 'saved_by'],
+    structured: ['phone_ids', 'items']
+  },
+  {
+    name: 'settings',
+    sheet: 'Settings',
+    key: 'key',
+    columns: ['key', 'value'],
+    structured: ['value']
+  },
+  {
+    name: 'users',
+    sheet: 'Users',
+    key: 'user_id',
+    columns: ['user_id', 'name', 'role', 'pin_hash', 'active', 'created_at']
+  },
+  {
+    name: 'devices',
+    sheet: 'Devices',
+    key: 'device_id',
+    columns: ['device_id', 'name', 'token_hash', 'paired_at', 'paired_by']
+  },
+  {
+    name: 'meta',
+    sheet: 'Meta',
+    key: 'key',
+    columns: ['key', 'value']
+  }
+];
+
+/**
+ * Database object with every collection present and empty
+ */
+function emptyDatabase() {
+  const data = {};
+  COLLECTIONS.forEach(collection => {
+    data[collection.name] = [];
+  });
+  return data;
+}
+
+module.exports = { COLLECTIONS, emptyDatabase };
@@ -0,0 +1,56 @@
+const path = require('path');
+
+// File error codes raised when another program (usually Excel) holds the
+// database file open
+const LOCK_ERROR_CODES = ['EBUSY', 'EPERM', 'EACCES', 'SQLITE_BUSY', 'SQLITE_LOCKED'];
+
+/**
+ * The database file is locked by another program and cannot be read or
+ * replaced right now. Safe to retry.
+ */
+class StorageLockedError extends Error {
+  constructor(file, cause) {
+    super(`${path.basename(file)} is open in another program (e.g. Excel). Close it and try again.`);
+    this.name = 'StorageLockedError';
+    this.file = file;
+    this.cause = cause;
+  }
+}
+
+/**
+ * The database file was changed by another program and the new contents
+ * cannot be loaded. Nothing is written over it until it is fixed;
+ * `problems` lists what is wrong with it.
+ */
+class StorageConflictError extends Error {
+  constructor(file, problems) {
+    super(`${path.basename(file)} was changed outside the app and cannot be loaded. Fix it in Excel (or restore a copy) before making changes.`);
+    this.name = 'StorageConflictError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+/**
+ * The database file was changed by another program after it was read for a
+ * write. The new contents have been loaded; redo the change on them.
+ */
+class StorageChangedError extends Error {
+  constructor(file) {
+    super(`${path.basename(file)} was changed outside the app while saving. Try again.`);
+    this.name = 'StorageChangedError';
+    this.file = file;
+  }
+}
+
+/**
+ * Re-throw file lock errors as StorageLockedError, anything else unchanged
+ */
+function rethrowLocked(error, file) {
+  if (error && LOCK_ERROR_CODES.includes(error.code)) {
+    throw new StorageLockedError(file, error);
+  }
+  throw error;
+}
+
+module.exports = { StorageLockedError, StorageConflictError, StorageChangedError, rethrowLocked };
@@ -0,0 +1,166 @@
+const XLSX = require('xlsx');
+const fs = require('fs');
+const { COLLECTIONS, emptyDatabase } = require('./collections');
+const { rethrowLocked } = require('./errors');
+
+/**
+ * Encode a value for a worksheet cell. Arrays and objects (service types,
+ * accessories, bills, vendor phones) are written as JSON text, which
+ * json_to_sheet would otherwise drop.
+ */
+function toCell(value) {
+  if (value !== null && typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Decode a structured cell written by toCell(). Text that is not valid JSON
+ * is returned unchanged.
+ */
+function fromCell(value) {
+  if (typeof value !== 'string') return value;
+  const first = value.charAt(0);
+  if (first !== '[' && first !== '{') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function encodeRow(row) {
+  const encoded = {};
+  Object.keys(row).forEach(key => {
+    encoded[key] = toCell(row[key]);
+  });
+  return encoded;
+}
+
+/**
+ * A sheet row as stored: only the collection's structured columns are
+ * decoded, so text typed by staff (an issue of "[1,2]") stays text
+ */
+function decodeRow(row, collection) {
+  const decoded = { ...row };
+  (collection.structured || []).forEach(key => {
+    if (key in decoded) decoded[key] = fromCell(decoded[key]);
+  });
+  return decoded;
+}
+
+/**
+ * Write a buffer to disk and flush it before returning
+ */
+function writeFileDurable(file, buffer) {
+  const fd = fs.openSync(file, 'w');
+  try {
+    fs.writeSync(fd, buffer);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Storage engine backed by a single .xlsx workbook, one sheet per collection.
+ * Writes go to a temp file that is renamed over the workbook, so a crash
+ * mid-write leaves the previous workbook intact.
+ */
+function createExcelEngine(file) {
+  const tempFile = `${file}.tmp`;
+
+  // Left behind by a crash during a previous write
+  if (fs.existsSync(tempFile)) {
+    fs.unlinkSync(tempFile);
+  }
+
+  return {
+    name: 'excel',
+    file,
+    extension: '.xlsx',
+
+    exists() {
+      return fs.existsSync(file);
+    },
+
+    read() {
+      if (!fs.existsSync(file)) {
+        return emptyDatabase();
+      }
+
+      let workbook;
+      try {
+        workbook = XLSX.readFile(file);
+      } catch (error) {
+        rethrowLocked(error, file);
+      }
+      const data = {};
+      COLLECTIONS.forEach(collection => {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[collection.sheet] || {});
+        data[collection.name] = rows.map(row => decodeRow(row, collection));
+      });
+      return data;
+    },
+
+    write(data) {
+      const workbook = XLSX.utils.book_new();
+      COLLECTIONS.forEach(collection => {
+        const rows = (data[collection.name] || []).map(encodeRow);
+        const sheet = XLSX.utils.json_to_sheet(rows, { header: collection.columns });
+        XLSX.utils.book_append_sheet(workbook, sheet, collection.sheet);
+      });
+      const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+      try {
+        writeFileDurable(tempFile, buffer);
+        fs.renameSync(tempFile, file);
+      } catch (error) {
+        if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
+        rethrowLocked(error, file);
+      }
+    },
+
+    backup(destFile) {
+      try {
+        fs.copyFileSync(file, destFile);
+      } catch (error) {
+        rethrowLocked(error, file);
+      }
+    },
+
+    // A backup must open and have the sheets of the workbook it was copied
+    // from (a workbook awaiting migration lacks the newer ones)
+    verifyBackup(backupFile) {
+      const sheets = XLSX.readFile(file, { bookSheets: true }).SheetNames;
+      return verifyExcelFile(backupFile, sheets);
+    },
+
+    // The workbook itself must open and have a sheet for every collection
+    verify() {
+      return verifyExcelFile(file, COLLECTIONS.map(collection => collection.sheet));
+    },
+
+    // Nothing is held open between reads
+    close() {}
+  };
+}
+
+/**
+ * Check that a workbook opens and has every sheet in `sheets`. Returns the
+ * problems found (none for a good file).
+ */
+function verifyExcelFile(file, sheets) {
+  let workbook;
+  try {
+    workbook = XLSX.readFile(file);
+  } catch (error) {
+    return [`cannot be opened (${error.message})`];
+  }
+  return sheets
+    .filter(sheet => !workbook.SheetNames.includes(sheet))
+    .map(sheet => `has no ${sheet} sheet`);
+}
+
+module.exports = { createExcelEngine };
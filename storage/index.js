@@ -0,0 +1,52 @@
+const { createExcelEngine } = require('./excel-engine');
+const { createSqliteEngine, readSqliteFile } = require('./sqlite-engine');
+const { createCache } = require('./cache');
+const { StorageLockedError, StorageConflictError, StorageChangedError } = require('./errors');
+const { assembleVendors, splitVendors, assembleTrash, splitTrash } = require('./vendors');
+
+const ENGINES = {
+  excel: options => createExcelEngine(options.excelFile),
+  sqlite: options => createSqliteEngine(options.sqliteFile)
+};
+
+/**
+ * Create the storage engine selected in config.storage.engine. read() and
+ * write() work with nested vendors (in the trash too) and go through an
+ * in-memory cache that picks up external edits to the file (see cache.js;
+ * `cacheOptions` are passed to it); `engine` gives the stored collections
+ * as-is.
+ */
+function createStorage(options, cacheOptions) {
+  const factory = ENGINES[options.engine];
+  if (!factory) {
+    throw new Error(`Unknown storage engine "${options.engine}". Use one of: ${Object.keys(ENGINES).join(', ')}`);
+  }
+  const engine = factory(options);
+  const cache = createCache(engine, cacheOptions);
+
+  return {
+    ...engine,
+    engine,
+    watch: cache.watch,
+    unwatch: cache.unwatch,
+    status: cache.status,
+
+    read() {
+      return assembleTrash(assembleVendors(cache.read()));
+    },
+
+    write(db) {
+      cache.write(splitTrash(splitVendors(db)));
+    }
+  };
+}
+
+module.exports = {
+  createStorage,
+  createExcelEngine,
+  createSqliteEngine,
+  readSqliteFile,
+  StorageLockedError,
+  StorageConflictError,
+  StorageChangedError
+};
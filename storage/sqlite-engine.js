@@ -0,0 +1,183 @@
+const fs = require('fs');
+const { COLLECTIONS, emptyDatabase } = require('./collections');
+const { rethrowLocked } = require('./errors');
+
+/**
+ * Storage engine backed by an embedded SQLite file. Each collection is a
+ * table of JSON rows ordered by position and indexed by the collection's
+ * key (record_key); write() only touches the rows that
+ * changed since the last read/write and commits them in one transaction, so a
+ * crash leaves either the old or the new data, never a partial file.
+ */
+function createSqliteEngine(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage needs the "better-sqlite3" package. Run "npm install better-sqlite3".');
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = FULL');
+
+  const statements = {};
+  COLLECTIONS.forEach(collection => {
+    const table = collection.name;
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (position INTEGER PRIMARY KEY, record_key TEXT, data TEXT NOT NULL)`);
+
+    // Tables created before record_key existed
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+    if (!columns.includes('record_key')) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN record_key TEXT`);
+    }
+    db.exec(`CREATE INDEX IF NOT EXISTS ${table}_record_key ON ${table} (record_key)`);
+
+    statements[table] = {
+      select: db.prepare(`SELECT data FROM ${table} ORDER BY position`),
+      upsert: db.prepare(`INSERT INTO ${table} (position, record_key, data) VALUES (?, ?, ?) ON CONFLICT(position) DO UPDATE SET record_key = excluded.record_key, data = excluded.data`),
+      truncate: db.prepare(`DELETE FROM ${table} WHERE position >= ?`)
+    };
+  });
+
+  // Serialized rows as last seen on disk, per collection
+  const onDisk = {};
+
+  function loadRows(table) {
+    onDisk[table] = statements[table].select.all().map(row => row.data);
+    return onDisk[table];
+  }
+
+  const writeAll = db.transaction((data, serialized) => {
+    COLLECTIONS.forEach(collection => {
+      const table = collection.name;
+      const previous = onDisk[table] || loadRows(table);
+      const rows = serialized[table];
+      rows.forEach((json, position) => {
+        if (previous[position] !== json) {
+          const key = collection.key ? data[table][position][collection.key] : null;
+          statements[table].upsert.run(position, key == null ? null : String(key), json);
+        }
+      });
+      if (previous.length > rows.length) {
+        statements[table].truncate.run(rows.length);
+      }
+    });
+  });
+
+  return {
+    name: 'sqlite',
+    file,
+    extension: '.db',
+
+    exists() {
+      return fs.existsSync(file);
+    },
+
+    read() {
+      const data = emptyDatabase();
+      try {
+        COLLECTIONS.forEach(collection => {
+          data[collection.name] = loadRows(collection.name).map(json => JSON.parse(json));
+        });
+      } catch (error) {
+        rethrowLocked(error, file);
+      }
+      return data;
+    },
+
+    write(data) {
+      const rows = {};
+      const serialized = {};
+      COLLECTIONS.forEach(collection => {
+        rows[collection.name] = data[collection.name] || [];
+        serialized[collection.name] = rows[collection.name].map(row => JSON.stringify(row));
+      });
+      try {
+        writeAll(rows, serialized);
+      } catch (error) {
+        rethrowLocked(error, file);
+      }
+      Object.assign(onDisk, serialized);
+    },
+
+    backup(destFile) {
+      try {
+        db.prepare('VACUUM INTO ?').run(destFile);
+      } catch (error) {
+        rethrowLocked(error, file);
+      }
+    },
+
+    verifyBackup(backupFile) {
+      return verifySqliteFile(backupFile);
+    },
+
+    verify() {
+      return verifySqliteFile(file);
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Collections of a SQLite file opened read-only, e.g. a backup: no schema
+ * setup or WAL pragmas run, so the file is left as it is (backups are
+ * written by VACUUM INTO in rollback-journal mode, so no -wal/-shm files
+ * appear next to them either). A table the file lacks (an older backup)
+ * reads as empty.
+ */
+function readSqliteFile(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('SQLite storage needs the "better-sqlite3" package. Run "npm install better-sqlite3".');
+  }
+
+  const db = new Database(file, { readonly: true, fileMustExist: true });
+  try {
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+    const data = emptyDatabase();
+    COLLECTIONS.filter(collection => tables.includes(collection.name)).forEach(collection => {
+      data[collection.name] = db.prepare(`SELECT data FROM ${collection.name} ORDER BY position`).all()
+        .map(row => JSON.parse(row.data));
+    });
+    return data;
+  } catch (error) {
+    rethrowLocked(error, file);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Check that a SQLite file opens read-only, passes an integrity check and
+ * has a table for every collection. Returns the problems found (none for a
+ * good file).
+ */
+function verifySqliteFile(file) {
+  let db;
+  try {
+    const Database = require('better-sqlite3');
+    db = new Database(file, { readonly: true, fileMustExist: true });
+    const problems = [];
+    const integrity = db.pragma('integrity_check', { simple: true });
+    if (integrity !== 'ok') problems.push(`fails the integrity check (${integrity})`);
+
+    const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+    COLLECTIONS
+      .filter(collection => !tables.includes(collection.name))
+      .forEach(collection => problems.push(`has no ${collection.name} table`));
+    return problems;
+  } catch (error) {
+    return [`cannot be opened (${error.message})`];
+  } finally {
+    if (db) db.close();
+  }
+}
+
+module.exports = { createSqliteEngine, readSqliteFile };
@@ -0,0 +1,110 @@
+/**
+ * Vendor phones and bills live in their own VendorPhones and VendorBills
+ * collections, one row per phone or bill keyed by phone_id / bill_id and
+ * tagged with the owning vendor_id. Routes and the frontend keep using the
+ * nested vendor shape ({ ...vendor, phones: [...], bills: [...] }); these
+ * helpers convert between the two. A vendor in the trash is split the same
+ * way, into TrashVendorPhones and TrashVendorBills tagged with the trash
+ * entry's record_id, so its history never has to fit in one Trash cell.
+ */
+
+function groupBy(rows, field) {
+  const groups = {};
+  (rows || []).forEach(row => {
+    (groups[row[field]] = groups[row[field]] || []).push(row);
+  });
+  return groups;
+}
+
+function without(row, field) {
+  const { [field]: omitted, ...rest } = row;
+  return rest;
+}
+
+/**
+ * `record` with its phones and bills: the stored rows if it has any, else
+ * the arrays it was saved with (before the split)
+ */
+function withChildren(record, storedPhones, storedBills, field) {
+  const { phones, bills, ...rest } = record;
+  rest.phones = storedPhones ? storedPhones.map(row => without(row, field)) : (Array.isArray(phones) ? phones : []);
+  rest.bills = storedBills ? storedBills.map(row => without(row, field)) : (Array.isArray(bills) ? bills : []);
+  return rest;
+}
+
+/**
+ * Build nested vendors from stored collections. Vendors saved before the
+ * split still carry phones/bills in their own row; those are used until the
+ * vendor has rows in the new collections.
+ */
+function assembleVendors(data) {
+  const { vendor_phones, vendor_bills, ...db } = data;
+  const phonesByVendor = groupBy(vendor_phones, 'vendor_id');
+  const billsByVendor = groupBy(vendor_bills, 'vendor_id');
+
+  db.vendors = (data.vendors || []).map(vendor =>
+    withChildren(vendor, phonesByVendor[vendor.vendor_id], billsByVendor[vendor.vendor_id], 'vendor_id'));
+  return db;
+}
+
+/**
+ * Split nested vendors back into Vendors, VendorPhones and VendorBills rows
+ */
+function splitVendors(db) {
+  const vendor_phones = [];
+  const vendor_bills = [];
+
+  const vendors = (db.vendors || []).map(vendor => {
+    const { phones, bills, ...row } = vendor;
+    (phones || []).forEach(phone => {
+      vendor_phones.push({ phone_id: phone.phone_id, vendor_id: vendor.vendor_id, ...phone });
+    });
+    (bills || []).forEach(bill => {
+      vendor_bills.push({ bill_id: bill.bill_id, vendor_id: vendor.vendor_id, ...bill });
+    });
+    return row;
+  });
+
+  return { ...db, vendors, vendor_phones, vendor_bills };
+}
+
+/**
+ * Trash entries with each trashed vendor's phones and bills put back in
+ * its record, from TrashVendorPhones and TrashVendorBills
+ */
+function assembleTrash(data) {
+  const { trash_vendor_phones, trash_vendor_bills, ...db } = data;
+  const phonesByEntry = groupBy(trash_vendor_phones, 'record_id');
+  const billsByEntry = groupBy(trash_vendor_bills, 'record_id');
+
+  db.trash = (data.trash || []).map(entry => {
+    if (entry.collection !== 'vendors' || !entry.record) return entry;
+    const { record_id: id } = entry;
+    return { ...entry, record: withChildren(entry.record, phonesByEntry[id], billsByEntry[id], 'record_id') };
+  });
+  return db;
+}
+
+/**
+ * Move the phones and bills of trashed vendors out of their Trash rows
+ */
+function splitTrash(db) {
+  const trash_vendor_phones = [];
+  const trash_vendor_bills = [];
+
+  const trash = (db.trash || []).map(entry => {
+    if (entry.collection !== 'vendors' || !entry.record) return entry;
+    const { phones, bills, ...record } = entry.record;
+    (phones || []).forEach(phone => {
+      trash_vendor_phones.push({ phone_id: phone.phone_id, record_id: entry.record_id, ...phone });
+    });
+    (bills || []).forEach(bill => {
+      trash_vendor_bills.push({ bill_id: bill.bill_id, record_id: entry.record_id, ...bill });
+    });
+    return { ...entry, record };
+  });
+
+  return { ...db, trash, trash_vendor_phones, trash_vendor_bills };
+}
+
+module.exports = { assembleVendors, splitVendors, assembleTrash, splitTrash };
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { restoreData } = require('../lib/backups');
+const { trashRecord } = require('../lib/trash');
+const { assertVersion, etagOf } = require('../lib/versions');
+
+const images = { saveDataUrl: dataUrl => dataUrl };
+
+function database(services) {
+  return { services, vendors: [], laptops: [], trash: [], sequences: [] };
+}
+
+test('a copy loaded before a delete cannot overwrite the record a backup restore brings back', () => {
+  // Backed up at version 2, then edited up to version 5 and deleted
+  const backup = database([{ id: 1, service_id: 'SRV001', customer_name: 'Backup', version: 2 }]);
+  const live = database([{ id: 1, service_id: 'SRV001', customer_name: 'Latest', version: 5 }]);
+  const staleEtag = etagOf(live.services[0]);
+  trashRecord(live, 'services', 0, { type: 'service', key: 'service_id', user: 'Owner' });
+
+  restoreData(live, backup, images);
+
+  const restored = live.services.find(service => service.service_id === 'SRV001');
+  assert.ok(restored.version > 5);
+  assert.throws(() => assertVersion(staleEtag, restored), error => error.status === 409);
+});
+
+test('a record in the trash of a restored backup gets a version above the live one', () => {
+  const backup = database([{ id: 1, service_id: 'SRV001', version: 2 }]);
+  trashRecord(backup, 'services', 0, { type: 'service', key: 'service_id', user: 'Owner' });
+  const live = database([{ id: 1, service_id: 'SRV001', version: 7 }]);
+
+  restoreData(live, backup, images);
+
+  assert.strictEqual(live.trash[0].record.version, 8);
+});